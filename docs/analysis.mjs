@@ -0,0 +1,188 @@
+import { MapProvider } from './providers.mjs';
+import { ElevationDecoder } from './elevation.mjs';
+import { CanvasUtils, UnitsUtils } from './utils.mjs';
+
+/**
+ * Terrain analysis tiles computed from a height provider: hillshade, slope or aspect.
+ * Use it as the MapView provider to replace the imagery, or in a MapLayer to blend it
+ * over the imagery. Gradients use Horn's method on one height sample per pixel.
+ * REF: https://pro.arcgis.com/en/pro-app/latest/tool-reference/spatial-analyst/how-hillshade-works.htm
+ */
+export class TerrainAnalysisProvider extends MapProvider {
+    static HILLSHADE = 'hillshade';
+    static SLOPE = 'slope';
+    static ASPECT = 'aspect';
+    
+    static TILE_SIZE = 256;
+    
+    // Upper bound in degrees and color of each slope class
+    static SLOPE_CLASSES = [
+        { max: 2, color: '#1a9850' },
+        { max: 5, color: '#91cf60' },
+        { max: 10, color: '#d9ef8b' },
+        { max: 15, color: '#fee08b' },
+        { max: 25, color: '#fc8d59' },
+        { max: 90, color: '#d73027' }
+    ];
+    
+    // Compass sectors from north, clockwise, then flat ground
+    static ASPECT_CLASSES = [
+        { label: 'N', color: '#ff0000' },
+        { label: 'NE', color: '#ffa500' },
+        { label: 'E', color: '#ffff00' },
+        { label: 'SE', color: '#00ff00' },
+        { label: 'S', color: '#00ffff' },
+        { label: 'SW', color: '#00a5ff' },
+        { label: 'W', color: '#0000ff' },
+        { label: 'NW', color: '#ff00ff' }
+    ];
+    static FLAT_COLOR = '#b0b0b0';
+    static FLAT_SLOPE = 0.5; // Degrees below which ground has no aspect
+    
+    /**
+     * @param {MapProvider} heightProvider - Provider of height tiles, decoded with the decoder of its encoding
+     * @param {Object} options
+     * @param {string} options.mode - HILLSHADE, SLOPE or ASPECT
+     * @param {number} options.azimuth - Sun direction in degrees clockwise from north
+     * @param {number} options.altitude - Sun angle above the horizon in degrees
+     * @param {number} options.zFactor - Vertical exaggeration of the hillshade
+     * @param {Array} options.slopeClasses - { max, color } classes, see SLOPE_CLASSES
+     */
+    constructor(heightProvider, { mode = TerrainAnalysisProvider.HILLSHADE, azimuth = 315, altitude = 45, zFactor = 1, slopeClasses = TerrainAnalysisProvider.SLOPE_CLASSES } = {}) {
+        super();
+        if (![TerrainAnalysisProvider.HILLSHADE, TerrainAnalysisProvider.SLOPE, TerrainAnalysisProvider.ASPECT].includes(mode)) {
+            throw new Error(`Unknown terrain analysis: ${mode}`);
+        }
+        this.heightProvider = heightProvider;
+        this.decoder = ElevationDecoder.forEncoding(heightProvider.encoding);
+        this.mode = mode;
+        this.azimuth = azimuth;
+        this.altitude = altitude;
+        this.zFactor = zFactor;
+        this.slopeClasses = slopeClasses.map(({ max, color }) => ({ max, color, rgb: TerrainAnalysisProvider.parseColor(color) }));
+        this.aspectClasses = TerrainAnalysisProvider.ASPECT_CLASSES.map(({ label, color }) => ({ label, color, rgb: TerrainAnalysisProvider.parseColor(color) }));
+        this.flatColor = TerrainAnalysisProvider.parseColor(TerrainAnalysisProvider.FLAT_COLOR);
+        this.name = mode;
+        this.minZoom = heightProvider.minZoom;
+        this.maxZoom = heightProvider.maxZoom;
+    }
+    
+    static parseColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+    
+    async fetchTile(zoom, x, y) {
+        const size = TerrainAnalysisProvider.TILE_SIZE;
+        const heights = this.decoder.decode(await this.heightProvider.fetchTile(zoom, x, y), size - 1);
+        
+        // Ground size of a pixel at the tile's center latitude
+        const { latitude } = UnitsUtils.quadtreeToDatums(zoom, x + 0.5, y + 0.5);
+        const cellSize = 2 * UnitsUtils.MERCATOR_EXTENT / Math.pow(2, zoom) * Math.cos(latitude * Math.PI / 180) / (size - 1);
+        
+        const canvas = CanvasUtils.createOffscreenCanvas(size, size);
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(size, size);
+        const { data } = imageData;
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const color = this.getColor(...TerrainAnalysisProvider.getGradient(heights, size, col, row, cellSize));
+                const i = (row * size + col) * 4;
+                data[i] = color[0];
+                data[i + 1] = color[1];
+                data[i + 2] = color[2];
+                data[i + 3] = 255;
+            }
+        }
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+    
+    /**
+     * Horn gradient at a sample, edge samples repeat their neighbours
+     * @returns {number[]} [dz/dx east, dz/dy south] in metres per metre
+     */
+    static getGradient(heights, size, col, row, cellSize) {
+        const at = (dx, dy) => {
+            const c = Math.min(Math.max(col + dx, 0), size - 1);
+            const r = Math.min(Math.max(row + dy, 0), size - 1);
+            return heights[r * size + c];
+        };
+        const a = at(-1, -1), b = at(0, -1), c = at(1, -1);
+        const d = at(-1, 0), f = at(1, 0);
+        const g = at(-1, 1), h = at(0, 1), i = at(1, 1);
+        const dzdx = ((c + 2 * f + i) - (a + 2 * d + g)) / (8 * cellSize);
+        const dzdy = ((g + 2 * h + i) - (a + 2 * b + c)) / (8 * cellSize);
+        return [dzdx, dzdy];
+    }
+    
+    /**
+     * @param {number} dzdx - Height change towards the east
+     * @param {number} dzdy - Height change towards the south
+     * @returns {number[]} RGB
+     */
+    getColor(dzdx, dzdy) {
+        if (this.mode === TerrainAnalysisProvider.HILLSHADE) {
+            const shade = Math.round(255 * TerrainAnalysisProvider.hillshade(dzdx * this.zFactor, dzdy * this.zFactor, this.azimuth, this.altitude));
+            return [shade, shade, shade];
+        }
+        const slope = Math.atan(Math.hypot(dzdx, dzdy)) * 180 / Math.PI;
+        if (this.mode === TerrainAnalysisProvider.SLOPE) {
+            return (this.slopeClasses.find(({ max }) => slope <= max) ?? this.slopeClasses[this.slopeClasses.length - 1]).rgb;
+        }
+        if (slope < TerrainAnalysisProvider.FLAT_SLOPE) return this.flatColor;
+        const sector = Math.round(TerrainAnalysisProvider.aspect(dzdx, dzdy) / 45) % 8;
+        return this.aspectClasses[sector].rgb;
+    }
+    
+    /**
+     * Illumination of a surface, 0 (shaded) to 1 (facing the sun)
+     */
+    static hillshade(dzdx, dzdy, azimuth, altitude) {
+        const zenith = (90 - altitude) * Math.PI / 180;
+        const sun = (360 - azimuth + 90) % 360 * Math.PI / 180;
+        const slope = Math.atan(Math.hypot(dzdx, dzdy));
+        let aspect = Math.atan2(dzdy, -dzdx);
+        if (aspect < 0) aspect += 2 * Math.PI;
+        const light = Math.cos(zenith) * Math.cos(slope) + Math.sin(zenith) * Math.sin(slope) * Math.cos(sun - aspect);
+        return Math.max(light, 0);
+    }
+    
+    /**
+     * Compass direction the slope faces, degrees clockwise from north
+     */
+    static aspect(dzdx, dzdy) {
+        // Downhill is against the gradient; north is -dzdy since rows run south
+        const degrees = Math.atan2(-dzdx, dzdy) * 180 / Math.PI;
+        return (degrees + 360) % 360;
+    }
+    
+    /**
+     * Legend of the current mode
+     * @returns {{title: string, entries: Array}} entries are { color, label }
+     */
+    getLegend() {
+        if (this.mode === TerrainAnalysisProvider.HILLSHADE) {
+            return {
+                title: `Hillshade (sun ${this.azimuth}°, ${this.altitude}° high)`,
+                entries: [{ color: '#ffffff', label: 'Facing the sun' }, { color: '#000000', label: 'In shade' }]
+            };
+        }
+        if (this.mode === TerrainAnalysisProvider.SLOPE) {
+            return {
+                title: 'Slope',
+                entries: this.slopeClasses.map(({ max, color }, i) => ({
+                    color,
+                    label: `${i === 0 ? 0 : this.slopeClasses[i - 1].max}–${max}°`
+                }))
+            };
+        }
+        return {
+            title: 'Aspect',
+            entries: [
+                ...this.aspectClasses.map(({ label, color }) => ({ color, label })),
+                { color: TerrainAnalysisProvider.FLAT_COLOR, label: 'Flat' }
+            ]
+        };
+    }
+}
@@ -0,0 +1,409 @@
+import { MapProvider } from './providers.mjs';
+import { CompressionUtils, ImageLoader } from './utils.mjs';
+
+/**
+ * Reads byte ranges of a remote archive with HTTP range requests
+ */
+export class UrlRangeSource {
+    constructor(url, headers = {}) {
+        this.url = url;
+        this.headers = headers;
+    }
+    
+    /**
+     * @param {number} offset - First byte
+     * @param {number} length - Number of bytes
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async getBytes(offset, length) {
+        const response = await fetch(this.url, {
+            headers: { ...this.headers, Range: `bytes=${offset}-${offset + length - 1}` }
+        });
+        if (!response.ok) throw new Error(`Failed to read archive: ${response.status} ${this.url}`);
+        const buffer = await response.arrayBuffer();
+        // Servers ignoring Range send the whole file
+        return response.status === 200 ? buffer.slice(offset, offset + length) : buffer;
+    }
+}
+
+/**
+ * Reads byte ranges of a local File or Blob, e.g. from a file input
+ */
+export class BlobRangeSource {
+    constructor(blob) {
+        this.blob = blob;
+    }
+    
+    async getBytes(offset, length) {
+        return this.blob.slice(offset, offset + length).arrayBuffer();
+    }
+}
+
+/**
+ * PMTiles v3 single-file tile archive.
+ * REF: https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+ */
+export class PMTilesArchive {
+    static HEADER_BYTES = 127;
+    static COMPRESSION = { UNKNOWN: 0, NONE: 1, GZIP: 2, BROTLI: 3, ZSTD: 4 };
+    static TILE_TYPES = { 0: null, 1: 'mvt', 2: 'image/png', 3: 'image/jpeg', 4: 'image/webp', 5: 'image/avif' };
+    static MAX_DEPTH = 3; // Root plus at most two leaf levels
+    static MAX_CACHED_DIRECTORIES = 64;
+    
+    /**
+     * @param {UrlRangeSource|BlobRangeSource} source - Anything with getBytes(offset, length)
+     */
+    constructor(source) {
+        this.source = source;
+        this.header = null;
+        this.directories = new Map(); // offset -> entries, oldest first
+    }
+    
+    /**
+     * Hilbert curve tile ID of a tile, unique across zoom levels
+     * @returns {number}
+     */
+    static zxyToTileId(z, x, y) {
+        // Tiles of all lower zooms come first
+        let id = (Math.pow(4, z) - 1) / 3;
+        for (let s = Math.pow(2, z) / 2; s >= 1; s /= 2) {
+            const rx = (x & s) > 0 ? 1 : 0;
+            const ry = (y & s) > 0 ? 1 : 0;
+            id += s * s * ((3 * rx) ^ ry);
+            if (ry === 0) {
+                if (rx === 1) {
+                    x = s - 1 - x;
+                    y = s - 1 - y;
+                }
+                [x, y] = [y, x];
+            }
+        }
+        return id;
+    }
+    
+    /**
+     * Read an unsigned LEB128 varint, values above 2^32 included
+     * @returns {Array} [value, next position]
+     */
+    static readVarint(bytes, position) {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            byte = bytes[position++];
+            value += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return [value, position];
+    }
+    
+    /**
+     * @param {ArrayBuffer} buffer - First 127 bytes of the archive
+     */
+    static parseHeader(buffer) {
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 7));
+        if (magic !== 'PMTiles') throw new Error('Not a PMTiles archive');
+        const version = view.getUint8(7);
+        if (version !== 3) throw new Error(`Unsupported PMTiles version: ${version}`);
+        
+        const uint64 = offset => Number(view.getBigUint64(offset, true));
+        const degrees = offset => view.getInt32(offset, true) / 1e7;
+        return {
+            version,
+            rootDirectoryOffset: uint64(8),
+            rootDirectoryLength: uint64(16),
+            metadataOffset: uint64(24),
+            metadataLength: uint64(32),
+            leafDirectoryOffset: uint64(40),
+            leafDirectoryLength: uint64(48),
+            tileDataOffset: uint64(56),
+            tileDataLength: uint64(64),
+            addressedTiles: uint64(72),
+            tileEntries: uint64(80),
+            tileContents: uint64(88),
+            clustered: view.getUint8(96) === 1,
+            internalCompression: view.getUint8(97),
+            tileCompression: view.getUint8(98),
+            tileType: view.getUint8(99),
+            minZoom: view.getUint8(100),
+            maxZoom: view.getUint8(101),
+            bounds: [degrees(102), degrees(106), degrees(110), degrees(114)],
+            centerZoom: view.getUint8(118),
+            center: [degrees(119), degrees(123)]
+        };
+    }
+    
+    /**
+     * @param {Uint8Array} bytes - Decompressed directory
+     * @returns {Array} Entries { tileId, offset, length, runLength } sorted by tileId
+     */
+    static parseDirectory(bytes) {
+        let position = 0;
+        let count;
+        [count, position] = PMTilesArchive.readVarint(bytes, position);
+        const entries = Array.from({ length: count }, () => ({ tileId: 0, offset: 0, length: 0, runLength: 0 }));
+        
+        let tileId = 0;
+        entries.forEach(entry => {
+            let delta;
+            [delta, position] = PMTilesArchive.readVarint(bytes, position);
+            tileId += delta;
+            entry.tileId = tileId;
+        });
+        entries.forEach(entry => [entry.runLength, position] = PMTilesArchive.readVarint(bytes, position));
+        entries.forEach(entry => [entry.length, position] = PMTilesArchive.readVarint(bytes, position));
+        entries.forEach((entry, i) => {
+            let offset;
+            [offset, position] = PMTilesArchive.readVarint(bytes, position);
+            // 0 means the entry follows the previous one
+            entry.offset = offset === 0 && i > 0 ? entries[i - 1].offset + entries[i - 1].length : offset - 1;
+        });
+        return entries;
+    }
+    
+    /**
+     * Entry covering a tile ID: a tile when runLength > 0, a leaf directory when 0
+     * @returns {Object|null}
+     */
+    static findEntry(entries, tileId) {
+        let low = 0;
+        let high = entries.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            const delta = tileId - entries[middle].tileId;
+            if (delta > 0) low = middle + 1;
+            else if (delta < 0) high = middle - 1;
+            else return entries[middle];
+        }
+        // Closest entry before the tile, runs cover consecutive IDs
+        const entry = entries[high];
+        if (!entry) return null;
+        if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) return entry;
+        return null;
+    }
+    
+    async decompress(buffer, compression) {
+        if (compression === PMTilesArchive.COMPRESSION.NONE || compression === PMTilesArchive.COMPRESSION.UNKNOWN) return buffer;
+        if (compression === PMTilesArchive.COMPRESSION.GZIP) return CompressionUtils.decompress(buffer, 'gzip');
+        throw new Error(`Unsupported PMTiles compression: ${compression}`);
+    }
+    
+    async getHeader() {
+        this.header ??= this.source.getBytes(0, PMTilesArchive.HEADER_BYTES).then(PMTilesArchive.parseHeader);
+        return this.header;
+    }
+    
+    /**
+     * @returns {Promise<Object>} JSON metadata of the archive
+     */
+    async getMetadata() {
+        const header = await this.getHeader();
+        if (header.metadataLength === 0) return {};
+        const buffer = await this.source.getBytes(header.metadataOffset, header.metadataLength);
+        const json = await this.decompress(buffer, header.internalCompression);
+        return JSON.parse(new TextDecoder().decode(json));
+    }
+    
+    async getDirectory(offset, length) {
+        if (this.directories.has(offset)) {
+            const entries = this.directories.get(offset);
+            this.directories.delete(offset);
+            this.directories.set(offset, entries);
+            return entries;
+        }
+        
+        const header = await this.getHeader();
+        const buffer = await this.decompress(await this.source.getBytes(offset, length), header.internalCompression);
+        const entries = PMTilesArchive.parseDirectory(new Uint8Array(buffer));
+        this.directories.set(offset, entries);
+        if (this.directories.size > PMTilesArchive.MAX_CACHED_DIRECTORIES) {
+            this.directories.delete(this.directories.keys().next().value);
+        }
+        return entries;
+    }
+    
+    /**
+     * @returns {Promise<Uint8Array|null>} Decompressed tile bytes, null when the archive has no such tile
+     */
+    async getTile(z, x, y) {
+        const header = await this.getHeader();
+        if (z < header.minZoom || z > header.maxZoom) return null;
+        const tileId = PMTilesArchive.zxyToTileId(z, x, y);
+        
+        let offset = header.rootDirectoryOffset;
+        let length = header.rootDirectoryLength;
+        for (let depth = 0; depth < PMTilesArchive.MAX_DEPTH; depth++) {
+            const entry = PMTilesArchive.findEntry(await this.getDirectory(offset, length), tileId);
+            if (!entry) return null;
+            if (entry.runLength > 0) {
+                const buffer = await this.source.getBytes(header.tileDataOffset + entry.offset, entry.length);
+                return new Uint8Array(await this.decompress(buffer, header.tileCompression));
+            }
+            offset = header.leafDirectoryOffset + entry.offset;
+            length = entry.length;
+        }
+        throw new Error('PMTiles directories nested too deep');
+    }
+}
+
+/**
+ * Turn archived tile bytes into what fetchTile() resolves with: images for
+ * raster tiles, an ArrayBuffer for vector tiles
+ */
+function decodeArchivedTile(bytes, mimeType) {
+    if (mimeType === 'mvt') return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    return ImageLoader.loadBlob(new Blob([bytes], { type: mimeType }));
+}
+
+/**
+ * Imagery or terrain-RGB tiles from a PMTiles archive, fetched with range requests
+ * or read from a local file, so maps work without a tile server. Create it with
+ * PMTilesProvider.open() so its zoom range is known before the map requests tiles.
+ */
+export class PMTilesProvider extends MapProvider {
+    /**
+     * @param {string|Blob|Object} source - Archive URL, File/Blob, or a range source
+     * @param {Object} options
+     * @param {Object} options.headers - Request headers for URL archives
+     * @param {string} options.encoding - Elevation encoding when used as a height provider
+     */
+    constructor(source, { headers = {}, encoding } = {}) {
+        super();
+        if (typeof source === 'string') source = new UrlRangeSource(source, headers);
+        else if (source instanceof Blob) source = new BlobRangeSource(source);
+        this.archive = new PMTilesArchive(source);
+        this.metadata = null;
+        if (encoding) this.encoding = encoding;
+    }
+    
+    /**
+     * Provider with the archive header read, so maps overzoom past its max zoom
+     * instead of requesting tiles it doesn't have
+     * @param {string|Blob|Object} source - See constructor
+     * @param {Object} options - See constructor
+     * @returns {Promise<PMTilesProvider>}
+     */
+    static async open(source, options) {
+        const provider = new PMTilesProvider(source, options);
+        await provider.getMetaData();
+        return provider;
+    }
+    
+    async getMetaData() {
+        this.metadata ??= (async () => {
+            const header = await this.archive.getHeader();
+            const metadata = await this.archive.getMetadata();
+            Object.assign(this, {
+                name: metadata.name ?? '',
+                minZoom: header.minZoom,
+                maxZoom: header.maxZoom,
+                bounds: header.bounds,
+                center: header.center
+            });
+            return metadata;
+        })();
+        return this.metadata;
+    }
+    
+    async getAttributionText() {
+        return (await this.getMetaData()).attribution ?? '';
+    }
+    
+    async fetchTile(zoom, x, y) {
+        // Constructed directly, the zoom range is only known once the header is read
+        await this.getMetaData();
+        const header = await this.archive.getHeader();
+        if (zoom > header.maxZoom) throw new Error(`Tile ${zoom}/${x}/${y} past PMTiles max zoom ${header.maxZoom}`);
+        const bytes = await this.archive.getTile(zoom, x, y);
+        if (!bytes) throw new Error(`Tile ${zoom}/${x}/${y} not in PMTiles archive`);
+        return decodeArchivedTile(bytes, PMTilesArchive.TILE_TYPES[header.tileType]);
+    }
+}
+
+/**
+ * Tiles from an MBTiles (SQLite) file loaded in the browser. SQLite comes from
+ * sql.js, passed in initialized so this module doesn't bundle it:
+ *
+ *     const SQL = await initSqlJs({ locateFile: file => `/lib/${file}` });
+ *     const provider = await MBTilesProvider.fromFile(file, SQL);
+ */
+export class MBTilesProvider extends MapProvider {
+    static FORMATS = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', pbf: 'mvt' };
+    
+    /**
+     * @param {Object} db - Open sql.js Database
+     * @param {Object} options
+     * @param {string} options.encoding - Elevation encoding when used as a height provider
+     */
+    constructor(db, { encoding } = {}) {
+        super();
+        this.db = db;
+        this.metadata = this.readMetadata();
+        const bounds = this.metadata.bounds?.split(',').map(Number);
+        const center = this.metadata.center?.split(',').map(Number);
+        Object.assign(this, {
+            name: this.metadata.name ?? '',
+            minZoom: parseInt(this.metadata.minzoom ?? this.minZoom),
+            maxZoom: parseInt(this.metadata.maxzoom ?? this.maxZoom),
+            bounds: bounds ?? [],
+            center: center ?? []
+        });
+        this.format = MBTilesProvider.FORMATS[this.metadata.format] ?? 'image/png';
+        if (encoding) this.encoding = encoding;
+    }
+    
+    /**
+     * @param {Blob|ArrayBuffer} file - MBTiles file, e.g. from a file input
+     * @param {Object} SQL - Initialized sql.js module
+     * @param {Object} options - See constructor
+     */
+    static async fromFile(file, SQL, options) {
+        const buffer = file instanceof Blob ? await file.arrayBuffer() : file;
+        return new MBTilesProvider(new SQL.Database(new Uint8Array(buffer)), options);
+    }
+    
+    /**
+     * @param {string} url - MBTiles file URL, e.g. served by a service worker cache
+     * @param {Object} SQL - Initialized sql.js module
+     * @param {Object} options - See constructor
+     */
+    static async fromUrl(url, SQL, options) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load MBTiles: ${response.status} ${url}`);
+        return MBTilesProvider.fromFile(await response.arrayBuffer(), SQL, options);
+    }
+    
+    readMetadata() {
+        const metadata = {};
+        const [result] = this.db.exec('SELECT name, value FROM metadata');
+        result?.values.forEach(([name, value]) => metadata[name] = value);
+        return metadata;
+    }
+    
+    async getMetaData() {
+        return this.metadata;
+    }
+    
+    async getAttributionText() {
+        return this.metadata.attribution ?? '';
+    }
+    
+    async fetchTile(zoom, x, y) {
+        // MBTiles rows are TMS, counted from the south
+        const row = Math.pow(2, zoom) - 1 - y;
+        const [result] = this.db.exec(
+            'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+            [zoom, x, row]
+        );
+        if (!result) throw new Error(`Tile ${zoom}/${x}/${y} not in MBTiles`);
+        let bytes = result.values[0][0];
+        // Vector tiles are usually stored gzipped
+        if (CompressionUtils.isGzip(bytes)) bytes = new Uint8Array(await CompressionUtils.decompress(bytes));
+        return decodeArchivedTile(bytes, this.format);
+    }
+    
+    dispose() {
+        this.db.close();
+    }
+}
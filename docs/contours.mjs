@@ -0,0 +1,284 @@
+const THREE = window.THREE;
+
+import { GeoJSONOverlay } from './overlays.mjs';
+import { UnitsUtils, PolylineExporter } from './utils.mjs';
+
+/**
+ * Marching squares over a height grid
+ * REF: https://en.wikipedia.org/wiki/Marching_squares
+ */
+export class ContourTracer {
+    // Edges (top 0, right 1, bottom 2, left 3) joined for each corner case, the case bits
+    // are top-left 8, top-right 4, bottom-right 2 and bottom-left 1 for corners at or above
+    // the level. Saddles (5 and 10) are resolved with the cell's mean height.
+    static SEGMENTS = [
+        [], [[3, 2]], [[2, 1]], [[3, 1]],
+        [[0, 1]], null, [[0, 2]], [[0, 3]],
+        [[0, 3]], [[0, 2]], null, [[0, 1]],
+        [[3, 1]], [[2, 1]], [[3, 2]], []
+    ];
+    static MAX_LEVELS = 1000;
+    
+    /**
+     * Contour levels, multiples of the interval, between two heights. A level at the
+     * maximum would only touch single samples.
+     * @returns {number[]}
+     */
+    static getLevels(min, max, interval) {
+        const levels = [];
+        for (let level = Math.ceil(min / interval) * interval; level < max && levels.length < ContourTracer.MAX_LEVELS; level += interval) {
+            levels.push(level);
+        }
+        return levels;
+    }
+    
+    /**
+     * Contour lines of a height grid
+     * @param {Float32Array} heights - (size + 1)² heights, rows from the north
+     * @param {number} size - Grid segments per side
+     * @param {number} interval - Height between contours
+     * @returns {Array} { elevation, lines }, lines are arrays of [col, row] grid positions
+     */
+    static trace(heights, size, interval) {
+        const stride = size + 1;
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < stride * stride; i++) {
+            min = Math.min(min, heights[i]);
+            max = Math.max(max, heights[i]);
+        }
+        return ContourTracer.getLevels(min, max, interval)
+            .map(elevation => ({ elevation, lines: ContourTracer.traceLevel(heights, size, elevation) }))
+            .filter(({ lines }) => lines.length > 0);
+    }
+    
+    static traceLevel(heights, size, level) {
+        const stride = size + 1;
+        const at = (col, row) => heights[row * stride + col];
+        const points = new Map(); // Edge key -> [col, row], segments meet on shared cell edges
+        const links = new Map(); // Edge key -> edge keys it is joined to
+        
+        const edgePoint = (col, row, edge) => {
+            // Keys name the edge by its top or left corner, so neighbouring cells share them
+            const [c0, r0, c1, r1] = [
+                [col, row, col + 1, row],
+                [col + 1, row, col + 1, row + 1],
+                [col, row + 1, col + 1, row + 1],
+                [col, row, col, row + 1]
+            ][edge];
+            const key = `${c0 === c1 ? 'v' : 'h'}${c0},${r0}`;
+            if (!points.has(key)) {
+                const h0 = at(c0, r0);
+                const h1 = at(c1, r1);
+                const t = h1 === h0 ? 0.5 : (level - h0) / (h1 - h0);
+                points.set(key, [c0 + (c1 - c0) * t, r0 + (r1 - r0) * t]);
+            }
+            return key;
+        };
+        const link = (a, b) => {
+            if (!links.has(a)) links.set(a, []);
+            if (!links.has(b)) links.set(b, []);
+            links.get(a).push(b);
+            links.get(b).push(a);
+        };
+        
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const tl = at(col, row), tr = at(col + 1, row);
+                const br = at(col + 1, row + 1), bl = at(col, row + 1);
+                const index = (tl >= level ? 8 : 0) | (tr >= level ? 4 : 0) | (br >= level ? 2 : 0) | (bl >= level ? 1 : 0);
+                let segments = ContourTracer.SEGMENTS[index];
+                if (!segments) {
+                    // Mean above the level joins the high corners through the cell
+                    const joined = (tl + tr + br + bl) / 4 >= level;
+                    segments = (index === 5) === joined ? [[0, 3], [1, 2]] : [[0, 1], [3, 2]];
+                }
+                segments.forEach(([a, b]) => link(edgePoint(col, row, a), edgePoint(col, row, b)));
+            }
+        }
+        return ContourTracer.joinLines(points, links);
+    }
+    
+    /**
+     * Chain linked edge points into polylines, open ones from their ends first
+     */
+    static joinLines(points, links) {
+        const lines = [];
+        const visited = new Set();
+        const walk = start => {
+            const line = [points.get(start)];
+            visited.add(start);
+            let current = start;
+            let next = links.get(current).find(key => !visited.has(key));
+            while (next !== undefined) {
+                line.push(points.get(next));
+                visited.add(next);
+                current = next;
+                next = links.get(current).find(key => !visited.has(key));
+            }
+            // Close rings back on their first point
+            if (line.length > 2 && links.get(current).includes(start)) line.push(line[0]);
+            return line;
+        };
+        links.forEach((neighbours, key) => {
+            if (neighbours.length === 1 && !visited.has(key)) lines.push(walk(key));
+        });
+        links.forEach((neighbours, key) => {
+            if (!visited.has(key)) lines.push(walk(key));
+        });
+        return lines.filter(line => line.length > 1);
+    }
+}
+
+/**
+ * Contour lines of the displayed height tiles, traced again as the terrain refines. Lines
+ * sit at their own elevation, so they follow the terrain without sampling it. Each tile
+ * is traced on its own, so lines are split at tile edges.
+ */
+export class ContourOverlay extends GeoJSONOverlay {
+    static DEFAULT_STYLE = {
+        interval: 10, // Metres between contours
+        indexEvery: 5, // Every Nth contour is an index contour
+        color: '#7a5230',
+        opacity: 0.6,
+        indexColor: '#4a2c12',
+        indexOpacity: 1,
+        indexLinewidth: 2, // Most WebGL implementations only draw 1 px lines, the index color still sets them apart
+        heightOffset: 0.5 // Metres above the terrain
+    };
+    
+    /**
+     * @param {MapView} mapView - Map whose height tiles are contoured
+     * @param {Object} style - ContourOverlay.DEFAULT_STYLE overrides
+     */
+    constructor(mapView, style = {}) {
+        super(mapView, null, style);
+    }
+    
+    /**
+     * Contours of a node in WGS84, cached with its heights
+     * @returns {Array} { elevation, coordinates: [lon, lat] positions }
+     */
+    getNodeContours(node, interval) {
+        const grid = node.getHeightGrid();
+        if (!grid) return [];
+        this.contourCache ??= new WeakMap();
+        const cached = this.contourCache.get(grid.heights);
+        if (cached?.interval === interval) return cached.contours;
+        
+        const contours = ContourTracer.trace(grid.heights, grid.size, interval).flatMap(({ elevation, lines }) =>
+            lines.map(line => ({
+                elevation,
+                coordinates: line.map(([col, row]) => {
+                    const { longitude, latitude } = UnitsUtils.quadtreeToDatums(node.level, node.x + col / grid.size, node.y + row / grid.size);
+                    return [longitude, latitude];
+                })
+            }))
+        );
+        this.contourCache.set(grid.heights, { interval, contours });
+        return contours;
+    }
+    
+    /**
+     * Trace the displayed tiles again and rebuild the lines
+     */
+    clamp() {
+        if (!this.mapView) return;
+        const style = this.getStyle(null);
+        this.contours = this.mapView.getDisplayedNodes().flatMap(node => this.getNodeContours(node, style.interval));
+        
+        this.items.forEach(({ object }) => {
+            this.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.items = [];
+        [false, true].forEach(index => {
+            const contours = this.contours.filter(({ elevation }) => this.isIndex(elevation, style) === index);
+            if (contours.length === 0) return;
+            const positions = [];
+            contours.forEach(({ elevation, coordinates }) => {
+                const locals = coordinates.map(([lon, lat]) => this.mapView.lonLatToLocal(lon, lat, elevation + style.heightOffset));
+                for (let i = 1; i < locals.length; i++) {
+                    positions.push(locals[i - 1].x, locals[i - 1].y, locals[i - 1].z, locals[i].x, locals[i].y, locals[i].z);
+                }
+            });
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+            geometry.computeBoundingSphere();
+            const opacity = index ? style.indexOpacity : style.opacity;
+            const material = new THREE.LineBasicMaterial({
+                color: index ? style.indexColor : style.color,
+                linewidth: index ? style.indexLinewidth : 1,
+                transparent: opacity < 1,
+                opacity
+            });
+            this.addItem(new THREE.LineSegments(geometry, material), null, [], style);
+        });
+        this.updateMatrixWorld(true);
+        this.dispatchEvent({ type: 'update' });
+    }
+    
+    isIndex(elevation, style) {
+        return Math.round(elevation / style.interval) % style.indexEvery === 0;
+    }
+    
+    /**
+     * Contours as GeoJSON
+     * @returns {Object} FeatureCollection of LineStrings with elevation (metres) and index properties
+     */
+    toGeoJSON() {
+        const style = this.getStyle(null);
+        return {
+            type: 'FeatureCollection',
+            features: (this.contours ?? []).map(({ elevation, coordinates }) => ({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates },
+                properties: { elevation, index: this.isIndex(elevation, style) }
+            }))
+        };
+    }
+}
+
+/**
+ * Exports the contours of a ContourOverlay like PolylineExporter exports measurements
+ */
+export class ContourExporter extends PolylineExporter {
+    /**
+     * @param {Object} viewer
+     * @param {ContourOverlay} overlay
+     * @param {Object} options - See PolylineExporter, e.g. crs
+     */
+    constructor(viewer, overlay, options) {
+        super(viewer, options);
+        this.overlay = overlay;
+    }
+    
+    buildGeoJSON() {
+        const context = this.getGeoContext();
+        const geojson = this.overlay.toGeoJSON();
+        if (geojson.features.length === 0) throw new Error('No contours found to export');
+        
+        geojson.features.push({
+            type: "Feature",
+            geometry: {
+                type: "Point",
+                coordinates: [context.tileCenterLatLng.longitude, context.tileCenterLatLng.latitude]
+            },
+            properties: {
+                id: "current_location",
+                zoom: context.tileLocation.level,
+                tileX: context.tileLocation.x,
+                tileY: context.tileLocation.y,
+                interval: this.overlay.getStyle(null).interval,
+                exportedAt: new Date().toISOString(),
+                source: "Geo-Three Extension Contours"
+            }
+        });
+        return geojson;
+    }
+    
+    downloadGeoJSON(geojson, filename = null) {
+        super.downloadGeoJSON(geojson, filename || `contours_${new Date().toISOString().slice(0, 10)}.geojson`);
+    }
+}
@@ -0,0 +1,404 @@
+/**
+ * Coordinate reference systems: WGS84, EPSG:3857, UTM zones and proj4-style definitions
+ * (longlat, merc, tmerc, utm, lcc). Positions are [x, y], longitude first for geographic systems.
+ * Datum shifts are not applied: NAD83 and ETRS89 match WGS84 within a couple of metres, but
+ * older datums such as NAD27 do not.
+ * REF: https://www.iogp.org/bookstore/product/coordinate-conversions-and-transformation-including-formulas/
+ */
+
+const DEG = Math.PI / 180;
+
+/**
+ * Projection of an ellipsoid, in metres
+ */
+export class Projection {
+    /**
+     * @param {Object} ellipsoid - { a, f } semi-major axis in metres and flattening
+     */
+    constructor({ a, f }) {
+        this.a = a;
+        this.f = f;
+        this.e = Math.sqrt(f * (2 - f));
+    }
+    
+    /**
+     * @returns {number[]} [x, y] in metres
+     */
+    forward(longitude, latitude) {
+        return [longitude, latitude];
+    }
+    
+    /**
+     * @returns {number[]} [longitude, latitude] in degrees
+     */
+    inverse(x, y) {
+        return [x, y];
+    }
+}
+
+/**
+ * Geographic coordinates, degrees are passed through
+ */
+export class LongLatProjection extends Projection {}
+
+/**
+ * Mercator, spherical when the ellipsoid has no flattening as for EPSG:3857
+ */
+export class MercatorProjection extends Projection {
+    constructor(ellipsoid, { lon0 = 0, latTs = 0, k0 = null, x0 = 0, y0 = 0 } = {}) {
+        super(ellipsoid);
+        this.lon0 = lon0;
+        this.x0 = x0;
+        this.y0 = y0;
+        // Scale on the equator, from the latitude of true scale unless given
+        const sin = Math.sin(latTs * DEG);
+        this.k0 = k0 ?? Math.cos(latTs * DEG) / Math.sqrt(1 - this.e * this.e * sin * sin);
+    }
+    
+    forward(longitude, latitude) {
+        const { a, e, k0 } = this;
+        const phi = latitude * DEG;
+        const sin = Math.sin(phi);
+        const y = Math.log(Math.tan(Math.PI / 4 + phi / 2) * Math.pow((1 - e * sin) / (1 + e * sin), e / 2));
+        return [this.x0 + a * k0 * (longitude - this.lon0) * DEG, this.y0 + a * k0 * y];
+    }
+    
+    inverse(x, y) {
+        const { a, e, k0 } = this;
+        const t = Math.exp(-(y - this.y0) / (a * k0));
+        let phi = Math.PI / 2 - 2 * Math.atan(t);
+        for (let i = 0; i < 15 && e > 0; i++) {
+            const sin = Math.sin(phi);
+            const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - e * sin) / (1 + e * sin), e / 2));
+            const done = Math.abs(next - phi) < 1e-12;
+            phi = next;
+            if (done) break;
+        }
+        return [this.lon0 + (x - this.x0) / (a * k0) / DEG, phi / DEG];
+    }
+}
+
+/**
+ * Transverse Mercator with Krüger's series to n⁴, sub-millimetre accurate within a few
+ * thousand kilometres of the central meridian. Used by UTM and many state plane zones.
+ * REF: https://arxiv.org/abs/1002.1417
+ */
+export class TransverseMercatorProjection extends Projection {
+    constructor(ellipsoid, { lon0 = 0, lat0 = 0, k0 = 1, x0 = 0, y0 = 0 } = {}) {
+        super(ellipsoid);
+        Object.assign(this, { lon0, lat0, k0, x0, y0 });
+        const n = this.f / (2 - this.f);
+        const n2 = n * n;
+        const n3 = n2 * n;
+        const n4 = n3 * n;
+        this.A = this.a / (1 + n) * (1 + n2 / 4 + n4 / 64);
+        this.alpha = [
+            n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180,
+            13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440,
+            61 * n3 / 240 - 103 * n4 / 140,
+            49561 * n4 / 161280
+        ];
+        this.beta = [
+            n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360,
+            n2 / 48 + n3 / 15 - 437 * n4 / 1440,
+            17 * n3 / 480 - 37 * n4 / 840,
+            4397 * n4 / 161280
+        ];
+        this.delta = [
+            2 * n - 2 * n2 / 3 - 2 * n3 + 116 * n4 / 45,
+            7 * n2 / 3 - 8 * n3 / 5 - 227 * n4 / 45,
+            56 * n3 / 15 - 136 * n4 / 35,
+            4279 * n4 / 630
+        ];
+        this.m0 = this.project(lon0, lat0)[1];
+    }
+    
+    /**
+     * Easting and northing from the central meridian and the equator, before false origin
+     */
+    project(longitude, latitude) {
+        const { e, A, k0, alpha } = this;
+        const sin = Math.sin(latitude * DEG);
+        const t = Math.sinh(Math.atanh(sin) - e * Math.atanh(e * sin));
+        const dLon = (longitude - this.lon0) * DEG;
+        const xi = Math.atan2(t, Math.cos(dLon));
+        const eta = Math.atanh(Math.sin(dLon) / Math.sqrt(1 + t * t));
+        let x = eta;
+        let y = xi;
+        alpha.forEach((a, j) => {
+            const k = 2 * (j + 1);
+            x += a * Math.cos(k * xi) * Math.sinh(k * eta);
+            y += a * Math.sin(k * xi) * Math.cosh(k * eta);
+        });
+        return [k0 * A * x, k0 * A * y];
+    }
+    
+    forward(longitude, latitude) {
+        const [x, y] = this.project(longitude, latitude);
+        return [this.x0 + x, this.y0 + y - this.m0];
+    }
+    
+    inverse(x, y) {
+        const { A, k0, beta, delta } = this;
+        const xi = (y - this.y0 + this.m0) / (k0 * A);
+        const eta = (x - this.x0) / (k0 * A);
+        let xiPrime = xi;
+        let etaPrime = eta;
+        beta.forEach((b, j) => {
+            const k = 2 * (j + 1);
+            xiPrime -= b * Math.sin(k * xi) * Math.cosh(k * eta);
+            etaPrime -= b * Math.cos(k * xi) * Math.sinh(k * eta);
+        });
+        const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+        let phi = chi;
+        delta.forEach((d, j) => {
+            phi += d * Math.sin(2 * (j + 1) * chi);
+        });
+        return [this.lon0 + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) / DEG, phi / DEG];
+    }
+}
+
+/**
+ * Lambert Conformal Conic with one or two standard parallels, used by most state plane zones
+ */
+export class LambertConformalConicProjection extends Projection {
+    constructor(ellipsoid, { lon0 = 0, lat0 = 0, lat1 = lat0, lat2 = lat1, k0 = 1, x0 = 0, y0 = 0 } = {}) {
+        super(ellipsoid);
+        Object.assign(this, { lon0, x0, y0 });
+        const m1 = this.m(lat1 * DEG);
+        const t1 = this.t(lat1 * DEG);
+        this.n = lat1 === lat2 ? Math.sin(lat1 * DEG) : (Math.log(m1) - Math.log(this.m(lat2 * DEG))) / (Math.log(t1) - Math.log(this.t(lat2 * DEG)));
+        this.F = m1 / (this.n * Math.pow(t1, this.n));
+        this.k0 = k0;
+        this.rho0 = this.rho(lat0 * DEG);
+    }
+    
+    m(phi) {
+        const sin = Math.sin(phi);
+        return Math.cos(phi) / Math.sqrt(1 - this.e * this.e * sin * sin);
+    }
+    
+    t(phi) {
+        const e = this.e;
+        const sin = Math.sin(phi);
+        return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - e * sin) / (1 + e * sin), e / 2);
+    }
+    
+    rho(phi) {
+        return this.a * this.F * this.k0 * Math.pow(this.t(phi), this.n);
+    }
+    
+    forward(longitude, latitude) {
+        const rho = this.rho(latitude * DEG);
+        const theta = this.n * (longitude - this.lon0) * DEG;
+        return [this.x0 + rho * Math.sin(theta), this.y0 + this.rho0 - rho * Math.cos(theta)];
+    }
+    
+    inverse(x, y) {
+        const { e, n } = this;
+        const dx = x - this.x0;
+        const dy = this.rho0 - (y - this.y0);
+        const sign = Math.sign(n);
+        const rho = sign * Math.sqrt(dx * dx + dy * dy);
+        const theta = Math.atan2(sign * dx, sign * dy);
+        const t = Math.pow(rho / (this.a * this.F * this.k0), 1 / n);
+        let phi = Math.PI / 2 - 2 * Math.atan(t);
+        for (let i = 0; i < 15; i++) {
+            const sin = Math.sin(phi);
+            const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - e * sin) / (1 + e * sin), e / 2));
+            const done = Math.abs(next - phi) < 1e-12;
+            phi = next;
+            if (done) break;
+        }
+        return [this.lon0 + theta / n / DEG, phi / DEG];
+    }
+}
+
+/**
+ * A coordinate reference system, converting to and from WGS84 longitude and latitude
+ */
+export class CRS {
+    static ELLIPSOIDS = {
+        WGS84: { a: 6378137, f: 1 / 298.257223563 },
+        GRS80: { a: 6378137, f: 1 / 298.257222101 },
+        clrk66: { a: 6378206.4, f: 1 - 6356583.8 / 6378206.4 },
+        intl: { a: 6378388, f: 1 / 297 },
+        bessel: { a: 6377397.155, f: 1 / 299.1528128 },
+        airy: { a: 6377563.396, f: 1 / 299.3249646 },
+        sphere: { a: 6378137, f: 0 }
+    };
+    static DATUM_ELLIPSOIDS = { WGS84: 'WGS84', NAD83: 'GRS80', NAD27: 'clrk66', OSGB36: 'airy' };
+    static UNITS = { m: 1, km: 1000, ft: 0.3048, 'us-ft': 1200 / 3937 }; // Metres per unit
+    
+    static definitions = new Map(); // Code -> proj4-style definition, see register()
+    static cache = new Map();
+    
+    /**
+     * @param {string} code - e.g. 'EPSG:32610'
+     * @param {Projection} projection
+     * @param {Object} options
+     * @param {string} options.name - Readable name
+     * @param {number} options.toMeter - Metres per unit of the projected coordinates
+     */
+    constructor(code, projection, { name = code, toMeter = 1 } = {}) {
+        this.code = code;
+        this.projection = projection;
+        this.name = name;
+        this.toMeter = toMeter;
+    }
+    
+    get isGeographic() {
+        return this.projection instanceof LongLatProjection;
+    }
+    
+    /**
+     * @param {number[]} position - [longitude, latitude] in WGS84 degrees
+     * @returns {number[]} [x, y] in this system's units
+     */
+    forward([longitude, latitude]) {
+        const [x, y] = this.projection.forward(longitude, latitude);
+        return this.isGeographic ? [x, y] : [x / this.toMeter, y / this.toMeter];
+    }
+    
+    /**
+     * @param {number[]} position - [x, y] in this system's units
+     * @returns {number[]} [longitude, latitude] in WGS84 degrees
+     */
+    inverse([x, y]) {
+        return this.isGeographic ? this.projection.inverse(x, y) : this.projection.inverse(x * this.toMeter, y * this.toMeter);
+    }
+    
+    /**
+     * Define a system by code, e.g. a state plane zone
+     * @param {string} code - e.g. 'EPSG:2227'
+     * @param {string} definition - proj4-style definition
+     */
+    static register(code, definition) {
+        CRS.definitions.set(code.toUpperCase(), definition);
+        CRS.cache.delete(code.toUpperCase());
+    }
+    
+    /**
+     * System for a code: EPSG:4326, EPSG:3857, WGS84 UTM (EPSG:326zz north, 327zz south),
+     * NAD83 UTM (EPSG:269zz) or a registered definition
+     * @param {string|CRS} code
+     * @returns {CRS}
+     */
+    static get(code) {
+        if (code instanceof CRS) return code;
+        const key = code.toUpperCase();
+        if (!CRS.cache.has(key)) CRS.cache.set(key, CRS.create(key));
+        return CRS.cache.get(key);
+    }
+    
+    static create(code) {
+        if (CRS.definitions.has(code)) return CRS.fromProj4(CRS.definitions.get(code), code);
+        if (code === 'EPSG:4326' || code === 'WGS84') return new CRS('EPSG:4326', new LongLatProjection(CRS.ELLIPSOIDS.WGS84), { name: 'WGS 84' });
+        if (['EPSG:3857', 'EPSG:900913', 'EPSG:3785'].includes(code)) {
+            return new CRS('EPSG:3857', new MercatorProjection(CRS.ELLIPSOIDS.sphere), { name: 'WGS 84 / Pseudo-Mercator' });
+        }
+        const match = code.match(/^EPSG:(326|327|269)(\d\d)$/);
+        if (match) {
+            const zone = parseInt(match[2]);
+            const nad83 = match[1] === '269';
+            if (zone >= 1 && zone <= 60 && (!nad83 || zone <= 23)) {
+                return CRS.utm(zone, match[1] === '327', nad83 ? 'NAD83' : 'WGS84');
+            }
+        }
+        throw new Error(`Unknown coordinate system ${code}, define it with CRS.register()`);
+    }
+    
+    /**
+     * UTM zone system
+     * @param {number} zone - 1 to 60
+     * @param {boolean} south - Southern hemisphere, false northing of 10 000 km
+     * @param {string} datum - 'WGS84' or 'NAD83'
+     * @returns {CRS}
+     */
+    static utm(zone, south = false, datum = 'WGS84') {
+        const code = `EPSG:${datum === 'NAD83' ? 269 : south ? 327 : 326}${String(zone).padStart(2, '0')}`;
+        const projection = new TransverseMercatorProjection(CRS.ELLIPSOIDS[CRS.DATUM_ELLIPSOIDS[datum]], {
+            lon0: zone * 6 - 183,
+            k0: 0.9996,
+            x0: 500000,
+            y0: south ? 10000000 : 0
+        });
+        return new CRS(code, projection, { name: `${datum === 'NAD83' ? 'NAD83' : 'WGS 84'} / UTM zone ${zone}${south ? 'S' : 'N'}` });
+    }
+    
+    /**
+     * WGS84 UTM zone containing a position
+     * @returns {CRS}
+     */
+    static utmFor(longitude, latitude) {
+        const zone = Math.min(Math.floor((longitude + 180) / 6) + 1, 60);
+        return CRS.get(`EPSG:${latitude < 0 ? 327 : 326}${String(zone).padStart(2, '0')}`);
+    }
+    
+    /**
+     * System from a proj4-style definition
+     * @param {string} definition - e.g. '+proj=lcc +lat_1=38.43 +lat_2=37.07 +lat_0=36.5 +lon_0=-120.5 +x_0=2000000 +y_0=500000 +ellps=GRS80 +units=us-ft'
+     * @param {string} code
+     * @returns {CRS}
+     */
+    static fromProj4(definition, code = definition) {
+        const params = {};
+        definition.trim().split(/\s+/).forEach(token => {
+            const [key, value = true] = token.replace(/^\+/, '').split('=');
+            params[key] = value;
+        });
+        const number = (key, fallback) => params[key] !== undefined ? parseFloat(params[key]) : fallback;
+        
+        if (params.towgs84 && params.towgs84.split(',').some(value => parseFloat(value) !== 0)) {
+            console.warn(`Datum shift of ${code} is not applied`);
+        }
+        let ellipsoid = CRS.ELLIPSOIDS[params.ellps ?? CRS.DATUM_ELLIPSOIDS[params.datum] ?? 'WGS84'];
+        if (!ellipsoid) throw new Error(`Unknown ellipsoid in ${definition}`);
+        if (params.a !== undefined) {
+            const a = number('a');
+            const f = params.rf !== undefined ? 1 / number('rf') : params.b !== undefined ? 1 - number('b') / a : params.f !== undefined ? number('f') : 0;
+            ellipsoid = { a, f };
+        }
+        const toMeter = number('to_meter', CRS.UNITS[params.units ?? 'm']);
+        if (!toMeter) throw new Error(`Unknown units in ${definition}`);
+        
+        const options = { lon0: number('lon_0', 0), lat0: number('lat_0', 0), x0: number('x_0', 0), y0: number('y_0', 0) };
+        const k0 = number('k_0', number('k', undefined));
+        let projection;
+        switch (params.proj) {
+            case 'longlat':
+            case 'latlong':
+                projection = new LongLatProjection(ellipsoid);
+                break;
+            case 'merc':
+                projection = new MercatorProjection(ellipsoid, { ...options, latTs: number('lat_ts', 0), k0: k0 ?? null });
+                break;
+            case 'tmerc':
+                projection = new TransverseMercatorProjection(ellipsoid, { ...options, k0: k0 ?? 1 });
+                break;
+            case 'utm': {
+                const zone = number('zone');
+                if (!(zone >= 1 && zone <= 60)) throw new Error(`UTM zone missing in ${definition}`);
+                projection = new TransverseMercatorProjection(ellipsoid, { lon0: zone * 6 - 183, k0: 0.9996, x0: 500000, y0: params.south ? 10000000 : 0 });
+                break;
+            }
+            case 'lcc':
+                projection = new LambertConformalConicProjection(ellipsoid, { ...options, lat1: number('lat_1', options.lat0), lat2: number('lat_2', number('lat_1', options.lat0)), k0: k0 ?? 1 });
+                break;
+            default:
+                throw new Error(`Unsupported projection ${params.proj} in ${definition}`);
+        }
+        return new CRS(code, projection, { name: params.title ?? code, toMeter });
+    }
+    
+    /**
+     * Convert a position between systems
+     * @param {number[]} position - [x, y], [longitude, latitude] for geographic systems
+     * @param {string|CRS} from
+     * @param {string|CRS} to
+     * @returns {number[]}
+     */
+    static transform(position, from, to) {
+        return CRS.get(to).forward(CRS.get(from).inverse(position));
+    }
+}
@@ -0,0 +1,674 @@
+import { CanvasUtils, UnitsUtils } from './utils.mjs';
+
+/**
+ * Turns height provider tiles into a grid of heights in metres, so geometries,
+ * shaders and debug providers agree on the encoding. Providers declare their
+ * encoding, MapView looks the decoder up with ElevationDecoder.forEncoding().
+ */
+export class ElevationDecoder {
+    static TERRAIN_RGB = 'terrain-rgb';
+    static TERRARIUM = 'terrarium';
+    static QUANTIZED_MESH = 'quantized-mesh';
+    
+    static decoders = {};
+    
+    /**
+     * Make a decoder available to providers declaring the encoding
+     * @param {string} encoding - Encoding name, e.g. ElevationDecoder.TERRARIUM
+     * @param {ElevationDecoder} decoder
+     */
+    static register(encoding, decoder) {
+        ElevationDecoder.decoders[encoding] = decoder;
+    }
+    
+    /**
+     * @param {string} encoding - Encoding declared by a height provider
+     * @returns {ElevationDecoder}
+     */
+    static forEncoding(encoding = ElevationDecoder.TERRAIN_RGB) {
+        const decoder = ElevationDecoder.decoders[encoding];
+        if (!decoder) throw new Error(`Unknown elevation encoding: ${encoding}`);
+        return decoder;
+    }
+    
+    constructor() {
+        // GLSL defining float decodeHeight(vec3 rgb) for MapHeightNodeShader, null when the
+        // encoding can't be sampled from a texture
+        this.glsl = null;
+    }
+    
+    /**
+     * Sample a fetched tile on a regular grid
+     * @param {*} tile - Whatever the provider's fetchTile() resolved with
+     * @param {number} gridSize - Grid segments per side, (gridSize + 1)^2 heights are returned
+     * @returns {Float32Array} Heights in metres, row by row from the north edge
+     */
+    decode(tile, gridSize) {}
+}
+
+/**
+ * Base of encodings packing heights into image colors
+ */
+export class RasterElevationDecoder extends ElevationDecoder {
+    /**
+     * @param {number} r - Red channel (0-255)
+     * @param {number} g - Green channel (0-255)
+     * @param {number} b - Blue channel (0-255)
+     * @returns {number} Height in metres
+     */
+    decodePixel(r, g, b) {}
+    
+    decode(image, gridSize) {
+        const canvas = CanvasUtils.createOffscreenCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        return this.decodeImageData(ctx.getImageData(0, 0, canvas.width, canvas.height), gridSize);
+    }
+    
+    /**
+     * Nearest-pixel sampling, heights must not be blended in their encoded form
+     * @param {ImageData} imageData - RGBA pixels, or any {data, width, height}
+     * @param {number} gridSize - Grid segments per side
+     * @returns {Float32Array} Heights in metres, row by row from the top
+     */
+    decodeImageData(imageData, gridSize) {
+        const { data, width, height } = imageData;
+        const grid = gridSize + 1;
+        const heights = new Float32Array(grid * grid);
+        for (let iy = 0; iy < grid; iy++) {
+            const py = Math.round(iy / gridSize * (height - 1));
+            for (let ix = 0; ix < grid; ix++) {
+                const px = Math.round(ix / gridSize * (width - 1));
+                const i = (py * width + px) * 4;
+                heights[iy * grid + ix] = this.decodePixel(data[i], data[i + 1], data[i + 2]);
+            }
+        }
+        return heights;
+    }
+}
+
+/**
+ * Mapbox terrain-RGB: 0.1 m steps from -10000 m
+ */
+export class TerrainRGBDecoder extends RasterElevationDecoder {
+    constructor() {
+        super();
+        this.glsl = `
+            float decodeHeight(vec3 rgb) {
+                return (rgb.r * 65536.0 + rgb.g * 256.0 + rgb.b) * 0.1 - 10000.0;
+            }
+        `;
+    }
+    
+    decodePixel(r, g, b) {
+        return (r * 65536 + g * 256 + b) * 0.1 - 10000.0;
+    }
+}
+
+/**
+ * Terrarium (Mapzen / AWS terrain tiles): 1/256 m steps from -32768 m
+ */
+export class TerrariumDecoder extends RasterElevationDecoder {
+    constructor() {
+        super();
+        this.glsl = `
+            float decodeHeight(vec3 rgb) {
+                return rgb.r * 256.0 + rgb.g + rgb.b / 256.0 - 32768.0;
+            }
+        `;
+    }
+    
+    decodePixel(r, g, b) {
+        return r * 256 + g + b / 256 - 32768.0;
+    }
+}
+
+/**
+ * Cesium quantized-mesh-1.0 tiles, rasterized onto the height grid.
+ * REF: https://github.com/CesiumGS/quantized-mesh
+ */
+export class QuantizedMeshDecoder extends ElevationDecoder {
+    static HEADER_BYTES = 88;
+    static MAX_VALUE = 32767;
+    
+    static zigZagDecode(value) {
+        return (value >> 1) ^ -(value & 1);
+    }
+    
+    /**
+     * Parse the header, vertices and triangles of a tile, extensions are ignored
+     * @param {ArrayBuffer} buffer - Tile body, already gunzipped
+     * @returns {{minHeight: number, maxHeight: number, u: Uint16Array, v: Uint16Array, height: Uint16Array, indices: Uint16Array|Uint32Array}}
+     */
+    parse(buffer) {
+        const view = new DataView(buffer);
+        // Skip the tile center, heights follow it
+        const minHeight = view.getFloat32(24, true);
+        const maxHeight = view.getFloat32(28, true);
+        let offset = QuantizedMeshDecoder.HEADER_BYTES;
+        
+        const vertexCount = view.getUint32(offset, true);
+        offset += 4;
+        const u = new Uint16Array(vertexCount);
+        const v = new Uint16Array(vertexCount);
+        const height = new Uint16Array(vertexCount);
+        [u, v, height].forEach(values => {
+            // Each array is delta and zig-zag encoded
+            let value = 0;
+            for (let i = 0; i < vertexCount; i++) {
+                value += QuantizedMeshDecoder.zigZagDecode(view.getUint16(offset, true));
+                values[i] = value;
+                offset += 2;
+            }
+        });
+        
+        const wide = vertexCount > 65536;
+        const bytes = wide ? 4 : 2;
+        if (offset % bytes !== 0) offset += bytes - offset % bytes;
+        const triangleCount = view.getUint32(offset, true);
+        offset += 4;
+        const indices = wide ? new Uint32Array(triangleCount * 3) : new Uint16Array(triangleCount * 3);
+        
+        // High water mark encoding
+        let highest = 0;
+        for (let i = 0; i < indices.length; i++) {
+            const code = wide ? view.getUint32(offset, true) : view.getUint16(offset, true);
+            offset += bytes;
+            indices[i] = highest - code;
+            if (code === 0) highest++;
+        }
+        
+        return { minHeight, maxHeight, u, v, height, indices };
+    }
+    
+    decode(buffer, gridSize) {
+        const { minHeight, maxHeight, u, v, height, indices } = this.parse(buffer);
+        const grid = gridSize + 1;
+        const heights = new Float32Array(grid * grid).fill(NaN);
+        const max = QuantizedMeshDecoder.MAX_VALUE;
+        const scale = (maxHeight - minHeight) / max;
+        // Grid coordinates of a vertex, v grows northwards while grid rows grow southwards
+        const gx = i => u[i] / max * gridSize;
+        const gy = i => (1 - v[i] / max) * gridSize;
+        const epsilon = 1e-6;
+        
+        for (let t = 0; t < indices.length; t += 3) {
+            const a = indices[t], b = indices[t + 1], c = indices[t + 2];
+            const ax = gx(a), ay = gy(a), bx = gx(b), by = gy(b), cx = gx(c), cy = gy(c);
+            const area = (bx - ax) * (cy - ay) - (cx - ax) * (by - ay);
+            if (area === 0) continue;
+            
+            const minX = Math.max(0, Math.ceil(Math.min(ax, bx, cx) - epsilon));
+            const maxX = Math.min(gridSize, Math.floor(Math.max(ax, bx, cx) + epsilon));
+            const minY = Math.max(0, Math.ceil(Math.min(ay, by, cy) - epsilon));
+            const maxY = Math.min(gridSize, Math.floor(Math.max(ay, by, cy) + epsilon));
+            
+            for (let iy = minY; iy <= maxY; iy++) {
+                for (let ix = minX; ix <= maxX; ix++) {
+                    // Barycentric weights of the grid point
+                    const wa = ((bx - ix) * (cy - iy) - (cx - ix) * (by - iy)) / area;
+                    const wb = ((cx - ix) * (ay - iy) - (ax - ix) * (cy - iy)) / area;
+                    const wc = 1 - wa - wb;
+                    if (wa < -epsilon || wb < -epsilon || wc < -epsilon) continue;
+                    const h = wa * height[a] + wb * height[b] + wc * height[c];
+                    heights[iy * grid + ix] = minHeight + h * scale;
+                }
+            }
+        }
+        
+        // Degenerate tiles may leave grid points uncovered
+        for (let i = 0; i < heights.length; i++) {
+            if (Number.isNaN(heights[i])) heights[i] = minHeight;
+        }
+        return heights;
+    }
+}
+
+ElevationDecoder.register(ElevationDecoder.TERRAIN_RGB, new TerrainRGBDecoder());
+ElevationDecoder.register(ElevationDecoder.TERRARIUM, new TerrariumDecoder());
+ElevationDecoder.register(ElevationDecoder.QUANTIZED_MESH, new QuantizedMeshDecoder());
+
+/**
+ * Vertex arrays of a height tile, built without THREE so they can be computed in a worker
+ * and handed to MapNodeHeightGeometry as is.
+ */
+export class HeightMesh {
+    static MAX_SOURCE_GRID = 256; // Finest ancestor decode used for overzoomed tiles
+    
+    /**
+     * @param {number} width - Tile width
+     * @param {number} height - Tile depth
+     * @param {number} widthSegments - Grid segments along X
+     * @param {number} heightSegments - Grid segments along Z
+     * @param {Float32Array} heights - Heights in metres, one per grid vertex, row by row
+     * @param {number} skirtDepth - Metres of skirt hung below the tile edges, 0 for none
+     * @param {number} exaggeration - World units per metre of height
+     * @returns {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array, heights: Float32Array, exaggeration: number}}
+     */
+    static build(width, height, widthSegments, heightSegments, heights = null, skirtDepth = 0, exaggeration = 1) {
+        const widthHalf = width / 2;
+        const heightHalf = height / 2;
+        const gridX = widthSegments + 1;
+        const gridZ = heightSegments + 1;
+        const segmentWidth = width / widthSegments;
+        const segmentHeight = height / heightSegments;
+        const indices = [];
+        const vertices = [];
+        const uvs = [];
+        const vertexHeights = [];
+        
+        for (let iz = 0; iz < gridZ; iz++) {
+            const z = iz * segmentHeight - heightHalf;
+            for (let ix = 0; ix < gridX; ix++) {
+                const x = ix * segmentWidth - widthHalf;
+                vertices.push(x, 0, z);
+                uvs.push(ix / widthSegments, 1 - iz / heightSegments);
+                vertexHeights.push(heights ? heights[ix + gridX * iz] : 0);
+            }
+        }
+        
+        for (let iz = 0; iz < heightSegments; iz++) {
+            for (let ix = 0; ix < widthSegments; ix++) {
+                const a = ix + gridX * iz;
+                const b = ix + gridX * (iz + 1);
+                const c = ix + 1 + gridX * (iz + 1);
+                const d = ix + 1 + gridX * iz;
+                indices.push(a, b, d, b, c, d);
+            }
+        }
+        
+        // Skirts close the cracks against neighbours sampled at another level,
+        // the grid itself is left untouched
+        if (skirtDepth > 0) {
+            // Edge vertices clockwise from the top-left corner, so skirts face outwards
+            const ring = [];
+            for (let ix = 0; ix < widthSegments; ix++) ring.push(ix);
+            for (let iz = 0; iz < heightSegments; iz++) ring.push(widthSegments + gridX * iz);
+            for (let ix = widthSegments; ix > 0; ix--) ring.push(ix + gridX * heightSegments);
+            for (let iz = heightSegments; iz > 0; iz--) ring.push(gridX * iz);
+            
+            const first = vertices.length / 3;
+            ring.forEach(index => {
+                vertices.push(vertices[index * 3], 0, vertices[index * 3 + 2]);
+                uvs.push(uvs[index * 2], uvs[index * 2 + 1]);
+                vertexHeights.push(vertexHeights[index] - skirtDepth);
+            });
+            
+            ring.forEach((a, i) => {
+                const next = (i + 1) % ring.length;
+                const b = ring[next];
+                indices.push(a, b, first + i, b, first + next, first + i);
+            });
+        }
+        
+        const mesh = {
+            positions: new Float32Array(vertices),
+            normals: null,
+            uvs: new Float32Array(uvs),
+            indices: new Uint32Array(indices),
+            heights: new Float32Array(vertexHeights),
+            exaggeration
+        };
+        HeightMesh.displace(mesh, exaggeration);
+        return mesh;
+    }
+    
+    /**
+     * Decode a height tile and build its arrays, the work done by elevation workers
+     * @param {ElevationDecoder} decoder
+     * @param {*} tile - Tile fetched from the height provider
+     * @param {Object} options
+     * @param {number} options.gridSize - Grid segments per side
+     * @param {number} options.skirtDepth - Metres of skirt, 0 for none
+     * @param {number} options.exaggeration - World units per metre of height
+     */
+    static fromTile(decoder, tile, { gridSize, skirtDepth = 0, exaggeration = 1, crop = null }) {
+        let heights;
+        if (crop) {
+            // Decode the ancestor finer than the node grid, then interpolate the node's part of it
+            const sourceGrid = Math.min(gridSize * crop.scale, HeightMesh.MAX_SOURCE_GRID);
+            heights = HeightMesh.resample(decoder.decode(tile, sourceGrid), sourceGrid, crop, gridSize);
+        } else {
+            heights = decoder.decode(tile, gridSize);
+        }
+        return HeightMesh.build(1, 1, gridSize, gridSize, heights, skirtDepth, exaggeration);
+    }
+    
+    /**
+     * Bilinear sampling of an overzoomed node's region from its ancestor's height grid
+     * @param {Float32Array} heights - Ancestor heights, (sourceGrid + 1)^2
+     * @param {number} sourceGrid - Ancestor grid segments per side
+     * @param {Object} crop - { scale, col, row } from MapNode.getOverzoom()
+     * @param {number} gridSize - Node grid segments per side
+     * @returns {Float32Array} Node heights, (gridSize + 1)^2
+     */
+    static resample(heights, sourceGrid, { scale, col, row }, gridSize) {
+        const grid = gridSize + 1;
+        const stride = sourceGrid + 1;
+        const result = new Float32Array(grid * grid);
+        for (let iy = 0; iy < grid; iy++) {
+            const sy = (row + iy / gridSize) / scale * sourceGrid;
+            const y0 = Math.min(Math.floor(sy), sourceGrid - 1);
+            const fy = sy - y0;
+            for (let ix = 0; ix < grid; ix++) {
+                const sx = (col + ix / gridSize) / scale * sourceGrid;
+                const x0 = Math.min(Math.floor(sx), sourceGrid - 1);
+                const fx = sx - x0;
+                const i = y0 * stride + x0;
+                const top = heights[i] * (1 - fx) + heights[i + 1] * fx;
+                const bottom = heights[i + stride] * (1 - fx) + heights[i + stride + 1] * fx;
+                result[iy * grid + ix] = top * (1 - fy) + bottom * fy;
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Set position heights and normals of a mesh for an exaggeration
+     */
+    static displace(mesh, exaggeration) {
+        const { positions, heights } = mesh;
+        for (let i = 0; i < heights.length; i++) {
+            positions[i * 3 + 1] = heights[i] * exaggeration;
+        }
+        mesh.normals = HeightMesh.computeNormals(positions, mesh.indices);
+        mesh.exaggeration = exaggeration;
+    }
+    
+    /**
+     * Area weighted vertex normals, same result as BufferGeometry.computeVertexNormals()
+     * @returns {Float32Array}
+     */
+    static computeNormals(positions, indices) {
+        const normals = new Float32Array(positions.length);
+        for (let i = 0; i < indices.length; i += 3) {
+            const a = indices[i] * 3, b = indices[i + 1] * 3, c = indices[i + 2] * 3;
+            // (c - b) x (a - b)
+            const cbx = positions[c] - positions[b], cby = positions[c + 1] - positions[b + 1], cbz = positions[c + 2] - positions[b + 2];
+            const abx = positions[a] - positions[b], aby = positions[a + 1] - positions[b + 1], abz = positions[a + 2] - positions[b + 2];
+            const nx = cby * abz - cbz * aby;
+            const ny = cbz * abx - cbx * abz;
+            const nz = cbx * aby - cby * abx;
+            [a, b, c].forEach(v => {
+                normals[v] += nx;
+                normals[v + 1] += ny;
+                normals[v + 2] += nz;
+            });
+        }
+        for (let i = 0; i < normals.length; i += 3) {
+            const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+            normals[i] /= length;
+            normals[i + 1] /= length;
+            normals[i + 2] /= length;
+        }
+        return normals;
+    }
+    
+    /**
+     * Bilinear height inside a grid
+     * @param {Float32Array} heights - (size + 1)^2 heights, rows from the north
+     * @param {number} size - Grid segments per side
+     * @param {number} u - 0 at the west edge, 1 at the east edge
+     * @param {number} v - 0 at the north edge, 1 at the south edge
+     * @returns {number}
+     */
+    static sample(heights, size, u, v) {
+        const gx = Math.min(Math.max(u, 0), 1) * size;
+        const gy = Math.min(Math.max(v, 0), 1) * size;
+        const ix = Math.min(Math.floor(gx), size - 1);
+        const iy = Math.min(Math.floor(gy), size - 1);
+        const fx = gx - ix;
+        const fy = gy - iy;
+        const stride = size + 1;
+        const i = iy * stride + ix;
+        const top = heights[i] * (1 - fx) + heights[i + 1] * fx;
+        const bottom = heights[i + stride] * (1 - fx) + heights[i + stride + 1] * fx;
+        return top * (1 - fy) + bottom * fy;
+    }
+    
+    /**
+     * Buffers to transfer when posting a mesh between threads
+     */
+    static transferables(mesh) {
+        return [mesh.positions, mesh.normals, mesh.uvs, mesh.indices, mesh.heights].map(array => array.buffer);
+    }
+}
+
+/**
+ * Pool of module workers running HeightMesh.fromTile() off the main thread.
+ * Workers are started on the first job; when they can't run, or don't know an
+ * encoding registered on the main thread, callers fall back to the synchronous path.
+ */
+export class ElevationWorkerPool {
+    static WORKER_URL = new URL('./elevation.worker.mjs', import.meta.url);
+    
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+    }
+    
+    /**
+     * @param {Object} options
+     * @param {number} options.size - Number of workers, 0 decodes on the main thread
+     */
+    constructor({ size = Math.min(4, globalThis.navigator?.hardwareConcurrency || 2) } = {}) {
+        this.size = size;
+        this.workers = [];
+        this.jobs = new Map(); // id -> { resolve, reject, worker }
+        this.nextId = 0;
+        this.failed = false;
+        this.unsupportedEncodings = new Set();
+    }
+    
+    /**
+     * Whether build() should be tried for an encoding
+     * @param {string} encoding
+     */
+    supports(encoding) {
+        return this.size > 0 && !this.failed && !this.unsupportedEncodings.has(encoding) && ElevationWorkerPool.isSupported();
+    }
+    
+    /**
+     * Decode a tile and build its mesh in a worker
+     * @param {string} encoding - Encoding of the tile
+     * @param {*} tile - Image, canvas or ArrayBuffer from the height provider
+     * @param {Object} options - See HeightMesh.fromTile()
+     * @returns {Promise<Object>} HeightMesh arrays
+     */
+    async build(encoding, tile, options) {
+        // Images can't be posted, bitmaps can and are transferred. Buffers are copied so the
+        // caller still has the tile if the worker fails.
+        const transfer = [];
+        if (!(tile instanceof ArrayBuffer)) {
+            tile = await createImageBitmap(tile);
+            transfer.push(tile);
+        }
+        
+        const worker = this.getWorker();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, worker, encoding });
+            worker.jobs++;
+            worker.postMessage({ id, encoding, tile, options }, transfer);
+        });
+    }
+    
+    getWorker() {
+        if (this.workers.length < this.size) {
+            const worker = new Worker(ElevationWorkerPool.WORKER_URL, { type: 'module' });
+            worker.jobs = 0;
+            worker.onmessage = ({ data }) => this.onMessage(worker, data);
+            worker.onerror = event => this.onError(worker, event);
+            this.workers.push(worker);
+            return worker;
+        }
+        return this.workers.reduce((best, worker) => worker.jobs < best.jobs ? worker : best);
+    }
+    
+    onMessage(worker, { id, mesh, error, unsupported }) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+        this.jobs.delete(id);
+        worker.jobs--;
+        if (unsupported) this.unsupportedEncodings.add(job.encoding);
+        if (error) job.reject(new Error(error));
+        else job.resolve(mesh);
+    }
+    
+    onError(worker, event) {
+        // A worker that fails to load won't recover, stop using the pool
+        this.failed = true;
+        this.jobs.forEach((job, id) => {
+            if (job.worker !== worker) return;
+            this.jobs.delete(id);
+            job.reject(new Error(`Elevation worker failed: ${event.message ?? 'could not start'}`));
+        });
+    }
+    
+    /**
+     * Terminate the workers, pending jobs are rejected
+     */
+    dispose() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.jobs.forEach(job => job.reject(new DOMException('Elevation worker pool disposed', 'AbortError')));
+        this.jobs.clear();
+    }
+}
+
+/**
+ * Point elevation queries straight from height provider tiles, independent of the
+ * level of detail the MapView happens to have loaded. Decoded tiles are kept in an LRU.
+ */
+export class ElevationSampler {
+    static MAX_CONCURRENT_TILES = 6;
+    
+    /**
+     * @param {MapProvider} provider - Height provider, decoded with the decoder of its encoding
+     * @param {Object} options
+     * @param {number} options.maxTiles - Decoded tiles kept for reuse
+     * @param {number} options.gridSize - Grid segments per tile side, 255 samples every pixel of 256 px tiles
+     * @param {TileRequestScheduler} options.scheduler - Queue tile fetches with a map's, fetched directly when null
+     * @param {TileCache} options.cache - Reuse a map's shared tiles, e.g. the ancestors of overzoomed nodes
+     */
+    constructor(provider, { maxTiles = 64, gridSize = 255, scheduler = null, cache = null } = {}) {
+        this.provider = provider;
+        this.decoder = ElevationDecoder.forEncoding(provider.encoding);
+        this.maxTiles = maxTiles;
+        this.gridSize = gridSize;
+        this.scheduler = scheduler;
+        this.cache = cache;
+        this.tiles = new Map(); // "level/x/y" -> Promise<Float32Array>, oldest first
+    }
+    
+    /**
+     * Level sampled for a requested minimum level, within the provider's zoom range
+     */
+    getLevel(minLevel = this.provider.maxZoom) {
+        return Math.max(this.provider.minZoom ?? 0, Math.min(minLevel, this.provider.maxZoom));
+    }
+    
+    /**
+     * Tile under a point and the point's position in it, tiles past the poles and the
+     * antimeridian are clamped to the edge rows and columns
+     * @returns {{x: number, y: number, u: number, v: number}}
+     */
+    static getTilePosition(longitude, latitude, level) {
+        if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) {
+            throw new RangeError(`Invalid coordinate: ${longitude}, ${latitude}`);
+        }
+        const size = Math.pow(2, level);
+        const [tileX, tileY] = UnitsUtils.pointToTileFraction(longitude, latitude, level).map(value => Math.max(0, Math.min(value, size)));
+        const x = Math.min(Math.floor(tileX), size - 1);
+        const y = Math.min(Math.floor(tileY), size - 1);
+        return { x, y, u: tileX - x, v: tileY - y };
+    }
+    
+    /**
+     * Provider tile, through the scheduler and shared cache when given
+     */
+    fetchTile(level, x, y) {
+        const load = () => this.scheduler ? this.scheduler.request(this.provider, level, x, y) : this.provider.fetchTile(level, x, y);
+        return this.cache ? this.cache.shareTile(this.provider, level, x, y, load) : load();
+    }
+    
+    /**
+     * Decoded heights of a tile, fetched once while it stays in the LRU
+     * @returns {Promise<Float32Array>} (gridSize + 1)^2 heights, rows from the north
+     */
+    getTileHeights(level, x, y) {
+        const key = `${level}/${x}/${y}`;
+        let heights = this.tiles.get(key);
+        if (heights) {
+            this.tiles.delete(key);
+        } else {
+            heights = this.fetchTile(level, x, y).then(tile => this.decoder.decode(tile, this.gridSize));
+            heights.catch(() => {
+                if (this.tiles.get(key) === heights) this.tiles.delete(key);
+            });
+        }
+        this.tiles.set(key, heights);
+        while (this.tiles.size > this.maxTiles) this.tiles.delete(this.tiles.keys().next().value);
+        return heights;
+    }
+    
+    /**
+     * Bilinear elevation at a point
+     * @param {number} longitude - Degrees
+     * @param {number} latitude - Degrees
+     * @param {Object} options
+     * @param {number} options.minLevel - Tile level to sample, capped to the provider's max zoom (default)
+     * @returns {Promise<number>} Metres
+     */
+    async getElevation(longitude, latitude, { minLevel } = {}) {
+        const level = this.getLevel(minLevel);
+        const { x, y, u, v } = ElevationSampler.getTilePosition(longitude, latitude, level);
+        const heights = await this.getTileHeights(level, x, y);
+        return HeightMesh.sample(heights, this.gridSize, u, v);
+    }
+    
+    /**
+     * Elevations of many points, e.g. a profile or imported survey points. Points are
+     * grouped by tile so each tile is fetched once.
+     * @param {Array} points - [longitude, latitude] pairs
+     * @param {Object} options - See getElevation()
+     * @returns {Promise<Array>} Metres per point, null where the tile failed to load or the coordinate is invalid
+     */
+    async getElevations(points, { minLevel } = {}) {
+        const level = this.getLevel(minLevel);
+        const groups = new Map(); // tile key -> { x, y, points: [index, u, v] }
+        points.forEach(([longitude, latitude], index) => {
+            if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return;
+            const { x, y, u, v } = ElevationSampler.getTilePosition(longitude, latitude, level);
+            const key = `${x}/${y}`;
+            if (!groups.has(key)) groups.set(key, { x, y, points: [] });
+            groups.get(key).points.push([index, u, v]);
+        });
+        
+        const elevations = new Array(points.length).fill(null);
+        const queue = [...groups.values()];
+        const failed = [];
+        const next = async () => {
+            while (queue.length > 0) {
+                const group = queue.shift();
+                try {
+                    const heights = await this.getTileHeights(level, group.x, group.y);
+                    group.points.forEach(([index, u, v]) => {
+                        elevations[index] = HeightMesh.sample(heights, this.gridSize, u, v);
+                    });
+                } catch (error) {
+                    failed.push({ group, error });
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(ElevationSampler.MAX_CONCURRENT_TILES, queue.length) }, next));
+        if (failed.length > 0) {
+            const { group, error } = failed[0];
+            console.warn(`${failed.length} of ${groups.size} elevation tiles failed to load, first ${level}/${group.x}/${group.y}:`, error);
+        }
+        return elevations;
+    }
+    
+    clear() {
+        this.tiles.clear();
+    }
+}
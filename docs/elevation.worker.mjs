@@ -0,0 +1,20 @@
+import { ElevationDecoder, HeightMesh } from './elevation.mjs';
+
+// Runs HeightMesh.fromTile() for ElevationWorkerPool
+self.onmessage = ({ data }) => {
+    const { id, encoding, tile, options } = data;
+    const decoder = ElevationDecoder.decoders[encoding];
+    if (!decoder) {
+        self.postMessage({ id, error: `Unknown elevation encoding in worker: ${encoding}`, unsupported: true });
+        return;
+    }
+    
+    try {
+        const mesh = HeightMesh.fromTile(decoder, tile, options);
+        self.postMessage({ id, mesh }, HeightMesh.transferables(mesh));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    } finally {
+        if (tile.close) tile.close();
+    }
+};
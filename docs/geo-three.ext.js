@@ -1,14 +1,43 @@
-import { MapView, LODRaycast } from './render.mjs';
-import { ESRIMapsProvider, MapBoxProvider, DebugProvider } from './providers.mjs';
-import { UnitsUtils } from './utils.mjs';
-import { MapLocationStorage } from './storage-utils.mjs';
+import { MapView, LODRaycast, HEIGHT_MAGNIFY } from './render.mjs';
+import { ESRIMapsProvider, MapBoxProvider, DebugProvider, TemplateTileProvider, CachedProvider } from './providers.mjs';
+import { UnitsUtils, FetchUtils } from './utils.mjs';
+import { MapLocationStorage, TileStore } from './storage-utils.mjs';
+import { GeoJSONOverlay, BuildingsOverlay } from './overlays.mjs';
+import { ElevationSampler } from './elevation.mjs';
+import { MapLayer } from './layers.mjs';
+import { TerrainAnalysisProvider } from './analysis.mjs';
+import { ContourOverlay, ContourExporter } from './contours.mjs';
+import { WaterLevelOverlay } from './water.mjs';
+import { TerrainModifier } from './modifiers.mjs';
+import { MapScale } from './scale.mjs';
 
 export * from './utils.mjs';
 export * from './providers.mjs';
 export * from './render.mjs';
 export * from './storage-utils.mjs';
+export * from './tile-cache.mjs';
+export * from './elevation.mjs';
+export * from './archives.mjs';
+export * from './layers.mjs';
+export * from './vector-tiles.mjs';
+export * from './overlays.mjs';
+export * from './analysis.mjs';
+export * from './contours.mjs';
+export * from './water.mjs';
+export * from './modifiers.mjs';
+export * from './crs.mjs';
+export * from './scale.mjs';
 
 export class GeoThreeExtension extends Autodesk.Viewing.Extension {
+    // Viewer event fired when no provider could deliver a tile
+    static TILE_ERROR_EVENT = 'geoTerrainTileError';
+    // Viewer event fired when a context building is picked, or the selection cleared
+    static BUILDING_SELECTED_EVENT = 'geoTerrainBuildingSelected';
+    // Overlay scene of the context buildings, next to the 'map' scene
+    static BUILDINGS_SCENE = 'map-buildings';
+    // Geo.Tools tools that own canvas clicks while active: Quick Move, Full Align and Polyline
+    static GEO_TOOLS = ['quick-move-tool', 'full-align-tool', 'polyline-measure-tool'];
+    
     constructor(viewer, options) {
         super(viewer, options);
         this.map = null;
@@ -19,6 +48,17 @@ export class GeoThreeExtension extends Autodesk.Viewing.Extension {
         this.onMouseWheel = this.onMouseWheel.bind(this);
         this.onCameraChange = this.onCameraChange.bind(this);
         this.onDoubleClick = this.onDoubleClick.bind(this);
+        this.onTileError = this.onTileError.bind(this);
+        this.failingProviders = new WeakSet(); // Providers already reported on the console
+        this.onOverlayUpdate = this.onOverlayUpdate.bind(this);
+        this.geoJSONOverlays = [];
+        this.contours = null;
+        this.water = null;
+        this.submergedHighlight = null; // { model, colors } re-themed when the water level moves
+        this.onBuildingClick = this.onBuildingClick.bind(this);
+        this.buildingOverlays = [];
+        this.selectedBuilding = null;
+        this.buildingPopup = null;
         this.creditOverlay = null;
         
         // LOD update management
@@ -26,6 +66,24 @@ export class GeoThreeExtension extends Autodesk.Viewing.Extension {
         this.lodStopTimeout = null;
         this.updateFrequency = 120; // Update frequency in ms
         this.lodContinueDuration = 3000; // Continue LOD updates for 3 seconds after camera stops
+        this.lodMode = options?.lodMode ?? MapView.LOD_RAYCAST; // MapView.LOD_RAYCAST or MapView.LOD_FRUSTUM
+        this.rootMode = options?.rootMode ?? MapView.HEIGHT; // MapView.HEIGHT, HEIGHT_SHADER, SPHERICAL or PLANAR
+        this.tileCacheBytes = options?.tileCacheBytes ?? 256 * 1024 * 1024; // Budget for tiles kept for reuse after simplify
+        this.maxConcurrentRequests = options?.maxConcurrentRequests ?? 6; // Tile fetches in flight at once
+        this.skirtDepth = options?.skirtDepth ?? 0; // Metres of skirt hiding cracks between terrain tiles, 0 disables
+        this.maxZoom = options?.maxZoom ?? 22; // Deepest tile level, past each provider's maxZoom tiles are upsampled from ancestors
+        this.exaggeration = options?.exaggeration ?? HEIGHT_MAGNIFY; // Vertical exaggeration of terrain heights
+        this.heightProvider = options?.heightProvider ?? null; // Any provider declaring an elevation encoding, MapBox terrain-RGB when null
+        this.elevationWorkers = options?.elevationWorkers ?? null; // Workers decoding height tiles, 0 decodes on the main thread, null picks from CPU count
+        this.basemap = options?.basemap ?? null; // { url, subdomains, minZoom, maxZoom, headers, attribution } for a TemplateTileProvider, ESRI imagery when null
+        this.persistentCache = options?.persistentCache ?? false; // true or TileStore options { maxBytes, maxAge } to keep tiles in IndexedDB
+        this.layers = options?.layers ?? []; // MapLayer overlays composited over the basemap, bottom to top
+        this.terrainModifiers = []; // TerrainModifier cut-outs and pads, e.g. under placed models
+        this.tileStore = null;
+        this.elevationSampler = null;
+        this.mapScale = null;
+        this.analysis = null; // { provider, layer } or { provider, baseProvider } of the shown terrain analysis
+        this.legend = null;
         
         // Initialize default tile location (will be loaded from localStorage in load())
         this.defaultTileLocation = {
@@ -50,14 +108,22 @@ export class GeoThreeExtension extends Autodesk.Viewing.Extension {
         
         // Use Debug provider to show tile boundaries and coordinates
         // this.provider = new DebugProvider();
-        // Use ESRI as default provider (no API key required)
-        this.provider = new ESRIMapsProvider(ESRIMapsProvider.IMAGERY);
+        // Use ESRI as default provider (no API key required), or a configured tile server
+        this.provider = this.basemap
+            ? new TemplateTileProvider(this.basemap.url, this.basemap)
+            : new ESRIMapsProvider(ESRIMapsProvider.IMAGERY);
         
         // Optional: Keep MapBox for terrain height data
         const token = "sk.eyJ1Ijoid2FsbGFieXdheSIsImEiOiJjbW1qdDNmaWgxNWg5MnFwenU3Mm54djcwIn0.WirBBY6ovnncEwLsf520eg";
-        const heightProvider = new MapBoxProvider(token, 'mapbox.terrain-rgb', MapBoxProvider.STYLE);
+        let heightProvider = this.heightProvider ?? new MapBoxProvider(token, 'mapbox.terrain-rgb', MapBoxProvider.STYLE);
+        
+        if (this.persistentCache) {
+            this.tileStore = new TileStore(this.persistentCache === true ? {} : this.persistentCache);
+            this.provider = new CachedProvider(this.provider, this.tileStore);
+            heightProvider = new CachedProvider(heightProvider, this.tileStore);
+        }
         
-        this.map = new MapView(MapView.HEIGHT, this.provider, heightProvider, this.defaultTileLocation);
+        this.map = this.createMap(this.rootMode, this.provider, heightProvider);
         this.map.position.set(14900, -27300, -85);
         
         this.viewer.overlays.addScene('map');
@@ -79,12 +145,575 @@ export class GeoThreeExtension extends Autodesk.Viewing.Extension {
         // Add double-click handler for flying to terrain point (capture phase to override other tools)
         this.viewer.canvas.addEventListener('dblclick', this.onDoubleClick, { capture: true });
         
+        // Add click handler for picking context buildings
+        this.viewer.canvas.addEventListener('click', this.onBuildingClick);
+        
         // Create Esri basemap credit overlay
         this.createCreditOverlay();
         
         return true;
     }
     
+    /**
+     * Create a MapView at the current tile location with the extension's map settings
+     * @param {number} rootMode - MapView root mode
+     * @param {MapProvider} provider - Imagery provider
+     * @param {MapProvider} heightProvider - Terrain height provider
+     * @returns {MapView}
+     */
+    createMap(rootMode, provider, heightProvider) {
+        const map = new MapView(rootMode, provider, heightProvider, this.defaultTileLocation);
+        map.setLODMode(this.lodMode);
+        map.cache.setMaxBytes(this.tileCacheBytes);
+        map.scheduler.maxConcurrent = this.maxConcurrentRequests;
+        map.skirtDepth = this.skirtDepth;
+        map.maxZoom = this.maxZoom;
+        map.setExaggeration(this.exaggeration);
+        if (this.elevationWorkers !== null) map.workers.size = this.elevationWorkers;
+        map.layers = this.layers; // Shared, so runtime layer changes survive setTileLocation()
+        if (this.layers.length > 0) map.refreshLayers();
+        map.modifiers = this.terrainModifiers; // Shared like the layers, tiles load with them applied
+        map.addEventListener('tileerror', this.onTileError);
+        return map;
+    }
+    
+    /**
+     * Forward MapView tile failures to the viewer, so apps can show a warning. The console
+     * only gets the first failure of each provider, an offline map would flood it otherwise.
+     */
+    onTileError({ level, x, y, provider, error }) {
+        if (!this.failingProviders.has(provider)) {
+            this.failingProviders.add(provider);
+            console.warn(`Geo.Terrain: tile ${level}/${x}/${y} failed to load, further failures of this provider are only sent as ${GeoThreeExtension.TILE_ERROR_EVENT} events:`, error);
+        }
+        this.viewer.dispatchEvent({ type: GeoThreeExtension.TILE_ERROR_EVENT, level, x, y, provider, error });
+    }
+    
+    /**
+     * Tile cache statistics, useful to tune the tileCacheBytes budget
+     * @returns {{hits: number, misses: number, evictions: number, entries: number, sharedTiles: number, bytes: number, maxBytes: number}}
+     */
+    getTileCacheStats() {
+        return this.map ? this.map.cache.getStats() : null;
+    }
+    
+    /**
+     * Elevation of a point from the height tile at the requested level, bilinearly
+     * interpolated and independent of the loaded level of detail
+     * @param {number} longitude - Degrees
+     * @param {number} latitude - Degrees
+     * @param {Object} options
+     * @param {number} options.minLevel - Tile level to sample, defaults to the height provider's max zoom
+     * @returns {Promise<number>} Metres
+     */
+    async getElevation(longitude, latitude, options) {
+        return this.getElevationSampler().getElevation(longitude, latitude, options);
+    }
+    
+    /**
+     * Elevations of many points, each height tile is fetched once
+     * @param {Array} points - [longitude, latitude] pairs
+     * @param {Object} options - See getElevation()
+     * @returns {Promise<Array>} Metres per point, null where the tile failed to load
+     */
+    async getElevations(points, options) {
+        return this.getElevationSampler().getElevations(points, options);
+    }
+    
+    /**
+     * Sampler of the map's height provider, sharing the map's request queue and tiles
+     * @returns {ElevationSampler}
+     */
+    getElevationSampler() {
+        if (!this.map) throw new Error('Geo.Terrain: no map yet, query elevations once the extension is loaded');
+        const { heightProvider, scheduler, cache } = this.map;
+        if (this.elevationSampler?.provider !== heightProvider || this.elevationSampler.cache !== cache) {
+            this.elevationSampler = new ElevationSampler(heightProvider, { scheduler, cache });
+        }
+        return this.elevationSampler;
+    }
+    
+    /**
+     * Metres of world space distances on the current map, for measurements and exports
+     * @returns {MapScale}
+     */
+    getMapScale() {
+        if (this.mapScale?.mapView !== this.map) this.mapScale = new MapScale(this.map);
+        return this.mapScale;
+    }
+    
+    /**
+     * Download imagery and terrain of an area into the persistent cache
+     * @param {Array} bounds - [west, south, east, north] in degrees
+     * @param {number} minZoom - First zoom level
+     * @param {number} maxZoom - Last zoom level
+     * @param {Object} options - See CachedProvider.seed()
+     * @returns {Promise<Array>} Seeding results of the imagery and height providers
+     */
+    async seedTileCache(bounds, minZoom, maxZoom, options) {
+        if (!this.tileStore) throw new Error('Enable the persistentCache option to seed tiles');
+        const providers = [this.map.provider, this.map.heightProvider].filter(provider => provider instanceof CachedProvider);
+        return Promise.all(providers.map(provider => provider.seed(bounds, minZoom, maxZoom, options)));
+    }
+    
+    /**
+     * Switch between raycast and frustum LOD at runtime
+     * @param {string} lodMode - MapView.LOD_RAYCAST or MapView.LOD_FRUSTUM
+     */
+    setLODMode(lodMode) {
+        this.lodMode = lodMode;
+        if (this.map) this.map.setLODMode(lodMode);
+    }
+    
+    /**
+     * Change the vertical exaggeration at runtime, tiles are re-displaced without refetching
+     * @param {number} exaggeration - World units per metre of terrain height
+     */
+    setExaggeration(exaggeration) {
+        this.exaggeration = exaggeration;
+        if (this.map) this.map.setExaggeration(exaggeration);
+        this.viewer.impl.invalidate(true);
+    }
+    
+    /**
+     * Add a raster overlay above the basemap, e.g. parcels or utilities
+     * @param {MapLayer} layer
+     * @param {number} index - Position in the stack, defaults to the top
+     * @returns {MapLayer}
+     */
+    addLayer(layer, index) {
+        this.map.addLayer(layer, index);
+        this.refreshLayers();
+        return layer;
+    }
+    
+    removeLayer(layer) {
+        this.map.removeLayer(layer);
+        this.refreshLayers();
+    }
+    
+    moveLayer(layer, index) {
+        this.map.moveLayer(layer, index);
+        this.refreshLayers();
+    }
+    
+    /**
+     * Change opacity, blendMode, visible, minZoom or maxZoom of a layer
+     */
+    updateLayer(layer, properties) {
+        this.map.updateLayer(layer, properties);
+        this.refreshLayers();
+    }
+    
+    /**
+     * Drape GeoJSON features on the terrain, they follow it as height tiles refine
+     * @param {Object|string} geojson - FeatureCollection, Feature or geometry in WGS84, or its URL
+     * @param {Object|Function} style - See GeoJSONOverlay.DEFAULT_STYLE
+     * @returns {Promise<GeoJSONOverlay>}
+     */
+    async addGeoJSON(geojson, style) {
+        if (typeof geojson === 'string') geojson = await FetchUtils.request(geojson);
+        const overlay = new GeoJSONOverlay(this.map, geojson, style);
+        overlay.addEventListener('update', this.onOverlayUpdate);
+        this.geoJSONOverlays.push(overlay);
+        this.viewer.overlays.addMesh(overlay, 'map');
+        this.viewer.impl.invalidate(false, false, true);
+        return overlay;
+    }
+    
+    removeGeoJSON(overlay) {
+        const index = this.geoJSONOverlays.indexOf(overlay);
+        if (index < 0) return;
+        this.geoJSONOverlays.splice(index, 1);
+        this.viewer.overlays.removeMesh(overlay, 'map');
+        overlay.removeEventListener('update', this.onOverlayUpdate);
+        overlay.dispose();
+        this.viewer.impl.invalidate(false, false, true);
+    }
+    
+    /**
+     * Draw contour lines of the loaded terrain, replacing any shown before
+     * @param {Object} style - See ContourOverlay.DEFAULT_STYLE, e.g. interval and indexEvery
+     * @returns {ContourOverlay}
+     */
+    showContours(style) {
+        this.hideContours();
+        this.contours = new ContourOverlay(this.map, style);
+        this.contours.addEventListener('update', this.onOverlayUpdate);
+        this.viewer.overlays.addMesh(this.contours, 'map');
+        this.viewer.impl.invalidate(false, false, true);
+        return this.contours;
+    }
+    
+    hideContours() {
+        if (!this.contours) return;
+        this.viewer.overlays.removeMesh(this.contours, 'map');
+        this.contours.removeEventListener('update', this.onOverlayUpdate);
+        this.contours.dispose();
+        this.contours = null;
+        this.viewer.impl.invalidate(false, false, true);
+    }
+    
+    /**
+     * Download the shown contours as GeoJSON LineStrings with their elevation
+     * @param {Object} options - See PolylineExporter, e.g. { crs: 'EPSG:32610' }
+     * @returns {Object} Result with success status and featureCount or error
+     */
+    exportContours(options) {
+        if (!this.contours) return { success: false, error: 'No contours shown' };
+        return new ContourExporter(this.viewer, this.contours, options).export();
+    }
+    
+    /**
+     * Hide, clip or flatten the terrain inside an outline
+     * @param {Array} outline - [lon, lat] positions, or world space points such as Geo.Tools polyline points
+     * @param {Object} options
+     * @param {string} options.mode - TerrainModifier.HIDE, CLIP or FLATTEN
+     * @param {number} options.elevation - Pad elevation in metres for CLIP and FLATTEN
+     * @returns {TerrainModifier}
+     */
+    addTerrainModifier(outline, { mode = TerrainModifier.FLATTEN, elevation = 0 } = {}) {
+        const polygon = outline.map(point => {
+            if (Array.isArray(point)) return point;
+            const { longitude, latitude } = this.map.localToLonLat(this.map.worldToLocal(new THREE.Vector3(point.x, point.y, point.z)));
+            return [longitude, latitude];
+        });
+        const modifier = this.map.addModifier(new TerrainModifier(polygon, { mode, elevation }));
+        this.viewer.impl.invalidate(false, false, true);
+        return modifier;
+    }
+    
+    /**
+     * Hide, clip or flatten the terrain under a model's bounding box, at the model's base by default
+     * @param {Autodesk.Viewing.Model} model - Defaults to the viewer's model
+     * @param {Object} options - See addTerrainModifier()
+     * @returns {TerrainModifier}
+     */
+    addModelTerrainModifier(model = this.viewer.model, { mode = TerrainModifier.FLATTEN, elevation } = {}) {
+        const box = model.getBoundingBox();
+        const { min, max } = box;
+        const outline = [
+            { x: min.x, y: min.y, z: min.z },
+            { x: max.x, y: min.y, z: min.z },
+            { x: max.x, y: max.y, z: min.z },
+            { x: min.x, y: max.y, z: min.z }
+        ];
+        return this.addTerrainModifier(outline, { mode, elevation: elevation ?? this.map.worldToElevation(min) });
+    }
+    
+    removeTerrainModifier(modifier) {
+        this.map.removeModifier(modifier);
+        this.viewer.impl.invalidate(false, false, true);
+    }
+    
+    /**
+     * Show water up to an elevation, or move the water shown
+     * @param {number} level - Water elevation in metres
+     * @param {Object} style - See WaterLevelOverlay.DEFAULT_STYLE, only used when the water is first shown
+     * @returns {WaterLevelOverlay}
+     */
+    setWaterLevel(level, style) {
+        if (this.water) {
+            this.water.setLevel(level);
+            if (this.submergedHighlight) this.highlightSubmergedObjects(this.submergedHighlight.model, this.submergedHighlight.colors);
+            return this.water;
+        }
+        this.water = new WaterLevelOverlay(this.map, level, style);
+        this.water.addEventListener('update', this.onOverlayUpdate);
+        this.viewer.overlays.addMesh(this.water, 'map');
+        this.viewer.impl.invalidate(false, false, true);
+        return this.water;
+    }
+    
+    clearWaterLevel() {
+        if (!this.water) return;
+        this.clearSubmergedHighlight();
+        this.viewer.overlays.removeMesh(this.water, 'map');
+        this.water.removeEventListener('update', this.onOverlayUpdate);
+        this.water.dispose();
+        this.water = null;
+        this.viewer.impl.invalidate(false, false, true);
+    }
+    
+    /**
+     * Model objects below the water level, from the world bounds of their fragments
+     * @param {Autodesk.Viewing.Model} model - Defaults to the viewer's model
+     * @returns {{submerged: number[], partial: number[]}} dbIds entirely and partly under water
+     */
+    getSubmergedObjects(model = this.viewer.model) {
+        const result = { submerged: [], partial: [] };
+        if (!this.water || !model) return result;
+        const fragments = model.getFragmentList();
+        const ranges = new Map(); // dbId -> [min, max] elevation
+        const box = new THREE.Box3();
+        const corner = new THREE.Vector3();
+        for (let fragId = 0; fragId < fragments.getCount(); fragId++) {
+            const dbId = fragments.fragments.fragId2dbId[fragId];
+            fragments.getWorldBounds(fragId, box);
+            if (box.min.x > box.max.x) continue; // No geometry
+            const range = ranges.get(dbId) ?? [Infinity, -Infinity];
+            // Corners, as the map may be tilted against the world axes
+            for (let i = 0; i < 8; i++) {
+                corner.set(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z);
+                const elevation = this.map.worldToElevation(corner);
+                range[0] = Math.min(range[0], elevation);
+                range[1] = Math.max(range[1], elevation);
+            }
+            ranges.set(dbId, range);
+        }
+        ranges.forEach(([min, max], dbId) => {
+            const inundation = this.water.getInundation(min, max);
+            if (inundation === WaterLevelOverlay.SUBMERGED) result.submerged.push(dbId);
+            else if (inundation === WaterLevelOverlay.PARTIAL) result.partial.push(dbId);
+        });
+        return result;
+    }
+    
+    /**
+     * Tint the model objects below the water, updated as the level moves
+     * @param {Autodesk.Viewing.Model} model - Defaults to the viewer's model
+     * @param {Object} colors
+     * @param {string} colors.submerged - Objects entirely under water
+     * @param {string} colors.partial - Objects crossing the water level
+     * @returns {{submerged: number[], partial: number[]}} See getSubmergedObjects()
+     */
+    highlightSubmergedObjects(model = this.viewer.model, { submerged = '#08306b', partial = '#2a7fd4' } = {}) {
+        if (this.submergedHighlight) this.viewer.clearThemingColors(this.submergedHighlight.model);
+        this.submergedHighlight = { model, colors: { submerged, partial } };
+        const objects = this.getSubmergedObjects(model);
+        const toVector = color => {
+            const { r, g, b } = new THREE.Color(color);
+            return new THREE.Vector4(r, g, b, 1);
+        };
+        [[objects.submerged, submerged], [objects.partial, partial]].forEach(([dbIds, color]) => {
+            const theme = toVector(color);
+            dbIds.forEach(dbId => this.viewer.setThemingColor(dbId, theme, model));
+        });
+        this.viewer.impl.invalidate(true);
+        return objects;
+    }
+    
+    clearSubmergedHighlight() {
+        if (!this.submergedHighlight) return;
+        this.viewer.clearThemingColors(this.submergedHighlight.model);
+        this.submergedHighlight = null;
+        this.viewer.impl.invalidate(true);
+    }
+    
+    /**
+     * Flooded ground area in view, of the water over displayed tiles
+     * @returns {number} m², 0 without water
+     */
+    getFloodedArea() {
+        if (!this.water) return 0;
+        const camera = this.viewer.getCamera();
+        const projection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        const frustum = new THREE.Frustum();
+        if (frustum.setFromProjectionMatrix) {
+            frustum.setFromProjectionMatrix(projection);
+        } else {
+            frustum.setFromMatrix(projection);
+        }
+        return this.water.getFloodedArea(frustum);
+    }
+    
+    /**
+     * Extrude context buildings from footprint polygons, seated on the terrain
+     * @param {Object|string} geojson - Footprints with height or building:levels properties, or their URL
+     * @param {Object|Function} style - See BuildingsOverlay.DEFAULT_STYLE
+     * @returns {Promise<BuildingsOverlay>}
+     */
+    async addBuildings(geojson, style) {
+        if (typeof geojson === 'string') geojson = await FetchUtils.request(geojson);
+        const overlay = new BuildingsOverlay(this.map, geojson, style);
+        overlay.addEventListener('update', this.onOverlayUpdate);
+        if (!this.viewer.overlays.hasScene(GeoThreeExtension.BUILDINGS_SCENE)) {
+            this.viewer.overlays.addScene(GeoThreeExtension.BUILDINGS_SCENE);
+        }
+        this.viewer.overlays.addMesh(overlay, GeoThreeExtension.BUILDINGS_SCENE);
+        this.buildingOverlays.push(overlay);
+        this.viewer.impl.invalidate(false, false, true);
+        return overlay;
+    }
+    
+    removeBuildings(overlay) {
+        const index = this.buildingOverlays.indexOf(overlay);
+        if (index < 0) return;
+        if (overlay.children.includes(this.selectedBuilding)) this.selectBuilding(null);
+        this.buildingOverlays.splice(index, 1);
+        this.viewer.overlays.removeMesh(overlay, GeoThreeExtension.BUILDINGS_SCENE);
+        if (this.buildingOverlays.length === 0) this.viewer.overlays.removeScene(GeoThreeExtension.BUILDINGS_SCENE);
+        overlay.removeEventListener('update', this.onOverlayUpdate);
+        overlay.dispose();
+        this.viewer.impl.invalidate(false, false, true);
+    }
+    
+    /**
+     * Context building under a canvas position
+     * @returns {Object|null} Intersection with the building mesh, its userData.feature holds the attributes
+     */
+    pickBuilding(canvasX, canvasY) {
+        const ray = this.viewer.impl.viewportToRay(this.viewer.impl.clientToViewport(canvasX, canvasY));
+        if (!ray) return null;
+        this.raycaster.ray.origin.copy(ray.origin);
+        this.raycaster.ray.direction.copy(ray.direction);
+        return this.buildingOverlays
+            .map(overlay => overlay.pick(this.raycaster))
+            .filter(hit => hit)
+            .sort((a, b) => a.distance - b.distance)[0] ?? null;
+    }
+    
+    onBuildingClick(event) {
+        if (this.buildingOverlays.length === 0) return;
+        // Clicks belong to the active measuring or alignment tool
+        const toolController = this.viewer.toolController;
+        if (GeoThreeExtension.GEO_TOOLS.some(name => toolController.isToolActivated(name))) return;
+        const toolName = toolController.getActiveTool()?.getName?.() ?? '';
+        if (toolName.startsWith('Edit2D')) return;
+        
+        const rect = this.viewer.canvas.getBoundingClientRect();
+        const canvasX = event.clientX - rect.left;
+        const canvasY = event.clientY - rect.top;
+        const hit = this.pickBuilding(canvasX, canvasY);
+        this.selectBuilding(hit ? hit.object : null, canvasX, canvasY);
+    }
+    
+    /**
+     * Highlight a building and show its attributes next to the given canvas position
+     * @param {THREE.Mesh|null} mesh - Building mesh, null clears the selection
+     */
+    selectBuilding(mesh, canvasX = 0, canvasY = 0) {
+        this.selectedBuilding = mesh;
+        this.buildingOverlays.forEach(overlay => overlay.select(mesh));
+        this.hideBuildingPopup();
+        const feature = mesh ? mesh.userData.feature : null;
+        if (feature) this.showBuildingPopup(feature, canvasX, canvasY);
+        this.viewer.dispatchEvent({ type: GeoThreeExtension.BUILDING_SELECTED_EVENT, feature });
+    }
+    
+    showBuildingPopup(feature, canvasX, canvasY) {
+        this.buildingPopup = document.createElement('div');
+        this.buildingPopup.style.cssText = `
+            position: absolute;
+            left: ${canvasX + 12}px;
+            top: ${canvasY + 12}px;
+            max-width: 280px;
+            max-height: 240px;
+            overflow: auto;
+            font-size: 8pt;
+            color: rgba(0, 0, 0, 0.85);
+            background-color: rgba(255, 255, 255, 0.92);
+            padding: 6px 8px;
+            border-radius: 3px;
+            font-family: Arial, sans-serif;
+            z-index: 1000;
+        `;
+        
+        const entries = Object.entries(feature.properties ?? {});
+        if (entries.length === 0) entries.push(['', 'No attributes']);
+        const table = document.createElement('table');
+        entries.forEach(([key, value]) => {
+            const row = table.insertRow();
+            // Attributes come from external data, never inject them as HTML
+            row.insertCell().textContent = key;
+            row.insertCell().textContent = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            row.cells[0].style.fontWeight = 'bold';
+            row.cells[0].style.paddingRight = '8px';
+        });
+        this.buildingPopup.appendChild(table);
+        this.viewer.container.appendChild(this.buildingPopup);
+    }
+    
+    hideBuildingPopup() {
+        if (this.buildingPopup && this.buildingPopup.parentNode) {
+            this.buildingPopup.parentNode.removeChild(this.buildingPopup);
+        }
+        this.buildingPopup = null;
+    }
+    
+    onOverlayUpdate() {
+        this.viewer.impl.invalidate(false, false, true);
+    }
+    
+    /**
+     * Show a terrain analysis computed from the height tiles, with its legend
+     * @param {string|null} mode - TerrainAnalysisProvider.HILLSHADE, SLOPE or ASPECT, null removes it
+     * @param {Object} options - TerrainAnalysisProvider options, plus:
+     * @param {string} options.display - 'overlay' blends it over the imagery, 'texture' replaces the imagery
+     * @param {number} options.opacity - Overlay opacity
+     * @returns {TerrainAnalysisProvider|null}
+     */
+    setAnalysis(mode, { display = 'overlay', opacity = 0.6, ...options } = {}) {
+        if (this.analysis) {
+            if (this.analysis.layer) this.removeLayer(this.analysis.layer);
+            else this.map.setProvider(this.analysis.baseProvider);
+            this.analysis = null;
+        }
+        this.hideLegend();
+        if (!mode) {
+            this.refreshLayers();
+            return null;
+        }
+        
+        const provider = new TerrainAnalysisProvider(this.map.heightProvider, { mode, ...options });
+        if (display === 'texture') {
+            this.analysis = { provider, baseProvider: this.map.provider };
+            this.map.setProvider(provider);
+            this.refreshLayers();
+        } else {
+            // Multiplying keeps the imagery visible under the shading
+            const blendMode = mode === TerrainAnalysisProvider.HILLSHADE ? 'multiply' : 'source-over';
+            const layer = new MapLayer(provider, { name: mode, opacity, blendMode });
+            this.analysis = { provider, layer };
+            this.addLayer(layer);
+        }
+        this.showLegend(provider.getLegend());
+        return provider;
+    }
+    
+    showLegend({ title, entries }) {
+        this.legend = document.createElement('div');
+        this.legend.style.cssText = `
+            position: absolute;
+            bottom: 10px;
+            left: 10px;
+            font-size: 8pt;
+            color: rgba(0, 0, 0, 0.85);
+            background-color: rgba(255, 255, 255, 0.85);
+            padding: 6px 8px;
+            border-radius: 3px;
+            font-family: Arial, sans-serif;
+            pointer-events: none;
+            z-index: 1000;
+        `;
+        const heading = document.createElement('div');
+        heading.textContent = title;
+        heading.style.fontWeight = 'bold';
+        heading.style.marginBottom = '4px';
+        this.legend.appendChild(heading);
+        entries.forEach(({ color, label }) => {
+            const row = document.createElement('div');
+            const swatch = document.createElement('span');
+            swatch.style.cssText = `display: inline-block; width: 12px; height: 10px; margin-right: 6px; border: 1px solid #888; background: ${color};`;
+            row.appendChild(swatch);
+            row.appendChild(document.createTextNode(label));
+            this.legend.appendChild(row);
+        });
+        this.viewer.container.appendChild(this.legend);
+    }
+    
+    hideLegend() {
+        if (this.legend && this.legend.parentNode) {
+            this.legend.parentNode.removeChild(this.legend);
+        }
+        this.legend = null;
+    }
+    
+    refreshLayers() {
+        // Keep rendering while the composited textures arrive
+        this.onCameraChange();
+    }
+    
     async createCreditOverlay() {
         // Create the credit overlay element
         this.creditOverlay = document.createElement('div');
@@ -207,11 +836,10 @@ export class GeoThreeExtension extends Autodesk.Viewing.Extension {
         const camera = this.viewer.getCamera();
         const updateLOD = () => {
             try {
-                if (!this.map || !this.map.lod) return;
+                if (!this.map) return;
                 
                 this.viewer.autocam.toPerspective();
-                this.map.lod.updateLOD(
-                    this.map, 
+                this.map.updateLOD(
                     camera, 
                     this.viewer.impl.glrenderer(), 
                     this.viewer.overlays.impl.overlayScenes.map.scene, 
@@ -279,21 +907,20 @@ export class GeoThreeExtension extends Autodesk.Viewing.Extension {
             // Store the current position
             const position = this.map.position.clone();
             
-            // Remove the old map
+            // Remove the old map and release its GPU resources
             this.viewer.overlays.removeMesh(this.map, 'map');
+            this.map.removeEventListener('tileerror', this.onTileError);
+            this.map.dispose();
             
             // Create a new map with the new tile location
-            this.map = new MapView(
-                this.map.rootMode, 
-                this.map.provider, 
-                this.map.heightProvider, 
-                this.defaultTileLocation
-            );
+            this.map = this.createMap(this.map.rootMode, this.map.provider, this.map.heightProvider);
             this.map.position.copy(position);
             
             // Re-add to the scene
             this.viewer.overlays.addMesh(this.map, 'map');
             this.map.updateMatrixWorld(false);
+            [...this.geoJSONOverlays, ...this.buildingOverlays].forEach(overlay => overlay.setMapView(this.map));
+            [this.contours, this.water].forEach(overlay => overlay?.setMapView(this.map));
             
             // Trigger a re-render
             this.viewer.impl.invalidate(true);
@@ -316,20 +943,31 @@ export class GeoThreeExtension extends Autodesk.Viewing.Extension {
             this.viewer.canvas.removeEventListener('mousemove', this.onMouseMove);
             this.viewer.canvas.removeEventListener('wheel', this.onMouseWheel);
             this.viewer.canvas.removeEventListener('dblclick', this.onDoubleClick, { capture: true });
+            this.viewer.canvas.removeEventListener('click', this.onBuildingClick);
         }
         
         // Stop LOD updates
         this.stopLODUpdates();
         
+        this.hideLegend();
+        this.hideBuildingPopup();
+        
         // Remove credit overlay
         if (this.creditOverlay && this.creditOverlay.parentNode) {
             this.creditOverlay.parentNode.removeChild(this.creditOverlay);
             this.creditOverlay = null;
         }
         
+        [...this.geoJSONOverlays].forEach(overlay => this.removeGeoJSON(overlay));
+        this.hideContours();
+        this.clearWaterLevel();
+        [...this.buildingOverlays].forEach(overlay => this.removeBuildings(overlay));
+        
         if (this.map) {
             this.viewer.overlays.removeMesh(this.map, 'map');
             this.viewer.overlays.removeScene('map');
+            this.map.removeEventListener('tileerror', this.onTileError);
+            this.map.dispose();
             this.map = null;
         }
         return true;
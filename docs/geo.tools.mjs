@@ -11,6 +11,7 @@
 
 import { ModelTransformStorage, PolylineStorage, MapLocationStorage, getModelURN } from './storage-utils.mjs';
 import { UnitsUtils, PolylineExporter } from './utils.mjs';
+import { CRS } from './crs.mjs';
 
 // ============================================================================
 // SHARED CONSTANTS & UTILITIES
@@ -825,10 +826,11 @@ class PolylineTool extends BaseGeoTool {
             this.points.push(terrainHit);
             this._drawPoint(terrainHit);
             
+            let distance = 0;
             if (this.points.length > 1) {
                 const prevPoint = this.points[this.points.length - 2];
-                const distance = prevPoint.distanceTo(terrainHit);
-                this.totalDistance += distance;
+                distance = this._measure(prevPoint, terrainHit);
+                this.totalDistance += distance ?? 0;
                 this._drawLine(prevPoint, terrainHit);
                 this._createLabel(prevPoint, terrainHit, distance);
             }
@@ -839,24 +841,35 @@ class PolylineTool extends BaseGeoTool {
             this.viewer.impl.invalidate(true);
             
             this._saveToStorage();
-            this.updateStatusMessage(`Distance: ${(this.totalDistance * 0.13429 * 2).toFixed(2)}m (ESC to finish)`);
+            this.updateStatusMessage(distance === null ? 'Distance: needs the Geo.Terrain map (ESC to finish)' : `Distance: ${this.totalDistance.toFixed(2)}m (ESC to finish)`);
             return true;
         }
         return false;
     }
     
+    /**
+     * Metres between two terrain points, scaled by the map they were picked on
+     * @param {Object} tileLocation - Root tile of a stored polyline, the current one by default
+     * @returns {number|null} null without a Geo.Terrain map, the segment is then left unlabelled
+     */
+    _measure(p1, p2, tileLocation = null) {
+        const geoExt = this.viewer.getExtension('Geo.Terrain');
+        if (!geoExt?.map) return null;
+        return geoExt.getMapScale().getDistance(p1, p2, tileLocation ?? undefined);
+    }
+    
     _createLabel(p1, p2, distance) {
+        if (distance === null) return;
         const label = document.createElement('div');
         label.className = 'measure-length visible';
         
         const text = document.createElement('div');
         text.className = 'measure-length-text';
-        const distanceInMeters = distance * 0.13429 * 2;
         
-        if (distanceInMeters >= 1000) {
-            text.textContent = `${(distanceInMeters / 1000).toFixed(2)} km`;
+        if (distance >= 1000) {
+            text.textContent = `${(distance / 1000).toFixed(2)} km`;
         } else {
-            text.textContent = `${distanceInMeters.toFixed(2)} m`;
+            text.textContent = `${distance.toFixed(2)} m`;
         }
         label.appendChild(text);
         
@@ -974,20 +987,22 @@ class PolylineTool extends BaseGeoTool {
             this.polylines = data.completedPolylines;
             data.completedPolylines.forEach(polyline => {
                 if (polyline.points && polyline.points.length > 1) {
-                    this._restorePolyline(polyline.points);
+                    this._restorePolyline(polyline.points, polyline.tileLocation);
                 }
             });
         }
         
         if (data.currentPolyline && data.currentPolyline.points && data.currentPolyline.points.length > 0) {
-            this.totalDistance = data.currentPolyline.totalDistance || 0;
+            // Measured again, stored distances may predate the map scale
+            this.totalDistance = 0;
             data.currentPolyline.points.forEach(p => {
                 const point = new THREE.Vector3(p.x, p.y, p.z);
                 this.points.push(point);
                 
                 if (this.points.length > 1) {
                     const prevPoint = this.points[this.points.length - 2];
-                    const segmentDistance = prevPoint.distanceTo(point);
+                    const segmentDistance = this._measure(prevPoint, point);
+                    this.totalDistance += segmentDistance ?? 0;
                     this._drawLine(prevPoint, point);
                     this._createLabel(prevPoint, point, segmentDistance);
                 }
@@ -998,7 +1013,7 @@ class PolylineTool extends BaseGeoTool {
         this.viewer.impl.invalidate(true);
     }
     
-    _restorePolyline(pointsData) {
+    _restorePolyline(pointsData, tileLocation = null) {
         const restoredPoints = pointsData.map(p => new THREE.Vector3(p.x, p.y, p.z));
         
         for (let i = 0; i < restoredPoints.length; i++) {
@@ -1006,7 +1021,7 @@ class PolylineTool extends BaseGeoTool {
             
             if (i > 0) {
                 const prevPoint = restoredPoints[i - 1];
-                const segmentDistance = prevPoint.distanceTo(point);
+                const segmentDistance = this._measure(prevPoint, point, tileLocation);
                 this._drawLine(prevPoint, point);
                 this._createLabel(prevPoint, point, segmentDistance);
             }
@@ -1118,6 +1133,23 @@ class LocationPanel extends Autodesk.Viewing.UI.DockingPanel {
                     <button id="location-apply" class="loc-go-btn">Go</button>
                 </div>
             </div>
+            <div style="display: flex; gap: 12px; align-items: flex-end; margin-top: 12px;">
+                <div style="flex: 0 0 180px;">
+                    <label class="loc-input-label">Coordinate system</label>
+                    <select id="location-crs" class="loc-input">
+                        <option value="UTM">UTM (zone of the location)</option>
+                        <option value="EPSG:3857">EPSG:3857 Web Mercator</option>
+                    </select>
+                </div>
+                <div style="flex: 1;">
+                    <label class="loc-input-label">Easting</label>
+                    <input type="number" id="location-x" class="loc-input" step="any">
+                </div>
+                <div style="flex: 1;">
+                    <label class="loc-input-label">Northing</label>
+                    <input type="number" id="location-y" class="loc-input" step="any">
+                </div>
+            </div>
         `;
         
         // Append to scroll container instead of main container
@@ -1158,6 +1190,62 @@ class LocationPanel extends Autodesk.Viewing.UI.DockingPanel {
         contentDiv.querySelector('#location-lat').addEventListener('keypress', handleEnter);
         contentDiv.querySelector('#location-lon').addEventListener('keypress', handleEnter);
         contentDiv.querySelector('#location-zoom').addEventListener('keypress', handleEnter);
+        
+        // Projected coordinates follow the lat/long fields, and set them when edited
+        contentDiv.querySelector('#location-lat').addEventListener('input', () => this.updateProjected());
+        contentDiv.querySelector('#location-lon').addEventListener('input', () => this.updateProjected());
+        contentDiv.querySelector('#location-crs').addEventListener('focus', () => this.updateCRSOptions());
+        contentDiv.querySelector('#location-crs').addEventListener('change', () => this.updateProjected());
+        contentDiv.querySelector('#location-x').addEventListener('change', () => this.updateLatLon());
+        contentDiv.querySelector('#location-y').addEventListener('change', () => this.updateLatLon());
+        contentDiv.querySelector('#location-x').addEventListener('keypress', handleEnter);
+        contentDiv.querySelector('#location-y').addEventListener('keypress', handleEnter);
+        this.updateCRSOptions();
+        this.updateProjected();
+    }
+    
+    /**
+     * Add systems registered with CRS.register() since the panel was last shown
+     */
+    updateCRSOptions() {
+        const select = document.getElementById('location-crs');
+        if (!select) return;
+        const listed = new Set([...select.options].map(option => option.value));
+        CRS.definitions.forEach((definition, code) => {
+            if (!listed.has(code)) select.add(new Option(code, code));
+        });
+    }
+    
+    /**
+     * Coordinate system picked in the panel, UTM resolves to the zone of the entered location
+     * @returns {CRS|null}
+     */
+    getProjectedCRS() {
+        const value = document.getElementById('location-crs').value;
+        if (value !== 'UTM') return CRS.get(value);
+        const lat = parseFloat(document.getElementById('location-lat').value);
+        const lon = parseFloat(document.getElementById('location-lon').value);
+        return isNaN(lat) || isNaN(lon) ? null : CRS.utmFor(lon, lat);
+    }
+    
+    updateProjected() {
+        const lat = parseFloat(document.getElementById('location-lat').value);
+        const lon = parseFloat(document.getElementById('location-lon').value);
+        const crs = this.getProjectedCRS();
+        if (!crs || isNaN(lat) || isNaN(lon)) return;
+        const [x, y] = crs.forward([lon, lat]);
+        document.getElementById('location-x').value = x.toFixed(crs.isGeographic ? 7 : 2);
+        document.getElementById('location-y').value = y.toFixed(crs.isGeographic ? 7 : 2);
+    }
+    
+    updateLatLon() {
+        const x = parseFloat(document.getElementById('location-x').value);
+        const y = parseFloat(document.getElementById('location-y').value);
+        const crs = this.getProjectedCRS();
+        if (!crs || isNaN(x) || isNaN(y)) return;
+        const [lon, lat] = crs.inverse([x, y]);
+        document.getElementById('location-lat').value = lat.toFixed(6);
+        document.getElementById('location-lon').value = lon.toFixed(6);
     }
     
     applyLocation(lat, lon, zoom) {
@@ -1172,6 +1260,7 @@ class LocationPanel extends Autodesk.Viewing.UI.DockingPanel {
     setVisible(show) {
         // Use the parent's setVisible method
         super.setVisible(show);
+        if (show) this.updateCRSOptions();
     }
 }
 
@@ -1302,7 +1391,7 @@ class ToolbarManager {
             () => {
                 if (this.polylineTool && this.polylineTool.polylines.length > 0) {
                     try {
-                        const exporter = new PolylineExporter(this.viewer);
+                        const exporter = new PolylineExporter(this.viewer, { crs: this.extension.exportCRS });
                         const result = exporter.export();
                         if (result.success) {
                             console.log(`Exported ${result.featureCount} features to GeoJSON`);
@@ -1421,6 +1510,7 @@ class ToolbarManager {
 class GeoToolsExtension extends Autodesk.Viewing.Extension {
     constructor(viewer, options) {
         super(viewer, options);
+        this.exportCRS = options?.exportCRS ?? null; // CRS code or instance of exported GeoJSON positions, WGS84 when null
         this.quickMoveTool = null;
         this.fullAlignTool = null;
         this.polylineTool = null;
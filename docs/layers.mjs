@@ -0,0 +1,55 @@
+import { CanvasUtils } from './utils.mjs';
+
+/**
+ * Raster overlay drawn over the MapView's base imagery, e.g. parcel boundaries or
+ * utilities. Layers are composited into each tile's texture in stack order.
+ */
+export class MapLayer {
+    // Canvas globalCompositeOperation values
+    static BLEND_MODES = ['source-over', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge',
+        'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'];
+    
+    /**
+     * @param {MapProvider} provider - Tiles of the layer, transparent where the layer has no data
+     * @param {Object} options
+     * @param {string} options.name - Display name
+     * @param {number} options.opacity - 0 to 1
+     * @param {string} options.blendMode - One of MapLayer.BLEND_MODES
+     * @param {boolean} options.visible - Hidden layers are not fetched
+     * @param {number} options.minZoom - First level the layer is shown at
+     * @param {number} options.maxZoom - Last level the layer is shown at
+     */
+    constructor(provider, { name = '', opacity = 1, blendMode = 'source-over', visible = true, minZoom = 0, maxZoom = Infinity } = {}) {
+        if (!MapLayer.BLEND_MODES.includes(blendMode)) throw new Error(`Unknown blend mode: ${blendMode}`);
+        this.provider = provider;
+        this.name = name;
+        this.opacity = opacity;
+        this.blendMode = blendMode;
+        this.visible = visible;
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+    }
+    
+    isVisibleAt(level) {
+        return this.visible && this.opacity > 0 && level >= this.minZoom && level <= this.maxZoom;
+    }
+    
+    /**
+     * Draw layer images over a base image
+     * @param {CanvasImageSource} base - Base imagery, sets the composite size
+     * @param {Array} entries - { layer, image } bottom to top, entries without image are skipped
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    static composite(base, entries) {
+        const canvas = CanvasUtils.createOffscreenCanvas(base.width, base.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(base, 0, 0);
+        entries.forEach(({ layer, image }) => {
+            if (!image) return;
+            ctx.globalAlpha = layer.opacity;
+            ctx.globalCompositeOperation = layer.blendMode;
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        });
+        return canvas;
+    }
+}
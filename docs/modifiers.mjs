@@ -0,0 +1,148 @@
+import { UnitsUtils } from './utils.mjs';
+
+/**
+ * Polygon reshaping the terrain inside it, e.g. under a placed BIM model: HIDE cuts a hole,
+ * CLIP lowers terrain above the elevation to it and FLATTEN levels everything to it.
+ * Tests run in Web Mercator, so polygon edges are straight on the map.
+ */
+export class TerrainModifier {
+    static HIDE = 'hide';
+    static CLIP = 'clip';
+    static FLATTEN = 'flatten';
+    
+    /**
+     * @param {Array} polygon - [lon, lat] positions, closing point optional
+     * @param {Object} options
+     * @param {string} options.mode - HIDE, CLIP or FLATTEN
+     * @param {number} options.elevation - Pad elevation in metres, for CLIP and FLATTEN
+     */
+    constructor(polygon, { mode = TerrainModifier.FLATTEN, elevation = 0 } = {}) {
+        if (![TerrainModifier.HIDE, TerrainModifier.CLIP, TerrainModifier.FLATTEN].includes(mode)) {
+            throw new Error(`Unknown terrain modifier: ${mode}`);
+        }
+        const last = polygon[polygon.length - 1];
+        if (polygon.length > 1 && polygon[0][0] === last[0] && polygon[0][1] === last[1]) polygon = polygon.slice(0, -1);
+        if (polygon.length < 3) throw new Error('Terrain modifier polygon needs at least 3 points');
+        
+        this.polygon = polygon;
+        this.mode = mode;
+        this.elevation = elevation;
+        // Web Mercator, 0 to 1 over the world
+        this.points = polygon.map(([lon, lat]) => UnitsUtils.pointToTileFraction(lon, lat, 0).slice(0, 2));
+        const xs = this.points.map(([x]) => x);
+        const ys = this.points.map(([, y]) => y);
+        this.bounds = { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+    
+    /**
+     * Whether the polygon's bounds overlap a tile
+     */
+    intersectsTile(level, x, y) {
+        const size = 1 / Math.pow(2, level);
+        const { minX, minY, maxX, maxY } = this.bounds;
+        return minX <= (x + 1) * size && maxX >= x * size && minY <= (y + 1) * size && maxY >= y * size;
+    }
+    
+    /**
+     * Whether the polygon's bounds overlap another modifier's
+     * @param {TerrainModifier} other
+     */
+    intersects(other) {
+        const a = this.bounds;
+        const b = other.bounds;
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+    
+    /**
+     * Even-odd test of a Web Mercator position
+     */
+    contains(x, y) {
+        const { minX, minY, maxX, maxY } = this.bounds;
+        if (x < minX || x > maxX || y < minY || y > maxY) return false;
+        let inside = false;
+        for (let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+            const [xi, yi] = this.points[i];
+            const [xj, yj] = this.points[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+    
+    /**
+     * @param {number} height - Terrain height in metres
+     * @returns {number} Height once modified
+     */
+    modifyHeight(height) {
+        if (this.mode === TerrainModifier.CLIP) return Math.min(height, this.elevation);
+        if (this.mode === TerrainModifier.FLATTEN) return this.elevation;
+        return height;
+    }
+    
+    /**
+     * Modifiers overlapping a tile, in the order they apply
+     */
+    static forTile(modifiers, level, x, y) {
+        return modifiers.filter(modifier => modifier.intersectsTile(level, x, y));
+    }
+    
+    /**
+     * Heights of a tile grid reshaped by modifiers, later modifiers winning
+     * @param {TerrainModifier[]} modifiers
+     * @param {{level: number, x: number, y: number}} tile
+     * @param {Float32Array} heights - (gridSize + 1)² heights, rows from the north, then skirt heights
+     * @param {number} gridSize - Grid segments per side
+     * @param {Float32Array} positions - Vertex positions of the tile mesh, to follow skirts with their edge
+     * @returns {Float32Array} New heights
+     */
+    static modifyHeights(modifiers, { level, x, y }, heights, gridSize, positions = null) {
+        const result = heights.slice();
+        const stride = gridSize + 1;
+        const scale = Math.pow(2, level);
+        const modify = (col, row, height) => {
+            const mx = (x + col / gridSize) / scale;
+            const my = (y + row / gridSize) / scale;
+            return modifiers.reduce((value, modifier) => modifier.contains(mx, my) ? modifier.modifyHeight(value) : value, height);
+        };
+        for (let i = 0; i < stride * stride; i++) {
+            result[i] = modify(i % stride, Math.floor(i / stride), heights[i]);
+        }
+        if (positions) {
+            // Skirts hang below their edge vertex, keep them there
+            for (let i = stride * stride; i < heights.length; i++) {
+                const col = Math.round((positions[i * 3] + 0.5) * gridSize);
+                const row = Math.round((positions[i * 3 + 2] + 0.5) * gridSize);
+                const edge = row * stride + col;
+                result[i] = heights[i] + result[edge] - heights[edge];
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Triangles of a tile mesh left once HIDE modifiers cut their holes
+     * @param {TerrainModifier[]} modifiers
+     * @param {{level: number, x: number, y: number}} tile
+     * @param {Uint16Array|Uint32Array} indices - Triangle indices
+     * @param {Float32Array} positions - Vertex positions, X and Z from -0.5 to 0.5 over the tile
+     * @returns {Uint16Array|Uint32Array} Same array type as the indices
+     */
+    static cutIndices(modifiers, { level, x, y }, indices, positions) {
+        const holes = modifiers.filter(modifier => modifier.mode === TerrainModifier.HIDE);
+        if (holes.length === 0) return indices;
+        const scale = Math.pow(2, level);
+        const kept = [];
+        for (let t = 0; t < indices.length; t += 3) {
+            // Triangles go with their centroid
+            let cx = 0;
+            let cz = 0;
+            for (let k = 0; k < 3; k++) {
+                cx += positions[indices[t + k] * 3] / 3;
+                cz += positions[indices[t + k] * 3 + 2] / 3;
+            }
+            const mx = (x + cx + 0.5) / scale;
+            const my = (y + cz + 0.5) / scale;
+            if (!holes.some(hole => hole.contains(mx, my))) kept.push(indices[t], indices[t + 1], indices[t + 2]);
+        }
+        return indices.constructor.from(kept);
+    }
+}
@@ -0,0 +1,457 @@
+const THREE = window.THREE;
+
+import { MapView } from './render.mjs';
+
+/**
+ * GeoJSON features draped on the terrain of a MapView: points as markers, lines as
+ * polylines and polygons as translucent fills with outlines. Vertices are kept as
+ * lon/lat and clamped to the loaded terrain again whenever it refines.
+ */
+export class GeoJSONOverlay extends THREE.Object3D {
+    static DEFAULT_STYLE = {
+        color: '#ff6600',
+        opacity: 1,
+        fillColor: null, // Defaults to color
+        fillOpacity: 0.3,
+        markerSize: 6, // Marker diameter in metres
+        heightOffset: 1, // Metres above the terrain, keeps features from z-fighting with it
+        segmentLength: 10 // Metres between draped vertices
+    };
+    static MAX_SEGMENT_SPLITS = 512;
+    static MAX_TRIANGLE_DEPTH = 6;
+    static CLAMP_DELAY = 100; // ms, terrain changes come in bursts while tiles load
+    static METRES_PER_DEGREE = 111320;
+    
+    static MARKER_GEOMETRY = null;
+    
+    /**
+     * @param {MapView} mapView - Map the features are draped on
+     * @param {Object} geojson - FeatureCollection, Feature or geometry in WGS84
+     * @param {Object|Function} style - GeoJSONOverlay.DEFAULT_STYLE overrides, or a function of the feature returning them
+     */
+    constructor(mapView, geojson, style = {}) {
+        super();
+        this.mapView = null;
+        this.geojson = geojson;
+        this.style = style;
+        this.items = []; // { object, feature, coordinates: [lon, lat, ...], style }
+        this.clampTimeout = null;
+        this.matrixAutoUpdate = false;
+        this.onTerrainChange = this.onTerrainChange.bind(this);
+        
+        GeoJSONOverlay.getFeatures(geojson).forEach(feature => this.addFeature(feature));
+        this.setMapView(mapView);
+    }
+    
+    /**
+     * Normalize GeoJSON input to a list of features
+     */
+    static getFeatures(geojson) {
+        if (!geojson) return [];
+        if (geojson.type === 'FeatureCollection') return geojson.features;
+        if (geojson.type === 'Feature') return [geojson];
+        return [{ type: 'Feature', properties: {}, geometry: geojson }];
+    }
+    
+    /**
+     * Split a geometry into single points, lines and polygons
+     * @returns {Array} { type: 'Point'|'LineString'|'Polygon', coordinates }
+     */
+    static getParts(geometry) {
+        if (!geometry) return [];
+        switch (geometry.type) {
+            case 'Point':
+            case 'LineString':
+            case 'Polygon':
+                return [geometry];
+            case 'MultiPoint':
+                return geometry.coordinates.map(coordinates => ({ type: 'Point', coordinates }));
+            case 'MultiLineString':
+                return geometry.coordinates.map(coordinates => ({ type: 'LineString', coordinates }));
+            case 'MultiPolygon':
+                return geometry.coordinates.map(coordinates => ({ type: 'Polygon', coordinates }));
+            case 'GeometryCollection':
+                return geometry.geometries.flatMap(child => GeoJSONOverlay.getParts(child));
+            default:
+                console.warn(`Unsupported GeoJSON geometry: ${geometry.type}`);
+                return [];
+        }
+    }
+    
+    getStyle(feature) {
+        const style = typeof this.style === 'function' ? this.style(feature) : this.style;
+        return { ...this.constructor.DEFAULT_STYLE, ...style };
+    }
+    
+    addFeature(feature) {
+        const style = this.getStyle(feature);
+        GeoJSONOverlay.getParts(feature.geometry).forEach(part => {
+            if (part.type === 'Point') this.addMarker(feature, part.coordinates, style);
+            else if (part.type === 'LineString') this.addLine(feature, part.coordinates, style);
+            else this.addPolygon(feature, part.coordinates, style);
+        });
+    }
+    
+    addMarker(feature, coordinate, style) {
+        GeoJSONOverlay.MARKER_GEOMETRY ??= new THREE.SphereGeometry(0.5, 16, 12);
+        const material = new THREE.MeshBasicMaterial({ color: style.color, transparent: style.opacity < 1, opacity: style.opacity });
+        const marker = new THREE.Mesh(GeoJSONOverlay.MARKER_GEOMETRY, material);
+        this.addItem(marker, feature, [coordinate[0], coordinate[1]], style);
+    }
+    
+    addLine(feature, coordinates, style) {
+        const vertices = GeoJSONOverlay.densify(coordinates, style.segmentLength);
+        this.addItem(this.createLine(vertices, style), feature, vertices, style);
+    }
+    
+    addPolygon(feature, rings, style) {
+        if (rings.length === 0 || rings[0].length < 3) return;
+        const { vertices, indices } = GeoJSONOverlay.triangulate(rings, style.segmentLength);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices.length / 2 * 3), 3));
+        geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(indices), 1));
+        const material = new THREE.MeshBasicMaterial({
+            color: style.fillColor ?? style.color,
+            transparent: true,
+            opacity: style.fillOpacity,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        this.addItem(new THREE.Mesh(geometry, material), feature, vertices, style);
+        
+        rings.forEach(ring => {
+            const outline = GeoJSONOverlay.densify(ring, style.segmentLength);
+            this.addItem(this.createLine(outline, style), feature, outline, style);
+        });
+    }
+    
+    createLine(vertices, style) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices.length / 2 * 3), 3));
+        const material = new THREE.LineBasicMaterial({ color: style.color, transparent: style.opacity < 1, opacity: style.opacity });
+        return new THREE.Line(geometry, material);
+    }
+    
+    addItem(object, feature, coordinates, style) {
+        object.userData.feature = feature;
+        object.matrixAutoUpdate = false;
+        this.items.push({ object, feature, coordinates, style });
+        this.add(object);
+    }
+    
+    /**
+     * Approximate ground distance between two lon/lat points
+     */
+    static distance(a, b) {
+        const x = (b[0] - a[0]) * Math.cos((a[1] + b[1]) / 2 * Math.PI / 180);
+        const y = b[1] - a[1];
+        return Math.sqrt(x * x + y * y) * GeoJSONOverlay.METRES_PER_DEGREE;
+    }
+    
+    /**
+     * Add vertices along a line so it follows the terrain between its points
+     * @param {Array} coordinates - [lon, lat] positions
+     * @param {number} segmentLength - Metres between added vertices
+     * @returns {number[]} Flat lon, lat pairs
+     */
+    static densify(coordinates, segmentLength) {
+        const vertices = [];
+        coordinates.forEach((point, i) => {
+            if (i > 0) {
+                const previous = coordinates[i - 1];
+                const splits = Math.min(Math.ceil(GeoJSONOverlay.distance(previous, point) / segmentLength), GeoJSONOverlay.MAX_SEGMENT_SPLITS);
+                for (let s = 1; s < splits; s++) {
+                    const t = s / splits;
+                    vertices.push(previous[0] + (point[0] - previous[0]) * t, previous[1] + (point[1] - previous[1]) * t);
+                }
+            }
+            vertices.push(point[0], point[1]);
+        });
+        return vertices;
+    }
+    
+    /**
+     * Triangulate a polygon and split its triangles until their edges are short enough
+     * to follow the terrain
+     * @param {Array} rings - Outer ring then holes, [lon, lat] positions
+     * @param {number} segmentLength - Longest edge in metres
+     * @returns {{vertices: number[], indices: number[]}} Flat lon, lat pairs and triangle indices
+     */
+    static triangulate(rings, segmentLength) {
+        // GeoJSON rings repeat their first point at the end
+        const [contour, ...holes] = rings.map(ring => {
+            const points = ring.map(([lon, lat]) => new THREE.Vector2(lon, lat));
+            if (points.length > 1 && points[0].equals(points[points.length - 1])) points.pop();
+            return points;
+        });
+        const ShapeUtils = THREE.ShapeUtils ?? THREE.Shape.Utils;
+        const triangles = ShapeUtils.triangulateShape(contour, holes);
+        const points = [contour, ...holes].flat().map(point => [point.x, point.y]);
+        
+        const vertices = [];
+        const indices = [];
+        const midpoints = new Map(); // "a,b" -> index, shared by neighbouring triangles
+        const addVertex = point => {
+            vertices.push(point[0], point[1]);
+            return vertices.length / 2 - 1;
+        };
+        const midpoint = (a, b) => {
+            const key = a < b ? `${a},${b}` : `${b},${a}`;
+            if (!midpoints.has(key)) {
+                midpoints.set(key, addVertex([(vertices[a * 2] + vertices[b * 2]) / 2, (vertices[a * 2 + 1] + vertices[b * 2 + 1]) / 2]));
+            }
+            return midpoints.get(key);
+        };
+        const point = index => [vertices[index * 2], vertices[index * 2 + 1]];
+        const split = (a, b, c, depth) => {
+            const longest = Math.max(
+                GeoJSONOverlay.distance(point(a), point(b)),
+                GeoJSONOverlay.distance(point(b), point(c)),
+                GeoJSONOverlay.distance(point(c), point(a))
+            );
+            if (longest <= segmentLength || depth >= GeoJSONOverlay.MAX_TRIANGLE_DEPTH) {
+                indices.push(a, b, c);
+                return;
+            }
+            const ab = midpoint(a, b);
+            const bc = midpoint(b, c);
+            const ca = midpoint(c, a);
+            split(a, ab, ca, depth + 1);
+            split(ab, b, bc, depth + 1);
+            split(ca, bc, c, depth + 1);
+            split(ab, bc, ca, depth + 1);
+        };
+        points.forEach(addVertex);
+        triangles.forEach(([a, b, c]) => split(a, b, c, 0));
+        return { vertices, indices };
+    }
+    
+    /**
+     * Drape the features on another map, e.g. after the extension rebuilt it
+     * @param {MapView} mapView - Planar or height map, features are placed in its flat local space
+     */
+    setMapView(mapView) {
+        // Placement, marker sizes and terrain lookups assume the planar map, not the globe
+        if (mapView?.rootMode === MapView.SPHERICAL) throw new Error('GeoJSON overlays need a planar or height map, not MapView.SPHERICAL');
+        if (this.mapView) this.mapView.removeEventListener('terrainchange', this.onTerrainChange);
+        this.mapView = mapView;
+        if (!mapView) return;
+        mapView.addEventListener('terrainchange', this.onTerrainChange);
+        this.clamp();
+    }
+    
+    onTerrainChange() {
+        if (this.clampTimeout) return;
+        this.clampTimeout = setTimeout(() => {
+            this.clampTimeout = null;
+            this.clamp();
+        }, GeoJSONOverlay.CLAMP_DELAY);
+    }
+    
+    /**
+     * Place every vertex on the currently loaded terrain
+     */
+    clamp() {
+        if (!this.mapView) return;
+        this.items.forEach(item => this.clampItem(item));
+        this.updateMatrixWorld(true);
+        this.dispatchEvent({ type: 'update' });
+    }
+    
+    clampItem({ object, coordinates, style }) {
+        const mapView = this.mapView;
+        if (object.geometry === GeoJSONOverlay.MARKER_GEOMETRY) {
+            // Sized in metres, and round despite the map's anisotropic scale
+            const [lon, lat] = coordinates;
+            const size = mapView.metresToLocal(style.markerSize, lat);
+            const height = this.metresToLocalHeight(style.markerSize, lat);
+            const ground = mapView.getTerrainHeight(lon, lat) ?? 0;
+            object.position.copy(mapView.lonLatToLocal(lon, lat, ground + style.heightOffset));
+            object.position.y += height / 2;
+            object.scale.set(size, height, size);
+            object.updateMatrix();
+            return;
+        }
+        
+        const position = object.geometry.getAttribute('position');
+        for (let i = 0; i < coordinates.length / 2; i++) {
+            const lon = coordinates[i * 2];
+            const lat = coordinates[i * 2 + 1];
+            const local = mapView.lonLatToLocal(lon, lat, (mapView.getTerrainHeight(lon, lat) ?? 0) + style.heightOffset);
+            position.setXYZ(i, local.x, local.y, local.z);
+        }
+        position.needsUpdate = true;
+        object.geometry.computeBoundingSphere();
+    }
+    
+    /**
+     * Map-local Y of a length at true scale, unlike terrain heights which are exaggerated
+     * @param {number} metres
+     * @param {number} latitude - Degrees
+     */
+    metresToLocalHeight(metres, latitude) {
+        return this.mapView.metresToLocal(metres, latitude) * this.mapView.scale.x / this.mapView.scale.y;
+    }
+    
+    /**
+     * Follow the map's transform, features are positioned in its local space
+     */
+    updateMatrixWorld(force) {
+        if (this.mapView) this.matrix.copy(this.mapView.matrixWorld);
+        this.matrixWorldNeedsUpdate = true;
+        super.updateMatrixWorld(force);
+    }
+    
+    dispose() {
+        clearTimeout(this.clampTimeout);
+        this.setMapView(null);
+        this.items.forEach(({ object }) => {
+            if (object.geometry !== GeoJSONOverlay.MARKER_GEOMETRY) object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.items = [];
+    }
+}
+
+/**
+ * Context buildings extruded from GeoJSON footprints, e.g. an OSM extract, and seated on
+ * the lowest terrain point under them. Heights are true to scale, not exaggerated like
+ * the terrain. Each building is its own mesh with the feature in userData, so it can be picked.
+ */
+export class BuildingsOverlay extends GeoJSONOverlay {
+    static DEFAULT_STYLE = {
+        color: '#e0dcd4',
+        opacity: 1,
+        highlightColor: '#ffb347',
+        defaultHeight: 10, // Metres, for footprints without height or levels
+        levelHeight: 3 // Metres per building:levels
+    };
+    static LIGHT_DIRECTION = [0.5, 0.8]; // East and north components of the light shading the walls
+    
+    /**
+     * Height and base height of a building from OSM-style properties
+     * @param {Object} properties - height, min_height, building:levels, building:min_level
+     * @param {Object} style
+     * @returns {{height: number, minHeight: number}} Metres above the terrain
+     */
+    static getHeights(properties, style) {
+        const metres = value => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        };
+        const levels = metres(properties['building:levels']);
+        const minLevel = metres(properties['building:min_level']);
+        const height = metres(properties.height) ?? (levels !== null ? levels * style.levelHeight : style.defaultHeight);
+        const minHeight = metres(properties.min_height) ?? (minLevel !== null ? minLevel * style.levelHeight : 0);
+        return { height: Math.max(height, minHeight), minHeight };
+    }
+    
+    addFeature(feature) {
+        const style = this.getStyle(feature);
+        GeoJSONOverlay.getParts(feature.geometry).forEach(part => {
+            if (part.type !== 'Polygon') return;
+            // GeoJSON rings repeat their first point at the end
+            const rings = part.coordinates.map(ring => {
+                const last = ring[ring.length - 1];
+                return ring.length > 1 && ring[0][0] === last[0] && ring[0][1] === last[1] ? ring.slice(0, -1) : ring;
+            });
+            if (rings.length === 0 || rings[0].length < 3) return;
+            const { height, minHeight } = BuildingsOverlay.getHeights(feature.properties ?? {}, style);
+            const { vertices, geometry } = BuildingsOverlay.createGeometry(rings, new THREE.Color(style.color));
+            const material = new THREE.MeshBasicMaterial({
+                vertexColors: THREE.VertexColors ?? true,
+                transparent: style.opacity < 1,
+                opacity: style.opacity,
+                side: THREE.DoubleSide
+            });
+            this.addItem(new THREE.Mesh(geometry, material), feature, vertices, { ...style, height, minHeight });
+        });
+    }
+    
+    /**
+     * Walls and roof of a footprint. Vertex colors shade the walls by their orientation,
+     * so buildings read as volumes without scene lights.
+     * @param {Array} rings - Outer ring then holes, [lon, lat] positions without closing point
+     * @param {THREE.Color} color
+     * @returns {{vertices: number[], geometry: THREE.BufferGeometry}} Vertices as lon, lat, top (0 or 1) triples
+     */
+    static createGeometry(rings, color) {
+        const vertices = [];
+        const colors = [];
+        const indices = [];
+        const [lightX, lightY] = BuildingsOverlay.LIGHT_DIRECTION;
+        const addVertex = ([lon, lat], top, shade) => {
+            vertices.push(lon, lat, top);
+            colors.push(color.r * shade, color.g * shade, color.b * shade);
+            return vertices.length / 3 - 1;
+        };
+        
+        rings.forEach(ring => {
+            ring.forEach((a, i) => {
+                const b = ring[(i + 1) % ring.length];
+                // Wall normal in metres east and north, facing the light is brighter
+                const dx = (b[0] - a[0]) * Math.cos(a[1] * Math.PI / 180);
+                const dy = b[1] - a[1];
+                const length = Math.sqrt(dx * dx + dy * dy) || 1;
+                const shade = 0.6 + 0.3 * Math.abs((dy * lightX - dx * lightY) / length);
+                const first = addVertex(a, 0, shade);
+                addVertex(b, 0, shade);
+                addVertex(b, 1, shade);
+                addVertex(a, 1, shade);
+                indices.push(first, first + 1, first + 2, first, first + 2, first + 3);
+            });
+        });
+        
+        const ShapeUtils = THREE.ShapeUtils ?? THREE.Shape.Utils;
+        const [contour, ...holes] = rings.map(ring => ring.map(([lon, lat]) => new THREE.Vector2(lon, lat)));
+        const roof = rings.flat().map(point => addVertex(point, 1, 1));
+        ShapeUtils.triangulateShape(contour, holes).forEach(([a, b, c]) => indices.push(roof[a], roof[b], roof[c]));
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices.length), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(colors), 3));
+        geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(indices), 1));
+        return { vertices, geometry };
+    }
+    
+    clampItem({ object, coordinates, style }) {
+        const mapView = this.mapView;
+        let base = Infinity;
+        for (let i = 0; i < coordinates.length; i += 3) {
+            base = Math.min(base, mapView.getTerrainHeight(coordinates[i], coordinates[i + 1]) ?? 0);
+        }
+        const baseY = mapView.elevationToLocal(base);
+        const latitude = coordinates[1];
+        const bottom = baseY + this.metresToLocalHeight(style.minHeight, latitude);
+        const top = baseY + this.metresToLocalHeight(style.height, latitude);
+        
+        const position = object.geometry.getAttribute('position');
+        for (let i = 0; i < coordinates.length / 3; i++) {
+            const local = mapView.lonLatToLocal(coordinates[i * 3], coordinates[i * 3 + 1]);
+            position.setXYZ(i, local.x, coordinates[i * 3 + 2] ? top : bottom, local.z);
+        }
+        position.needsUpdate = true;
+        object.geometry.computeBoundingBox();
+        object.geometry.computeBoundingSphere();
+    }
+    
+    /**
+     * Highlight one building, or none
+     * @param {THREE.Mesh|null} mesh
+     */
+    select(mesh) {
+        this.items.forEach(({ object, style }) => {
+            object.material.color.set(object === mesh ? style.highlightColor : '#ffffff');
+        });
+        this.dispatchEvent({ type: 'update' });
+    }
+    
+    /**
+     * Closest building hit by a world space ray
+     * @param {THREE.Raycaster} raycaster
+     * @returns {Object|null} Intersection, its object.userData.feature is the building
+     */
+    pick(raycaster) {
+        return raycaster.intersectObjects(this.children, false)[0] ?? null;
+    }
+}
@@ -1,4 +1,5 @@
-import { FetchUtils, ImageLoader } from './utils.mjs';
+import { FetchUtils, ImageLoader, CanvasUtils, UnitsUtils } from './utils.mjs';
+import { ElevationDecoder } from './elevation.mjs';
 
 export class MapProvider {
     constructor() {
@@ -7,9 +8,306 @@ export class MapProvider {
         this.maxZoom = 20;
         this.bounds = [];
         this.center = [];
+        this.encoding = ElevationDecoder.TERRAIN_RGB; // How heights are packed when used as a height provider
     }
     async fetchTile(zoom, x, y) {}
     async getMetaData() {}
+    
+    /**
+     * URL of a tile, null for providers that don't load tiles from URLs
+     */
+    getTileUrl(zoom, x, y) {
+        return null;
+    }
+    
+    /**
+     * Identifies the provider's tiles in a persistent cache. The tile URL without its query
+     * string by default, so API keys and sessions don't split the cache.
+     * @returns {string}
+     */
+    getCacheId() {
+        const url = this.getTileUrl(0, 0, 0);
+        return url ? url.split('?')[0] : this.constructor.name;
+    }
+    
+    /**
+     * Raw tile bytes, what CachedProvider stores. Null when the provider has no tile URLs.
+     * @returns {Promise<Blob|null>}
+     */
+    async fetchTileBlob(zoom, x, y) {
+        const url = this.getTileUrl(zoom, x, y);
+        if (!url) return null;
+        const response = await fetch(url, { headers: this.headers ?? {} });
+        if (!response.ok) throw new Error(`Failed to load tile: ${response.status} ${url}`);
+        return response.blob();
+    }
+    
+    /**
+     * Turn bytes from fetchTileBlob() into what fetchTile() resolves with
+     * @param {Blob} blob
+     * @param {number} zoom - Tile coordinates, for providers whose decoding depends on them
+     */
+    async decodeTileBlob(blob, zoom, x, y) {
+        return ImageLoader.loadBlob(blob);
+    }
+}
+
+/**
+ * Sits between MapNodes and providers: caps in-flight requests, dispatches the
+ * closest tiles first, drops requests of nodes that are no longer needed and
+ * retries failed fetches with exponential backoff.
+ */
+export class TileRequestScheduler {
+    constructor({ maxConcurrent = 6, maxRetries = 2, retryDelay = 500 } = {}) {
+        this.maxConcurrent = maxConcurrent;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.queue = [];
+        this.requests = new Set();
+        this.active = 0;
+    }
+    
+    /**
+     * Queue a tile fetch
+     * @param {MapProvider} provider - Provider to fetch from
+     * @param {number} zoom - Tile zoom level
+     * @param {number} x - Tile X coordinate
+     * @param {number} y - Tile Y coordinate
+     * @param {Object} options
+     * @param {*} options.owner - Key used by cancel(), usually the requesting MapNode
+     * @param {number|Function} options.priority - Lower is sooner; functions are evaluated at dispatch time
+     * @returns {Promise} Resolves with the tile, rejects with an AbortError when cancelled
+     */
+    request(provider, zoom, x, y, { owner = null, priority = 0 } = {}) {
+        return new Promise((resolve, reject) => {
+            const request = { provider, zoom, x, y, owner, priority, resolve, reject, attempt: 0, cancelled: false };
+            this.requests.add(request);
+            this.queue.push(request);
+            this.next();
+        });
+    }
+    
+    /**
+     * Cancel every request of an owner. Queued requests are dropped, in-flight
+     * results are discarded when they arrive.
+     * @param {*} owner
+     */
+    cancel(owner) {
+        this.requests.forEach(request => {
+            if (request.owner !== owner) return;
+            request.cancelled = true;
+            this.requests.delete(request);
+            request.reject(new DOMException('Tile request cancelled', 'AbortError'));
+        });
+        this.queue = this.queue.filter(request => !request.cancelled);
+    }
+    
+    /**
+     * Number of requests queued, in flight or waiting for a retry
+     */
+    get pending() {
+        return this.requests.size;
+    }
+    
+    next() {
+        while (this.active < this.maxConcurrent && this.queue.length > 0) {
+            // Camera moves between dispatches, so priorities are evaluated now rather than when queued
+            let best = 0;
+            let bestPriority = Infinity;
+            this.queue.forEach((request, index) => {
+                const priority = typeof request.priority === 'function' ? request.priority() : request.priority;
+                if (priority < bestPriority) {
+                    best = index;
+                    bestPriority = priority;
+                }
+            });
+            const [request] = this.queue.splice(best, 1);
+            this.run(request);
+        }
+    }
+    
+    async run(request) {
+        this.active++;
+        try {
+            const tile = await request.provider.fetchTile(request.zoom, request.x, request.y);
+            if (!request.cancelled) {
+                this.requests.delete(request);
+                request.resolve(tile);
+            }
+        } catch (error) {
+            if (request.cancelled) return;
+            if (request.attempt < this.maxRetries) {
+                const delay = this.retryDelay * Math.pow(2, request.attempt);
+                request.attempt++;
+                setTimeout(() => {
+                    if (request.cancelled) return;
+                    this.queue.push(request);
+                    this.next();
+                }, delay);
+            } else {
+                this.requests.delete(request);
+                request.reject(error);
+            }
+        } finally {
+            this.active--;
+            this.next();
+        }
+    }
+}
+
+/**
+ * Wraps any provider with a persistent TileStore: stored tiles are served before
+ * the network, expired ones are refreshed and only used when the network fails.
+ * Providers without tile URLs (debug, archives) pass through uncached.
+ */
+export class CachedProvider extends MapProvider {
+    /**
+     * @param {MapProvider} provider - Provider to cache
+     * @param {TileStore} store - Persistent store, usually shared by all providers
+     * @param {Object} options
+     * @param {string} options.id - Key prefix of the provider's tiles, provider.getCacheId() by default
+     */
+    constructor(provider, store, { id = provider.getCacheId() } = {}) {
+        super();
+        this.provider = provider;
+        this.store = store;
+        this.id = id;
+        this.syncProperties();
+    }
+    
+    syncProperties() {
+        const { name, minZoom, maxZoom, bounds, center, encoding } = this.provider;
+        Object.assign(this, { name, minZoom, maxZoom, bounds, center, encoding });
+    }
+    
+    getKey(zoom, x, y) {
+        return `${this.id}|${zoom}/${x}/${y}`;
+    }
+    
+    async getMetaData() {
+        const meta = await this.provider.getMetaData();
+        this.syncProperties();
+        return meta;
+    }
+    
+    async getAttributionText() {
+        return this.provider.getAttributionText ? this.provider.getAttributionText() : '';
+    }
+    
+    getTileUrl(zoom, x, y) {
+        return this.provider.getTileUrl(zoom, x, y);
+    }
+    
+    async fetchTileBlob(zoom, x, y) {
+        const key = this.getKey(zoom, x, y);
+        // A store that can't be read or written (blocked storage, quota) only misses, the network still serves
+        const stored = await this.store.get(key).catch(() => null);
+        if (stored && !stored.expired) return stored.blob;
+        
+        let blob;
+        try {
+            blob = await this.provider.fetchTileBlob(zoom, x, y);
+        } catch (error) {
+            // Offline, a stale tile beats no tile
+            if (stored) return stored.blob;
+            throw error;
+        }
+        if (blob) await this.store.put(key, blob).catch(() => false);
+        return blob;
+    }
+    
+    async decodeTileBlob(blob, zoom, x, y) {
+        return this.provider.decodeTileBlob(blob, zoom, x, y);
+    }
+    
+    async fetchTile(zoom, x, y) {
+        const blob = await this.fetchTileBlob(zoom, x, y);
+        if (!blob) return this.provider.fetchTile(zoom, x, y);
+        return this.decodeTileBlob(blob, zoom, x, y);
+    }
+    
+    /**
+     * Download and store every tile of an area, e.g. to warm a site before a meeting
+     * @param {Array} bounds - [west, south, east, north] in degrees
+     * @param {number} minZoom - First zoom level
+     * @param {number} maxZoom - Last zoom level
+     * @param {Object} options
+     * @param {number} options.concurrency - Parallel downloads
+     * @param {number} options.maxTiles - Refuse areas needing more tiles than this
+     * @param {Function} options.onProgress - Called with (done, total)
+     * @param {AbortSignal} options.signal - Stops seeding early
+     * @returns {Promise<{total: number, stored: number, failed: number}>}
+     */
+    async seed(bounds, minZoom, maxZoom, { concurrency = 4, maxTiles = 10000, onProgress = null, signal = null } = {}) {
+        const [west, south, east, north] = bounds;
+        const tiles = [];
+        for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+            const [minX, minY] = UnitsUtils.pointToTile(west, north, zoom);
+            const [maxX, maxY] = UnitsUtils.pointToTile(east, south, zoom);
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    tiles.push([zoom, x, y]);
+                }
+            }
+            if (tiles.length > maxTiles) {
+                throw new Error(`Seeding needs more than ${maxTiles} tiles, reduce the area or zoom range`);
+            }
+        }
+        
+        const result = { total: tiles.length, stored: 0, failed: 0 };
+        let next = 0;
+        let done = 0;
+        const worker = async () => {
+            while (next < tiles.length && !signal?.aborted) {
+                const [zoom, x, y] = tiles[next++];
+                try {
+                    if (await this.fetchTileBlob(zoom, x, y)) result.stored++;
+                } catch (error) {
+                    result.failed++;
+                }
+                done++;
+                if (onProgress) onProgress(done, tiles.length);
+            }
+        };
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        return result;
+    }
+}
+
+/**
+ * Tries providers in order until one delivers the tile, e.g. a company tile server
+ * backed by a public basemap. Providers are skipped outside their zoom range.
+ * As a height provider, all providers must share the same encoding.
+ */
+export class FallbackProvider extends MapProvider {
+    /**
+     * @param {MapProvider[]} providers - Providers, preferred first
+     */
+    constructor(providers) {
+        super();
+        this.providers = providers;
+        this.minZoom = Math.min(...providers.map(provider => provider.minZoom));
+        this.maxZoom = Math.max(...providers.map(provider => provider.maxZoom));
+        this.encoding = providers[0].encoding;
+    }
+    
+    async getAttributionText() {
+        const texts = await Promise.all(this.providers.map(provider => provider.getAttributionText ? provider.getAttributionText() : ''));
+        return texts.filter(Boolean).join(' | ');
+    }
+    
+    async fetchTile(zoom, x, y) {
+        const errors = [];
+        for (const provider of this.providers) {
+            if (zoom < provider.minZoom || zoom > provider.maxZoom) continue;
+            try {
+                return await provider.fetchTile(zoom, x, y);
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+        throw new AggregateError(errors, `No provider could load tile ${zoom}/${x}/${y}`);
+    }
 }
 
 export class ESRIMapsProvider extends MapProvider {
@@ -76,12 +374,298 @@ export class ESRIMapsProvider extends MapProvider {
         return fallback;
     }
     
-    async fetchTile(zoom, x, y) {
-        const url = ESRIMapsProvider.BASEMAPS[this.mapType]
+    getTileUrl(zoom, x, y) {
+        return ESRIMapsProvider.BASEMAPS[this.mapType]
             .replace('{z}', zoom)
             .replace('{y}', y)
             .replace('{x}', x);
-        return ImageLoader.loadImage(url);
+    }
+    
+    async fetchTile(zoom, x, y) {
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
+    }
+}
+
+/**
+ * Tiles from a URL template, for any XYZ or TMS server without a dedicated provider:
+ * 'https://{s}.tiles.example.com/{z}/{x}/{y}.png'
+ *
+ * Placeholders: {z} {x} {y}, {-y} for TMS rows counted from the south,
+ * {quadkey} for Bing style keys and {s} for a subdomain picked per tile.
+ */
+export class TemplateTileProvider extends MapProvider {
+    /**
+     * @param {string} template - Tile URL template
+     * @param {Object} options
+     * @param {string|string[]} options.subdomains - Values of {s}, 'abc' is a, b and c
+     * @param {number} options.minZoom - Lowest zoom served
+     * @param {number} options.maxZoom - Highest zoom served, tiles don't subdivide past it
+     * @param {Object} options.headers - Request headers, e.g. Authorization; tiles are fetched instead of loaded as images
+     * @param {string} options.attribution - Credit shown over the map
+     * @param {string} options.encoding - Elevation encoding when used as a height provider
+     */
+    constructor(template, { subdomains = 'abc', minZoom = 0, maxZoom = 20, headers = null, attribution = '', encoding } = {}) {
+        super();
+        this.template = template;
+        this.subdomains = Array.from(subdomains);
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+        this.headers = headers;
+        this.attribution = attribution;
+        if (encoding) this.encoding = encoding;
+    }
+    
+    getTileUrl(zoom, x, y) {
+        // Same subdomain for a tile every time, so the browser cache keeps working
+        const subdomain = this.subdomains.length > 0 ? this.subdomains[(x + y) % this.subdomains.length] : '';
+        return this.template
+            .replace('{s}', subdomain)
+            .replace('{z}', zoom)
+            .replace('{x}', x)
+            .replace('{-y}', Math.pow(2, zoom) - 1 - y)
+            .replace('{y}', y)
+            .replace('{quadkey}', BingMapsProvider.quadKey(zoom, x, y));
+    }
+    
+    /**
+     * The whole template, query included, since it may select the tiles (e.g. a MapServer map file)
+     */
+    getCacheId() {
+        return this.template;
+    }
+    
+    async getAttributionText() {
+        return this.attribution;
+    }
+    
+    async fetchTile(zoom, x, y) {
+        if (!this.headers) return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
+        return this.decodeTileBlob(await this.fetchTileBlob(zoom, x, y));
+    }
+}
+
+/**
+ * OGC WMS GetMap requests, one per tile, with the tile's EPSG:3857 bounds as BBOX
+ */
+export class WMSProvider extends TemplateTileProvider {
+    /**
+     * @param {string} url - GetMap endpoint, may already contain query parameters
+     * @param {Object} options - TemplateTileProvider options plus:
+     * @param {string} options.layers - Comma separated layer names
+     * @param {string} options.styles - Comma separated style names, server defaults when empty
+     * @param {string} options.format - Image MIME type
+     * @param {boolean} options.transparent - Request transparent images
+     * @param {string} options.version - '1.3.0' uses CRS, '1.1.1' uses SRS
+     * @param {number} options.tileSize - Image width and height in pixels
+     * @param {Object} options.params - Extra vendor parameters
+     */
+    constructor(url, { layers = '', styles = '', format = 'image/png', transparent = false, version = '1.3.0', tileSize = 256, params = {}, ...options } = {}) {
+        super(url, options);
+        this.layers = layers;
+        this.styles = styles;
+        this.format = format;
+        this.transparent = transparent;
+        this.version = version;
+        this.tileSize = tileSize;
+        this.params = params;
+    }
+    
+    getTileUrl(zoom, x, y) {
+        const crsParam = this.version === '1.3.0' ? 'CRS' : 'SRS';
+        const query = new URLSearchParams({
+            SERVICE: 'WMS',
+            REQUEST: 'GetMap',
+            VERSION: this.version,
+            LAYERS: this.layers,
+            STYLES: this.styles,
+            FORMAT: this.format,
+            TRANSPARENT: this.transparent ? 'TRUE' : 'FALSE',
+            [crsParam]: 'EPSG:3857',
+            BBOX: UnitsUtils.tileToMercatorBounds(zoom, x, y).join(','),
+            WIDTH: this.tileSize,
+            HEIGHT: this.tileSize,
+            ...this.params
+        });
+        return `${this.template}${this.template.includes('?') ? '&' : '?'}${query}`;
+    }
+    
+    /**
+     * Endpoint plus everything that selects the image, so layers of one endpoint don't share tiles
+     */
+    getCacheId() {
+        const query = new URLSearchParams({
+            LAYERS: this.layers,
+            STYLES: this.styles,
+            FORMAT: this.format,
+            TRANSPARENT: this.transparent ? 'TRUE' : 'FALSE',
+            VERSION: this.version,
+            CRS: 'EPSG:3857',
+            SIZE: this.tileSize,
+            ...this.params
+        });
+        return `${this.template}|${query}`;
+    }
+}
+
+/**
+ * OGC WMTS tiles. Tile matrices are mapped to map zoom levels by their scale, so any
+ * EPSG:3857 tile matrix set works, not only GoogleMapsCompatible.
+ * Usually created with WMTSProvider.fromCapabilities().
+ */
+export class WMTSProvider extends TemplateTileProvider {
+    static PIXEL_SIZE = 0.00028; // Standardized rendering pixel size in metres
+    static MERCATOR_CRS = /(EPSG:([\d.]*:)?(3857|900913|102100)|GoogleMapsCompatible)$/;
+    
+    /**
+     * @param {string} url - ResourceURL template, or the GetTile KVP endpoint when kvp is set
+     * @param {Object} options - TemplateTileProvider options plus:
+     * @param {string} options.layer - Layer identifier
+     * @param {string} options.style - Style identifier
+     * @param {string} options.tileMatrixSet - Tile matrix set identifier
+     * @param {string} options.format - Image MIME type, used by KVP requests
+     * @param {boolean} options.kvp - Build KVP GetTile requests instead of filling a template
+     * @param {Object} options.matrices - Map zoom -> { identifier, colOffset, rowOffset, matrixWidth, matrixHeight }
+     */
+    constructor(url, { layer, style = 'default', tileMatrixSet, format = 'image/png', kvp = false, matrices = {}, ...options } = {}) {
+        super(url, options);
+        this.layer = layer;
+        this.style = style;
+        this.tileMatrixSet = tileMatrixSet;
+        this.format = format;
+        this.kvp = kvp;
+        this.matrices = matrices;
+        const zooms = Object.keys(matrices).map(Number);
+        if (zooms.length > 0) {
+            this.minZoom = Math.min(...zooms);
+            this.maxZoom = Math.max(...zooms);
+        }
+    }
+    
+    /**
+     * Fetch and parse a GetCapabilities document
+     * @param {string} url - GetCapabilities URL
+     * @param {Object} options - See fromCapabilitiesDocument()
+     * @returns {Promise<WMTSProvider>}
+     */
+    static async fromCapabilities(url, options = {}) {
+        const response = await fetch(url, { headers: options.headers ?? {} });
+        if (!response.ok) throw new Error(`Failed to load WMTS capabilities: ${response.status} ${url}`);
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        return WMTSProvider.fromCapabilitiesDocument(xml, options);
+    }
+    
+    /**
+     * Pick the layer, style, an EPSG:3857 tile matrix set and the tile URL from capabilities
+     * @param {Document} xml - Parsed GetCapabilities response
+     * @param {Object} options - TemplateTileProvider options plus:
+     * @param {string} options.layer - Layer identifier, the first layer when omitted
+     * @param {string} options.tileMatrixSet - Tile matrix set identifier, the first EPSG:3857 one when omitted
+     * @param {string} options.style - Style identifier, the default style when omitted
+     * @param {string} options.format - Preferred image format
+     * @returns {WMTSProvider}
+     */
+    static fromCapabilitiesDocument(xml, { layer, tileMatrixSet, style, format, ...options } = {}) {
+        const child = (element, name) => Array.from(element.children).find(node => node.localName === name);
+        const childrenOf = (element, name) => Array.from(element.children).filter(node => node.localName === name);
+        const text = (element, name) => child(element, name)?.textContent.trim();
+        
+        const contents = xml.getElementsByTagNameNS('*', 'Contents')[0];
+        if (!contents) throw new Error('WMTS capabilities have no Contents');
+        
+        const layers = childrenOf(contents, 'Layer');
+        const layerElement = layer ? layers.find(element => text(element, 'Identifier') === layer) : layers[0];
+        if (!layerElement) throw new Error(`WMTS layer not found: ${layer ?? '(none)'}`);
+        layer = text(layerElement, 'Identifier');
+        
+        const styles = childrenOf(layerElement, 'Style');
+        const defaultStyle = styles.find(element => element.getAttribute('isDefault') === 'true') ?? styles[0];
+        style ??= defaultStyle ? text(defaultStyle, 'Identifier') : 'default';
+        
+        const formats = childrenOf(layerElement, 'Format').map(element => element.textContent.trim());
+        format = formats.includes(format) ? format : (formats[0] ?? format ?? 'image/png');
+        
+        // Tile matrix sets linked to the layer and projected in EPSG:3857
+        const linked = childrenOf(layerElement, 'TileMatrixSetLink').map(link => text(link, 'TileMatrixSet'));
+        const sets = childrenOf(contents, 'TileMatrixSet').filter(set => linked.includes(text(set, 'Identifier')));
+        const setElement = tileMatrixSet
+            ? sets.find(set => text(set, 'Identifier') === tileMatrixSet)
+            : sets.find(set => WMTSProvider.MERCATOR_CRS.test(text(set, 'SupportedCRS') ?? '') ||
+                WMTSProvider.MERCATOR_CRS.test(text(set, 'WellKnownScaleSet') ?? ''));
+        if (!setElement) throw new Error(`No EPSG:3857 tile matrix set for WMTS layer ${layer}`);
+        tileMatrixSet = text(setElement, 'Identifier');
+        
+        const matrices = {};
+        childrenOf(setElement, 'TileMatrix').forEach(matrix => {
+            const scale = parseFloat(text(matrix, 'ScaleDenominator'));
+            const tileWidth = parseInt(text(matrix, 'TileWidth'));
+            const [left, top] = text(matrix, 'TopLeftCorner').split(/\s+/).map(parseFloat);
+            // Zoom whose quadtree tiles cover the same ground as this matrix's tiles
+            const span = scale * WMTSProvider.PIXEL_SIZE * tileWidth;
+            const zoom = Math.round(Math.log2(2 * UnitsUtils.MERCATOR_EXTENT / span));
+            matrices[zoom] = {
+                identifier: text(matrix, 'Identifier'),
+                colOffset: Math.round((left + UnitsUtils.MERCATOR_EXTENT) / span),
+                rowOffset: Math.round((UnitsUtils.MERCATOR_EXTENT - top) / span),
+                matrixWidth: parseInt(text(matrix, 'MatrixWidth')),
+                matrixHeight: parseInt(text(matrix, 'MatrixHeight'))
+            };
+        });
+        
+        // REST template when available, KVP GetTile otherwise
+        const resources = childrenOf(layerElement, 'ResourceURL').filter(element => element.getAttribute('resourceType') === 'tile');
+        const resource = resources.find(element => element.getAttribute('format') === format) ?? resources[0];
+        if (resource) {
+            return new WMTSProvider(resource.getAttribute('template'), { layer, style, tileMatrixSet, format, matrices, ...options });
+        }
+        
+        const getTile = Array.from(xml.getElementsByTagNameNS('*', 'Operation')).find(element => element.getAttribute('name') === 'GetTile');
+        const get = getTile?.getElementsByTagNameNS('*', 'Get')[0];
+        const href = get?.getAttributeNS('http://www.w3.org/1999/xlink', 'href') ?? get?.getAttribute('xlink:href');
+        if (!href) throw new Error(`WMTS layer ${layer} has neither a ResourceURL nor a GetTile endpoint`);
+        return new WMTSProvider(href, { layer, style, tileMatrixSet, format, matrices, kvp: true, ...options });
+    }
+    
+    /**
+     * @returns {string|null} Tile URL, null when the tile is outside the tile matrix
+     */
+    getTileUrl(zoom, x, y) {
+        const matrix = this.matrices[zoom];
+        if (!matrix) return null;
+        const col = x - matrix.colOffset;
+        const row = y - matrix.rowOffset;
+        if (col < 0 || row < 0 || col >= matrix.matrixWidth || row >= matrix.matrixHeight) return null;
+        
+        if (this.kvp) {
+            const query = new URLSearchParams({
+                SERVICE: 'WMTS',
+                REQUEST: 'GetTile',
+                VERSION: '1.0.0',
+                LAYER: this.layer,
+                STYLE: this.style,
+                TILEMATRIXSET: this.tileMatrixSet,
+                TILEMATRIX: matrix.identifier,
+                TILEROW: row,
+                TILECOL: col,
+                FORMAT: this.format
+            });
+            return `${this.template}${/[?&]$/.test(this.template) ? '' : (this.template.includes('?') ? '&' : '?')}${query}`;
+        }
+        return this.template
+            .replace(/\{Style\}/i, this.style)
+            .replace(/\{TileMatrixSet\}/i, this.tileMatrixSet)
+            .replace(/\{TileMatrix\}/i, matrix.identifier)
+            .replace(/\{TileRow\}/i, row)
+            .replace(/\{TileCol\}/i, col);
+    }
+    
+    getCacheId() {
+        return `${this.template}|${this.layer}|${this.style}|${this.tileMatrixSet}|${this.format}`;
+    }
+    
+    async fetchTile(zoom, x, y) {
+        // Tiles outside the published matrix stay empty instead of failing
+        if (!this.getTileUrl(zoom, x, y)) return CanvasUtils.createOffscreenCanvas(1, 1);
+        return super.fetchTile(zoom, x, y);
     }
 }
 
@@ -91,8 +675,12 @@ export class OpenStreetMapsProvider extends MapProvider {
         this.address = address;
         this.format = 'png';
     }
+    getTileUrl(zoom, x, y) {
+        return `${this.address.replace(/\/$/, '')}/${zoom}/${x}/${y}.${this.format}`;
+    }
+    
     async fetchTile(zoom, x, y) {
-        return ImageLoader.loadImage(`${this.address}/${zoom}/${x}/${y}.${this.format}`);
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
     }
 }
 
@@ -128,8 +716,12 @@ export class BingMapsProvider extends MapProvider {
         return quad || "0";
     }
     
+    getTileUrl(zoom, x, y) {
+        return `http://ecn.${this.subdomain}.tiles.virtualearth.net/tiles/${this.type}${BingMapsProvider.quadKey(zoom, x, y)}.jpeg?g=1173`;
+    }
+    
     async fetchTile(zoom, x, y) {
-        return ImageLoader.loadImage(`http://ecn.${this.subdomain}.tiles.virtualearth.net/tiles/${this.type}${BingMapsProvider.quadKey(zoom, x, y)}.jpeg?g=1173`);
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
     }
 }
 
@@ -159,8 +751,12 @@ export class GoogleMapsProvider extends MapProvider {
         this.sessionToken = response.session;
     }
     
+    getTileUrl(zoom, x, y) {
+        return `https://www.googleapis.com/tile/v1/tiles/${zoom}/${x}/${y}?session=${this.sessionToken}&orientation=${this.orientation}&key=${this.apiToken}`;
+    }
+    
     async fetchTile(zoom, x, y) {
-        return ImageLoader.loadImage(`https://www.googleapis.com/tile/v1/tiles/${zoom}/${x}/${y}?session=${this.sessionToken}&orientation=${this.orientation}&key=${this.apiToken}`);
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
     }
 }
 
@@ -181,9 +777,13 @@ export class HereMapsProvider extends MapProvider {
         this.server = this.server % 4 === 0 ? 1 : this.server + 1;
     }
     
+    getTileUrl(zoom, x, y) {
+        return `https://${this.server}.${this.style}.maps.api.here.com/maptile/2.1/maptile/${this.version}/${this.scheme}/${zoom}/${x}/${y}/${this.size}/${this.format}?app_id=${this.appId}&app_code=${this.appCode}`;
+    }
+    
     async fetchTile(zoom, x, y) {
         this.nextServer();
-        return ImageLoader.loadImage(`https://${this.server}.${this.style}.maps.api.here.com/maptile/2.1/maptile/${this.version}/${this.scheme}/${zoom}/${x}/${y}/${this.size}/${this.format}?app_id=${this.appId}&app_code=${this.appCode}`);
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
     }
 }
 
@@ -201,6 +801,8 @@ export class MapBoxProvider extends MapProvider {
         this.mapId = id;
         this.style = id;
         this.version = version;
+        // Terrain-RGB isn't published deeper, further levels are upsampled
+        if (id === 'mapbox.terrain-rgb') this.maxZoom = 15;
     }
     
     async getMetaData() {
@@ -216,20 +818,20 @@ export class MapBoxProvider extends MapProvider {
         return meta;
     }
     
-    async fetchTile(zoom, x, y) {
+    getTileUrl(zoom, x, y) {
         const hdpi = this.useHDPI ? '@2x' : '';
         const token = `access_token=${this.apiToken}`;
         
-        let url;
         if (this.style === 'mapbox.terrain-rgb' || this.mapId === 'mapbox.terrain-rgb') {
-            url = `${MapBoxProvider.ADDRESS}v4/mapbox.terrain-rgb/${zoom}/${x}/${y}${this.useHDPI ? '@2x.pngraw' : '.pngraw'}?${token}`;
+            return `${MapBoxProvider.ADDRESS}v4/mapbox.terrain-rgb/${zoom}/${x}/${y}${this.useHDPI ? '@2x.pngraw' : '.pngraw'}?${token}`;
         } else if (this.mode === MapBoxProvider.STYLE) {
-            url = `${MapBoxProvider.ADDRESS}styles/v1/${this.style}/tiles/${zoom}/${x}/${y}${hdpi}?${token}`;
-        } else {
-            url = `${MapBoxProvider.ADDRESS}v4/${this.mapId}/${zoom}/${x}/${y}${hdpi}.${this.format}?${token}`;
+            return `${MapBoxProvider.ADDRESS}styles/v1/${this.style}/tiles/${zoom}/${x}/${y}${hdpi}?${token}`;
         }
-        
-        return ImageLoader.loadImage(url);
+        return `${MapBoxProvider.ADDRESS}v4/${this.mapId}/${zoom}/${x}/${y}${hdpi}.${this.format}?${token}`;
+    }
+    
+    async fetchTile(zoom, x, y) {
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
     }
 }
 
@@ -243,8 +845,12 @@ export class MapTilerProvider extends MapProvider {
         this.resolution = 512;
     }
     
+    getTileUrl(zoom, x, y) {
+        return `https://api.maptiler.com/${this.category}/${this.style}/${zoom}/${x}/${y}.${this.format}?key=${this.apiKey}`;
+    }
+    
     async fetchTile(zoom, x, y) {
-        return ImageLoader.loadImage(`https://api.maptiler.com/${this.category}/${this.style}/${zoom}/${x}/${y}.${this.format}?key=${this.apiKey}`);
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
     }
 }
 
@@ -270,8 +876,104 @@ export class OpenMapTilesProvider extends MapProvider {
         return meta;
     }
     
+    getTileUrl(zoom, x, y) {
+        return `${this.address}styles/${this.theme}/${zoom}/${x}/${y}.${this.format}`;
+    }
+    
+    async fetchTile(zoom, x, y) {
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
+    }
+}
+
+/**
+ * Terrarium encoded elevation, by default the open AWS terrain tiles
+ */
+export class TerrariumProvider extends MapProvider {
+    constructor(address = 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/') {
+        super();
+        this.address = address;
+        this.maxZoom = 15;
+        this.encoding = ElevationDecoder.TERRARIUM;
+    }
+    
+    getTileUrl(zoom, x, y) {
+        return `${this.address}${zoom}/${x}/${y}.png`;
+    }
+    
+    async fetchTile(zoom, x, y) {
+        return ImageLoader.loadImage(this.getTileUrl(zoom, x, y));
+    }
+}
+
+/**
+ * Cesium quantized-mesh terrain described by a layer.json. The tileset must use the
+ * EPSG:3857 tiling scheme so its tiles line up with the map quadtree.
+ */
+export class QuantizedMeshProvider extends MapProvider {
+    static ACCEPT = 'application/vnd.quantized-mesh,application/octet-stream;q=0.9';
+    
+    constructor(address, { headers = {} } = {}) {
+        super();
+        this.address = address.replace(/\/$/, '');
+        this.headers = headers;
+        this.encoding = ElevationDecoder.QUANTIZED_MESH;
+        this.tiles = ['{z}/{x}/{y}.terrain?v={version}'];
+        this.version = '1.0.0';
+        this.scheme = 'tms';
+        this.layer = null;
+    }
+    
+    async getMetaData() {
+        const layer = await FetchUtils.request(`${this.address}/layer.json`, { headers: this.headers });
+        if (layer.projection !== 'EPSG:3857') {
+            console.warn(`Quantized-mesh tileset uses ${layer.projection ?? 'EPSG:4326'}, tiles will not line up with the map`);
+        }
+        Object.assign(this, {
+            name: layer.name,
+            minZoom: layer.minzoom ?? 0,
+            maxZoom: layer.maxzoom ?? (layer.available ? layer.available.length - 1 : this.maxZoom),
+            bounds: layer.bounds,
+            tiles: layer.tiles ?? this.tiles,
+            version: layer.version ?? this.version,
+            scheme: layer.scheme ?? this.scheme
+        });
+        return layer;
+    }
+    
+    /**
+     * Tile URL, valid once layer.json is loaded
+     */
+    getTileUrl(zoom, x, y) {
+        if (this.scheme === 'tms') y = Math.pow(2, zoom) - 1 - y;
+        const path = this.tiles[0]
+            .replace('{z}', zoom)
+            .replace('{x}', x)
+            .replace('{y}', y)
+            .replace('{version}', this.version);
+        return `${this.address}/${path}`;
+    }
+    
+    async fetchTileBlob(zoom, x, y) {
+        // layer.json is loaded once, before the first tile
+        this.layer ??= this.getMetaData().catch(error => {
+            this.layer = null;
+            throw error;
+        });
+        await this.layer;
+        
+        const response = await fetch(this.getTileUrl(zoom, x, y), {
+            headers: { Accept: QuantizedMeshProvider.ACCEPT, ...this.headers }
+        });
+        if (!response.ok) throw new Error(`Failed to load terrain tile: ${response.status} ${response.url}`);
+        return response.blob();
+    }
+    
+    async decodeTileBlob(blob) {
+        return blob.arrayBuffer();
+    }
+    
     async fetchTile(zoom, x, y) {
-        return ImageLoader.loadImage(`${this.address}styles/${this.theme}/${zoom}/${x}/${y}.${this.format}`);
+        return this.decodeTileBlob(await this.fetchTileBlob(zoom, x, y));
     }
 }
 
@@ -304,23 +1006,24 @@ export class HeightDebugProvider extends MapProvider {
     }
     
     async fetchTile(zoom, x, y) {
-        const image = await this.provider.fetchTile(zoom, x, y);
+        const tile = await this.provider.fetchTile(zoom, x, y);
         const resolution = 256;
+        // Decoded as a whole, quantized-mesh tiles have no pixels
+        const heights = ElevationDecoder.forEncoding(this.provider.encoding).decode(tile, resolution - 1);
         const canvas = new OffscreenCanvas(resolution, resolution);
         const ctx = canvas.getContext('2d');
-        ctx.drawImage(image, 0, 0, resolution, resolution);
-        const imageData = ctx.getImageData(0, 0, resolution, resolution);
+        const imageData = ctx.createImageData(resolution, resolution);
         const { data } = imageData;
         
-        for (let i = 0; i < data.length; i += 4) {
-            const height = (data[i] * 65536 + data[i + 1] * 256 + data[i + 2]) * 0.1 - 10000;
+        heights.forEach((height, i) => {
             const normalized = (height + 10000) / 17000;
             const hue = normalized * 120;
             const rgb = this.hslToRgb(hue / 360, 1, 0.5);
-            data[i] = rgb[0];
-            data[i + 1] = rgb[1];
-            data[i + 2] = rgb[2];
-        }
+            data[i * 4] = rgb[0];
+            data[i * 4 + 1] = rgb[1];
+            data[i * 4 + 2] = rgb[2];
+            data[i * 4 + 3] = 255;
+        });
         
         ctx.putImageData(imageData, 0, 0);
         return canvas;
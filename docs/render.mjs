@@ -1,7 +1,13 @@
 const THREE = window.THREE;
 
 import { CanvasUtils, UnitsUtils } from './utils.mjs';
+import { TileCache } from './tile-cache.mjs';
+import { TileRequestScheduler } from './providers.mjs';
+import { ElevationDecoder, ElevationWorkerPool, HeightMesh } from './elevation.mjs';
+import { MapLayer } from './layers.mjs';
+import { TerrainModifier } from './modifiers.mjs';
 
+// Default vertical exaggeration, see MapView.setExaggeration()
 export const HEIGHT_MAGNIFY = 10.0;
 
 export class LODRaycast {
@@ -63,25 +69,115 @@ export class LODRaycast {
     }
 }
 
+/**
+ * Deterministic LOD that walks the whole quadtree every update.
+ * Tiles outside the camera frustum are simplified, visible tiles are refined
+ * by their screen-space error (how many pixels one texel of the tile covers).
+ */
+export class LODFrustum {
+    constructor({
+        thresholdUp = 1.5,
+        thresholdDown = 0.5,
+        tileSize = 256
+    } = {}) {
+        this.thresholdUp = thresholdUp;
+        this.thresholdDown = thresholdDown;
+        this.tileSize = tileSize;
+        this.frustum = new THREE.Frustum();
+        this.projection = new THREE.Matrix4();
+        this.box = new THREE.Box3();
+        this.pixelScale = 1;
+    }
+    
+    updateLOD(view, camera, renderer, scene, viewerImpl) {
+        if (!view.root) return;
+        
+        this.projection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        if (this.frustum.setFromProjectionMatrix) {
+            this.frustum.setFromProjectionMatrix(this.projection);
+        } else {
+            this.frustum.setFromMatrix(this.projection);
+        }
+        
+        const height = renderer?.domElement?.clientHeight || viewerImpl.canvas.clientHeight;
+        this.pixelScale = height / (2 * Math.tan(THREE.Math.degToRad(camera.fov) / 2));
+        this.traverse(view.root, camera.position);
+    }
+    
+    traverse(node, position) {
+        const error = this.calculateError(node, position);
+        
+        if (node.subdivided) {
+            if (error < this.thresholdDown) {
+                node.simplify();
+                return;
+            }
+            for (const child of node.children) {
+                if (child instanceof MapNode) this.traverse(child, position);
+            }
+        } else if (error > this.thresholdUp) {
+            node.subdivide();
+        }
+    }
+    
+    /**
+     * Screen-space error of a node in pixels per texel, zero when outside the frustum
+     */
+    calculateError(node, position) {
+        if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+        this.box.copy(node.geometry.boundingBox).applyMatrix4(node.matrixWorld);
+        if (!this.frustum.intersectsBox(this.box)) return 0;
+        
+        const distance = Math.max(this.box.distanceToPoint(position), 1e-6);
+        return (node.getWorldWidth() / this.tileSize) * this.pixelScale / distance;
+    }
+}
+
 export class MapView extends THREE.Mesh {
     static PLANAR = 200;
     static SPHERICAL = 201;
     static HEIGHT = 202;
     static HEIGHT_SHADER = 203;
     
+    static LOD_RAYCAST = 'raycast';
+    static LOD_FRUSTUM = 'frustum';
+    
     constructor(rootMode = MapView.PLANAR, provider = null, heightProvider = null, { level = 7, x = 20, y = 49 } = {}) {
         super(undefined, undefined);
         this.lod = new LODRaycast();
+        this.lodMode = MapView.LOD_RAYCAST;
+        this.cache = new TileCache();
+        this.scheduler = new TileRequestScheduler();
+        this.workers = new ElevationWorkerPool(); // Height tile decoding off the main thread
+        this.viewpoint = new THREE.Vector3();
+        this.skirtDepth = 0; // Metres of skirt below height tile edges, 0 disables skirts
+        this.exaggeration = HEIGHT_MAGNIFY; // World units per metre of terrain height
+        this.maxZoom = 22; // Deepest level, tiles past a provider's maxZoom are upsampled from ancestors
+        this.layers = []; // MapLayer overlays above the base provider, bottom to top
+        this.modifiers = []; // TerrainModifier polygons reshaping the height tiles, later ones win
         this.provider = provider;
         this.heightProvider = heightProvider;
         this.root = null;
         this.rootMode = rootMode;
         this.rootLocation = { level, x, y };
         this.setRoot(rootMode);
+        if (rootMode === MapView.SPHERICAL) this.setLODMode(MapView.LOD_FRUSTUM);
     }
     
     setRoot(rootMode) {
-        let root = rootMode === MapView.HEIGHT ? new MapHeightNode(null, this) : new MapPlaneNode(null, this);
+        let root;
+        if (rootMode === MapView.HEIGHT) root = new MapHeightNode(null, this);
+        else if (rootMode === MapView.HEIGHT_SHADER) {
+            const decoder = this.getHeightDecoder();
+            if (decoder && !decoder.glsl) {
+                console.warn(`Height encoding ${this.heightProvider.encoding} cannot be decoded in a shader, using MapView.HEIGHT`);
+                root = new MapHeightNode(null, this);
+            } else {
+                root = new MapHeightNodeShader(null, this);
+            }
+        }
+        else if (rootMode === MapView.SPHERICAL) root = new MapSphereNode(null, this);
+        else root = new MapPlaneNode(null, this);
         if (this.root) {
             this.remove(this.root);
             this.root = null;
@@ -97,6 +193,160 @@ export class MapView extends THREE.Mesh {
         }
     }
     
+    /**
+     * Decoder matching the encoding declared by the height provider
+     * @returns {ElevationDecoder|null}
+     */
+    getHeightDecoder() {
+        return this.heightProvider ? ElevationDecoder.forEncoding(this.heightProvider.encoding) : null;
+    }
+    
+    /**
+     * Decode a height tile and build its mesh arrays, in a worker when possible
+     * @param {*} tile - Tile fetched from the height provider
+     * @param {number} gridSize - Grid segments per side
+     * @param {Object} crop - Overzoom region of an ancestor tile, see MapNode.getOverzoom()
+     * @returns {Promise<Object>} HeightMesh arrays
+     */
+    async buildHeightMesh(tile, gridSize, crop = null) {
+        const encoding = this.heightProvider.encoding;
+        const options = { gridSize, skirtDepth: this.skirtDepth, exaggeration: this.exaggeration, crop };
+        if (this.workers.supports(encoding)) {
+            try {
+                return await this.workers.build(encoding, tile, options);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Elevation worker failed, decoding on the main thread:', error);
+            }
+        }
+        return HeightMesh.fromTile(ElevationDecoder.forEncoding(encoding), tile, options);
+    }
+    
+    setLODMode(lodMode) {
+        // Raycast distances assume planar tile scales, the globe always uses frustum LOD
+        if (this.rootMode === MapView.SPHERICAL) lodMode = MapView.LOD_FRUSTUM;
+        this.lod = lodMode === MapView.LOD_FRUSTUM ? new LODFrustum() : new LODRaycast();
+        this.lodMode = lodMode;
+    }
+    
+    /**
+     * Run one LOD update and remember the camera position for request priorities
+     */
+    updateLOD(camera, renderer, scene, viewerImpl) {
+        this.viewpoint.copy(camera.position);
+        this.lod.updateLOD(this, camera, renderer, scene, viewerImpl);
+    }
+    
+    /**
+     * Change the vertical exaggeration, loaded and cached tiles are re-displaced without refetching
+     * @param {number} exaggeration - World units per metre of terrain height
+     */
+    setExaggeration(exaggeration) {
+        this.exaggeration = exaggeration;
+        if (this.root) {
+            this.root.forEachNode(node => node.applyExaggeration(exaggeration));
+            this.dispatchTerrainChange(this.root);
+        }
+    }
+    
+    /**
+     * Elevation in metres of a world space point, e.g. a terrain raycast hit
+     * @param {THREE.Vector3} point - World space point
+     * @returns {number} Metres
+     */
+    worldToElevation(point) {
+        return this.worldToLocal(point.clone()).y / this.exaggeration;
+    }
+    
+    /**
+     * Map-local height of an elevation in metres
+     * @param {number} metres
+     * @returns {number} Local Y
+     */
+    elevationToLocal(metres) {
+        return metres * this.exaggeration;
+    }
+    
+    /**
+     * Map-local position of a WGS84 coordinate: X east and Z south, the root tile spanning -0.5 to 0.5
+     * @param {number} longitude - Degrees
+     * @param {number} latitude - Degrees
+     * @param {number} metres - Elevation
+     * @returns {THREE.Vector3}
+     */
+    lonLatToLocal(longitude, latitude, metres = 0) {
+        const { level, x, y } = this.rootLocation;
+        const [tileX, tileY] = UnitsUtils.pointToTileFraction(longitude, latitude, level);
+        return new THREE.Vector3(tileX - x - 0.5, this.elevationToLocal(metres), tileY - y - 0.5);
+    }
+    
+    /**
+     * WGS84 coordinate of a map-local position
+     * @param {THREE.Vector3} point - Map-local position
+     * @returns {{longitude: number, latitude: number}}
+     */
+    localToLonLat(point) {
+        const { level, x, y } = this.rootLocation;
+        return UnitsUtils.quadtreeToDatums(level, x + 0.5 + point.x, y + 0.5 + point.z);
+    }
+    
+    /**
+     * Map-local length of a ground distance at a latitude
+     * @param {number} metres
+     * @param {number} latitude - Degrees
+     * @returns {number}
+     */
+    metresToLocal(metres, latitude) {
+        const tileMetres = 2 * UnitsUtils.MERCATOR_EXTENT * Math.cos(latitude * Math.PI / 180) / Math.pow(2, this.rootLocation.level);
+        return metres / tileMetres;
+    }
+    
+    /**
+     * Terrain height from the deepest loaded height tile under a coordinate
+     * @param {number} longitude - Degrees
+     * @param {number} latitude - Degrees
+     * @returns {number|null} Metres, null where no heights are loaded
+     */
+    getTerrainHeight(longitude, latitude) {
+        let height = null;
+        let node = this.root;
+        while (node) {
+            const [tileX, tileY] = UnitsUtils.pointToTileFraction(longitude, latitude, node.level);
+            const u = tileX - node.x;
+            const v = tileY - node.y;
+            if (u < 0 || u > 1 || v < 0 || v > 1) break;
+            height = node.sampleHeight(u, v) ?? height;
+            const x = node.x * 2 + Math.min(Math.floor(u * 2), 1);
+            const y = node.y * 2 + Math.min(Math.floor(v * 2), 1);
+            node = node.children.find(child => child instanceof MapNode && child.x === x && child.y === y);
+        }
+        return height;
+    }
+    
+    /**
+     * Nodes currently drawn, the finest loaded tiles
+     * @returns {MapNode[]}
+     */
+    getDisplayedNodes() {
+        const nodes = [];
+        const visit = node => {
+            if (!node.visible) return;
+            if (node.isMesh) nodes.push(node);
+            node.children.forEach(child => {
+                if (child instanceof MapNode) visit(child);
+            });
+        };
+        if (this.root) visit(this.root);
+        return nodes;
+    }
+    
+    /**
+     * Tell listeners that terrain heights under a node changed, e.g. to re-clamp draped overlays
+     */
+    dispatchTerrainChange(node) {
+        this.dispatchEvent({ type: 'terrainchange', node });
+    }
+    
     setProvider(provider) {
         if (provider !== this.provider) {
             this.provider = provider;
@@ -111,14 +361,116 @@ export class MapView extends THREE.Mesh {
         }
     }
     
+    /**
+     * Add an overlay layer, loaded tiles are composited again without rebuilding the quadtree
+     * @param {MapLayer} layer
+     * @param {number} index - Position in the stack, defaults to the top
+     * @returns {MapLayer}
+     */
+    addLayer(layer, index = this.layers.length) {
+        this.layers.splice(index, 0, layer);
+        this.refreshLayers();
+        return layer;
+    }
+    
+    removeLayer(layer) {
+        const index = this.layers.indexOf(layer);
+        if (index < 0) return;
+        this.layers.splice(index, 1);
+        this.refreshLayers();
+    }
+    
+    /**
+     * Move a layer within the stack, 0 being right above the base imagery
+     */
+    moveLayer(layer, index) {
+        const from = this.layers.indexOf(layer);
+        if (from < 0) return;
+        this.layers.splice(from, 1);
+        this.layers.splice(Math.max(0, Math.min(index, this.layers.length)), 0, layer);
+        this.refreshLayers();
+    }
+    
+    /**
+     * Change layer properties such as opacity, blendMode, visible, minZoom or maxZoom
+     * @param {MapLayer} layer
+     * @param {Object} properties
+     */
+    updateLayer(layer, properties) {
+        Object.assign(layer, properties);
+        this.refreshLayers();
+    }
+    
+    /**
+     * Hide, clip or flatten the terrain inside a polygon, on loaded tiles and on tiles still to load
+     * @param {TerrainModifier} modifier
+     * @returns {TerrainModifier}
+     */
+    addModifier(modifier) {
+        this.modifiers.push(modifier);
+        this.warnModifierLimits(modifier);
+        this.applyModifiers();
+        return modifier;
+    }
+    
+    /**
+     * Shader tiles apply a limited number of modifiers and polygon points, warn once when a
+     * new modifier may share a tile with more than that
+     */
+    warnModifierLimits(modifier) {
+        if (!(this.root instanceof MapHeightNodeShader)) return;
+        const shared = this.modifiers.filter(other => other.intersects(modifier));
+        const points = shared.reduce((sum, other) => sum + other.points.length, 0);
+        if (shared.length > MapHeightNodeShader.MAX_MODIFIERS || points > MapHeightNodeShader.MAX_MODIFIER_POINTS) {
+            console.warn(`MapView.HEIGHT_SHADER tiles apply up to ${MapHeightNodeShader.MAX_MODIFIERS} terrain modifiers of ${MapHeightNodeShader.MAX_MODIFIER_POINTS} points in total, ` +
+                `this one overlaps ${shared.length} with ${points} points: some are skipped, use MapView.HEIGHT`);
+        }
+    }
+    
+    removeModifier(modifier) {
+        const index = this.modifiers.indexOf(modifier);
+        if (index < 0) return;
+        this.modifiers.splice(index, 1);
+        this.applyModifiers();
+    }
+    
+    /**
+     * Reshape loaded and cached tiles again, e.g. after a modifier's polygon or elevation changed
+     */
+    applyModifiers() {
+        if (!this.root) return;
+        this.root.forEachNode(node => node.applyModifiers());
+        this.dispatchTerrainChange(this.root);
+    }
+    
+    /**
+     * Composite loaded and cached tiles again, only images of newly shown layers are fetched
+     */
+    refreshLayers() {
+        if (this.root) this.root.forEachNode(node => node.loadImagery());
+    }
+    
     clear() {
+        this.cache.clear();
         this.traverse(node => {
-            if (node.childrenCache) node.childrenCache = null;
             if (node.loadTexture) node.loadTexture();
         });
         return this;
     }
     
+    /**
+     * Release every tile texture and geometry, the view cannot be used afterwards
+     */
+    dispose() {
+        this.cache.clear();
+        this.workers.dispose();
+        if (this.root) {
+            this.root.dispose();
+            this.remove(this.root);
+            this.root = null;
+        }
+    }
+    
     async getMetaData() {
         return await this.provider.getMetaData();
     }
@@ -172,52 +524,37 @@ export class MapNodeGeometry extends THREE.BufferGeometry {
 }
 
 export class MapNodeHeightGeometry extends THREE.BufferGeometry {
-    constructor(width, height, widthSegments, heightSegments, imageData) {
+    /**
+     * @param {Object} mesh - Arrays from HeightMesh.build(), usually computed by an elevation worker
+     */
+    constructor(mesh) {
         super();
-        const widthHalf = width / 2;
-        const heightHalf = height / 2;
-        const gridX = widthSegments + 1;
-        const gridZ = heightSegments + 1;
-        const segmentWidth = width / widthSegments;
-        const segmentHeight = height / heightSegments;
-        const indices = [];
-        const vertices = [];
-        const normals = [];
-        const uvs = [];
-        
-        for (let iz = 0; iz < gridZ; iz++) {
-            const z = iz * segmentHeight - heightHalf;
-            for (let ix = 0; ix < gridX; ix++) {
-                const x = ix * segmentWidth - widthHalf;
-                vertices.push(x, 0, z);
-                normals.push(0, 1, 0);
-                uvs.push(ix / widthSegments, 1 - iz / heightSegments);
-            }
-        }
-        
-        if (imageData) {
-            const { data } = imageData;
-            for (let i = 0, j = 0; i < data.length && j < vertices.length; i += 4, j += 3) {
-                const height = (data[i] * 65536 + data[i + 1] * 256 + data[i + 2]) * 0.1 - 10000.0;
-                vertices[j + 1] = height * HEIGHT_MAGNIFY;
-            }
-        }
-        
-        for (let iz = 0; iz < heightSegments; iz++) {
-            for (let ix = 0; ix < widthSegments; ix++) {
-                const a = ix + gridX * iz;
-                const b = ix + gridX * (iz + 1);
-                const c = ix + 1 + gridX * (iz + 1);
-                const d = ix + 1 + gridX * iz;
-                indices.push(a, b, d, b, c, d);
-            }
+        // Heights are kept in metres so the exaggeration can change without refetching
+        this.heights = mesh.heights;
+        this.exaggeration = mesh.exaggeration;
+        this.source = null; // Heights and indices as built, kept once terrain modifiers reshape them
+        this.setIndex(new THREE.BufferAttribute(mesh.indices, 1));
+        this.setAttribute('position', new THREE.BufferAttribute(mesh.positions, 3));
+        this.setAttribute('normal', new THREE.BufferAttribute(mesh.normals, 3));
+        this.setAttribute('uv', new THREE.BufferAttribute(mesh.uvs, 2));
+        this.computeBoundingBox();
+        this.computeBoundingSphere();
+    }
+    
+    /**
+     * Re-displace the vertices from the stored heights
+     * @param {number} exaggeration - World units per metre of height
+     */
+    setExaggeration(exaggeration) {
+        this.exaggeration = exaggeration;
+        const position = this.getAttribute('position');
+        for (let i = 0; i < this.heights.length; i++) {
+            position.array[i * 3 + 1] = this.heights[i] * exaggeration;
         }
-        
-        this.setIndex(new THREE.BufferAttribute(new Uint32Array(indices), 1));
-        this.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices), 3));
-        this.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(normals), 3));
-        this.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
+        position.needsUpdate = true;
         this.computeVertexNormals();
+        this.computeBoundingBox();
+        this.computeBoundingSphere();
     }
 }
 
@@ -230,6 +567,7 @@ export class MapNode extends THREE.Mesh {
     static TOP_RIGHT = 1;
     static BOTTOM_LEFT = 2;
     static BOTTOM_RIGHT = 3;
+    static ERROR_IMAGE = null;
     
     constructor(parentNode = null, mapView = null, location = MapNode.ROOT, level = 0, x = 0, y = 0, geometry = null, material = null) {
         super(geometry, material);
@@ -242,6 +580,11 @@ export class MapNode extends THREE.Mesh {
         this.nodesLoaded = 0;
         this.subdivided = false;
         this.childrenCache = null;
+        this.disposed = false;
+        this.failed = false;
+        this.layerImages = new Map(); // provider -> image, kept only while the view has layers
+        this.imageryVersion = 0;
+        this.imageryReady = false;
         this.isMesh = true;
         this.initialize();
     }
@@ -250,23 +593,36 @@ export class MapNode extends THREE.Mesh {
     createChildNodes() {}
     
     subdivide() {
-        const maxZoom = this.mapView.provider.maxZoom;
+        const maxZoom = this.mapView.maxZoom;
         if (this.children.length > 0 || this.level + 1 > maxZoom || (this.parentNode && this.parentNode.nodesLoaded < MapNode.CHILDRENS)) return;
         this.subdivided = true;
-        if (this.childrenCache) {
+        const cached = this.mapView.cache.take(this);
+        if (cached) {
             this.isMesh = false;
-            this.children = this.childrenCache;
+            this.children = cached;
+            this.nodesLoaded = MapNode.CHILDRENS;
+            this.mapView.dispatchTerrainChange(this);
         } else {
             this.createChildNodes();
         }
     }
     
     simplify() {
-        if (this.children.length > 0) this.childrenCache = this.children;
+        if (this.children.length > 0) {
+            // Only fully loaded children are worth keeping for reuse, failed tiles are retried
+            if (this.nodesLoaded >= MapNode.CHILDRENS && !this.children.some(child => child.failed)) {
+                this.childrenCache = this.children;
+                this.mapView.cache.add(this);
+            } else {
+                this.children.forEach(child => child.dispose());
+            }
+        }
+        const hadChildren = this.children.length > 0;
         this.subdivided = false;
         this.isMesh = true;
         this.children = [];
         this.nodesLoaded = 0;
+        if (hadChildren) this.mapView.dispatchTerrainChange(this);
         this.visible = true;
         this.renderOrder = 0;
         this.position.y = 0;
@@ -274,18 +630,242 @@ export class MapNode extends THREE.Mesh {
         this.updateMatrixWorld(true);
     }
     
-    async loadTexture() {
-        const image = await this.mapView.provider.fetchTile(this.level, this.x, this.y);
+    /**
+     * Placeholder for tiles no provider could deliver: the node still counts as loaded,
+     * so the area keeps subdividing
+     */
+    static getErrorImage() {
+        if (!MapNode.ERROR_IMAGE) {
+            const size = 256;
+            const canvas = CanvasUtils.createOffscreenCanvas(size, size);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#d0d0d0';
+            ctx.fillRect(0, 0, size, size);
+            ctx.strokeStyle = '#c03030';
+            ctx.lineWidth = 6;
+            ctx.strokeRect(3, 3, size - 6, size - 6);
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.lineTo(size, size);
+            ctx.moveTo(size, 0);
+            ctx.lineTo(0, size);
+            ctx.stroke();
+            ctx.fillStyle = '#c03030';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = `bold ${size * 0.08}px arial`;
+            ctx.fillText('Tile unavailable', size / 2, size / 2);
+            MapNode.ERROR_IMAGE = canvas;
+        }
+        return MapNode.ERROR_IMAGE;
+    }
+    
+    static createErrorTexture() {
+        return MapNode.createTexture(MapNode.getErrorImage());
+    }
+    
+    static createTexture(image, filter = THREE.LinearFilter) {
         const texture = new THREE.Texture(image);
         texture.generateMipmaps = false;
         texture.format = THREE.RGBFormat;
-        texture.magFilter = THREE.LinearFilter;
-        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = filter;
+        texture.minFilter = filter;
         texture.needsUpdate = true;
-        this.material.map = texture;
+        return texture;
+    }
+    
+    /**
+     * Where this node lies in its ancestor at the provider's max zoom, when it is deeper
+     * @param {MapProvider} provider
+     * @returns {{level: number, x: number, y: number, scale: number, col: number, row: number}|null}
+     * Ancestor tile, node tiles per ancestor side and the node's column and row within it
+     */
+    getOverzoom(provider) {
+        const depth = this.level - provider.maxZoom;
+        if (depth <= 0) return null;
+        const scale = Math.pow(2, depth);
+        const x = Math.floor(this.x / scale);
+        const y = Math.floor(this.y / scale);
+        return { level: provider.maxZoom, x, y, scale, col: this.x - x * scale, row: this.y - y * scale };
+    }
+    
+    /**
+     * Upscale this node's part of an ancestor image
+     */
+    static cropImage(image, { scale, col, row }) {
+        const width = image.width / scale;
+        const height = image.height / scale;
+        const canvas = CanvasUtils.createOffscreenCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, col * width, row * height, width, height, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+    
+    /**
+     * Fetch this node's tile through the view's request scheduler, closest tiles first.
+     * Past the provider's max zoom the ancestor tile at max zoom is fetched instead, once for
+     * all its overzoomed descendants through the view's TileCache; below its min zoom nothing
+     * is. Failures are reported with a 'tileerror' event on the MapView.
+     * @param {MapProvider} provider
+     * @returns {Promise} Tile, or null if the request was cancelled or failed or the level isn't served
+     */
+    async fetchTile(provider) {
+        // Placeholder imagery, flat terrain and no layer until the provider serves the level
+        if (this.level < provider.minZoom) return null;
+        const overzoom = this.getOverzoom(provider);
+        const priority = () => this.getViewDistance();
+        try {
+            if (!overzoom) return await this.mapView.scheduler.request(provider, this.level, this.x, this.y, { owner: this, priority });
+            // Not owned by this node, other descendants may be waiting for the ancestor too
+            const { level, x, y } = overzoom;
+            return await this.mapView.cache.shareTile(provider, level, x, y, () => this.mapView.scheduler.request(provider, level, x, y, { priority }));
+        } catch (error) {
+            if (error.name !== 'AbortError') this.reportError(provider, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Fetch this node's imagery, cropped from an ancestor past the provider's max zoom
+     * @returns {Promise} Image, or null if the request was cancelled or failed
+     */
+    async fetchImage(provider) {
+        const image = await this.fetchTile(provider);
+        const overzoom = this.getOverzoom(provider);
+        return image && overzoom ? MapNode.cropImage(image, overzoom) : image;
+    }
+    
+    /**
+     * Flag this node as failed, so its parent won't cache it, and tell the MapView
+     */
+    reportError(provider, error) {
+        this.failed = true;
+        this.mapView.dispatchEvent({ type: 'tileerror', node: this, level: this.level, x: this.x, y: this.y, provider, error });
+    }
+    
+    getViewDistance() {
+        if (!this.geometry.boundingSphere) this.geometry.computeBoundingSphere();
+        const center = this.geometry.boundingSphere.center.clone().applyMatrix4(this.matrixWorld);
+        return center.distanceTo(this.mapView.viewpoint);
+    }
+    
+    async loadTexture() {
+        await this.loadImagery(true);
+    }
+    
+    /**
+     * Composite the base imagery and the view's visible layers into this node's texture
+     * @param {boolean} refetch - Fetch every image again instead of reusing the ones kept from the last composite
+     * @returns {Promise<boolean>} False if the node was disposed or a newer call superseded this one
+     */
+    async loadImagery(refetch = false) {
+        const version = ++this.imageryVersion;
+        const base = this.mapView.provider;
+        const layers = this.mapView.layers.filter(layer => layer.isVisibleAt(this.level));
+        const providers = [base, ...layers.map(layer => layer.provider)];
+        // Already showing the plain base imagery
+        if (!refetch && this.imageryReady && layers.length === 0 && this.layerImages.size === 0) return true;
+        if (refetch) this.layerImages.clear();
+        const images = new Map(this.layerImages);
+        await Promise.all(providers.filter(provider => !images.has(provider)).map(async provider => {
+            images.set(provider, await this.fetchImage(provider));
+        }));
+        if (this.disposed || version !== this.imageryVersion) return false;
+        
+        // Images are only worth keeping when a layer change may composite them again
+        this.layerImages = layers.length > 0 ? new Map(providers.map(provider => [provider, images.get(provider)])) : new Map();
+        const image = images.get(base);
+        if (layers.length === 0) {
+            this.setTexture(image ? MapNode.createTexture(image) : MapNode.createErrorTexture());
+        } else {
+            const entries = layers.map(layer => ({ layer, image: images.get(layer.provider) }));
+            this.setTexture(MapNode.createTexture(MapLayer.composite(image || MapNode.getErrorImage(), entries)));
+        }
+        if (!this.imageryReady) {
+            this.imageryReady = true;
+            this.onImageryReady();
+        }
+        return true;
+    }
+    
+    onImageryReady() {
         this.nodeReady();
     }
     
+    setTexture(texture) {
+        if (this.material.map) this.material.map.dispose();
+        this.material.map = texture;
+    }
+    
+    getTextures() {
+        return this.material.map ? [this.material.map] : [];
+    }
+    
+    hasSharedGeometry() {
+        return this.geometry === this.constructor.GEOMETRY;
+    }
+    
+    /**
+     * Dispose this node's textures, geometry and material along with all descendants,
+     * cached ones included
+     */
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        this.mapView.scheduler.cancel(this);
+        this.mapView.cache.delete(this);
+        [...this.children, ...(this.childrenCache || [])].forEach(child => {
+            if (child.dispose) child.dispose();
+        });
+        this.childrenCache = null;
+        this.getTextures().forEach(texture => texture.dispose());
+        if (!this.hasSharedGeometry()) this.geometry.dispose();
+        this.material.dispose();
+    }
+    
+    /**
+     * Visit this node and all descendants, including cached ones
+     * @param {Function} callback - Called with each node
+     */
+    forEachNode(callback) {
+        callback(this);
+        [...this.children, ...(this.childrenCache || [])].forEach(child => {
+            if (child instanceof MapNode) child.forEachNode(callback);
+        });
+    }
+    
+    applyExaggeration(exaggeration) {}
+    
+    applyModifiers() {}
+    
+    /**
+     * Heights in metres of this node's grid, rows from the north
+     * @returns {{heights: Float32Array, size: number}|null} size is grid segments per side
+     */
+    getHeightGrid() {
+        return null;
+    }
+    
+    /**
+     * Bilinear terrain height inside this node
+     * @param {number} u - 0 at the west edge, 1 at the east edge
+     * @param {number} v - 0 at the north edge, 1 at the south edge
+     * @returns {number|null} Metres, null without heights
+     */
+    sampleHeight(u, v) {
+        const grid = this.getHeightGrid();
+        if (!grid) return null;
+        return HeightMesh.sample(grid.heights, grid.size, u, v);
+    }
+    
+    /**
+     * Width of the tile in world units, used by the frustum LOD
+     */
+    getWorldWidth() {
+        const matrix = this.matrixWorld.elements;
+        return new THREE.Vector3(matrix[0], matrix[1], matrix[2]).length();
+    }
+    
     nodeReady() {
         if (this.parentNode) {
             this.parentNode.nodesLoaded++;
@@ -356,7 +936,7 @@ export class MapPlaneNode extends MapNode {
             { loc: MapNode.BOTTOM_LEFT, pos: [-0.25, 0, 0.25], tile: [x, y + 1] },
             { loc: MapNode.BOTTOM_RIGHT, pos: [0.25, 0, 0.25], tile: [x + 1, y + 1] }
         ].forEach(({ loc, pos, tile }) => {
-            const node = new MapPlaneNode(this, this.mapView, loc, level, tile[0], tile[1]);
+            const node = new this.constructor(this, this.mapView, loc, level, tile[0], tile[1]);
             node.scale.set(0.5, 1, 0.5);
             node.position.set(...pos);
             this.add(node);
@@ -381,47 +961,366 @@ export class MapHeightNode extends MapPlaneNode {
     
     async loadHeightGeometry() {
         if (!this.mapView.heightProvider) return;
-        const image = await this.mapView.heightProvider.fetchTile(this.level, this.x, this.y);
-        const canvas = CanvasUtils.createOffscreenCanvas(this.geometrySize + 1, this.geometrySize + 1);
-        const ctx = canvas.getContext('2d');
-        ctx.imageSmoothingEnabled = false;
-        ctx.drawImage(image, 0, 0, 256, 256, 0, 0, canvas.width, canvas.height);
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        this.geometry = new MapNodeHeightGeometry(1, 1, this.geometrySize, this.geometrySize, imageData);
+        const tile = await this.fetchTile(this.mapView.heightProvider);
+        if (this.disposed) return;
+        let mesh = null;
+        if (tile) {
+            try {
+                mesh = await this.mapView.buildHeightMesh(tile, this.geometrySize, this.getOverzoom(this.mapView.heightProvider));
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                this.reportError(this.mapView.heightProvider, error);
+            }
+        }
+        if (this.disposed) return;
+        // Without heights the tile stays flat
+        if (mesh) {
+            this.geometry = new MapNodeHeightGeometry(mesh);
+            this.applyModifiers();
+            // Exaggeration may have changed while the mesh was built
+            if (mesh.exaggeration !== this.mapView.exaggeration) this.geometry.setExaggeration(this.mapView.exaggeration);
+            this.mapView.dispatchTerrainChange(this);
+        }
         this.heightLoaded = true;
         if (this.textureLoaded) this.nodeReady();
     }
     
-    async loadTexture() {
-        const image = await this.mapView.provider.fetchTile(this.level, this.x, this.y);
-        const texture = new THREE.Texture(image);
-        texture.generateMipmaps = false;
-        texture.format = THREE.RGBFormat;
-        texture.magFilter = THREE.LinearFilter;
-        texture.minFilter = THREE.LinearFilter;
-        texture.needsUpdate = true;
-        this.material.map = texture;
+    applyExaggeration(exaggeration) {
+        if (this.geometry instanceof MapNodeHeightGeometry) this.geometry.setExaggeration(exaggeration);
+    }
+    
+    /**
+     * Reshape the mesh with the map's terrain modifiers, from the heights it was built with
+     */
+    applyModifiers() {
+        const geometry = this.geometry;
+        if (!(geometry instanceof MapNodeHeightGeometry)) return;
+        const modifiers = TerrainModifier.forTile(this.mapView.modifiers, this.level, this.x, this.y);
+        if (modifiers.length === 0 && !geometry.source) return;
+        
+        geometry.source ??= { heights: geometry.heights, indices: geometry.index.array };
+        const { heights, indices } = geometry.source;
+        const tile = { level: this.level, x: this.x, y: this.y };
+        const positions = geometry.getAttribute('position').array;
+        geometry.heights = modifiers.length > 0 ? TerrainModifier.modifyHeights(modifiers, tile, heights, this.geometrySize, positions) : heights;
+        geometry.setIndex(new THREE.BufferAttribute(TerrainModifier.cutIndices(modifiers, tile, indices, positions), 1));
+        geometry.setExaggeration(this.mapView.exaggeration);
+    }
+    
+    getHeightGrid() {
+        // Skirt heights follow the grid ones
+        return this.geometry instanceof MapNodeHeightGeometry ? { heights: this.geometry.heights, size: this.geometrySize } : null;
+    }
+    
+    onImageryReady() {
         this.textureLoaded = true;
         if (this.heightLoaded || !this.mapView.heightProvider) this.nodeReady();
     }
+}
+
+/**
+ * Height node that displaces a shared grid in the vertex shader from the terrain-RGB texture,
+ * so no geometry is allocated per tile. Raycasts hit the undisplaced grid.
+ */
+export class MapHeightNodeShader extends MapHeightNode {
+    static GEOMETRY_SIZE = 64;
+    static GEOMETRY = new MapNodeGeometry(1, 1, MapHeightNodeShader.GEOMETRY_SIZE, MapHeightNodeShader.GEOMETRY_SIZE);
+    
+    // Terrain modifiers a tile can apply in the shader, and their polygon points in total
+    static MAX_MODIFIERS = 4;
+    static MAX_MODIFIER_POINTS = 64;
+    static MODIFIER_MODES = { [TerrainModifier.HIDE]: 1, [TerrainModifier.CLIP]: 2, [TerrainModifier.FLATTEN]: 3 };
+    
+    // Prefixed with the decodeHeight() of the height provider's decoder
+    static VERTEX_SHADER = `
+        uniform sampler2D heightMap;
+        uniform float heightScale;
+        uniform vec4 heightRegion;
+        // Polygons in tile space, 0 to 1 from the north-west corner, one after the other
+        uniform vec2 modifierPoints[${MapHeightNodeShader.MAX_MODIFIER_POINTS}];
+        // First point, point count, mode (0 unused, 1 hide, 2 clip, 3 flatten) and elevation
+        uniform vec4 modifiers[${MapHeightNodeShader.MAX_MODIFIERS}];
+        varying vec2 vUv;
+        varying float vHidden;
+        
+        bool insideModifier(vec2 point, vec4 modifier) {
+            bool inside = false;
+            int first = int(modifier.x);
+            int count = int(modifier.y);
+            for (int i = 0; i < ${MapHeightNodeShader.MAX_MODIFIER_POINTS}; i++) {
+                if (i >= count) break;
+                vec2 a = modifierPoints[first + i];
+                vec2 b = modifierPoints[i == 0 ? first + count - 1 : first + i - 1];
+                if ((a.y > point.y) != (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+            }
+            return inside;
+        }
+        
+        void main() {
+            vUv = uv;
+            // Overzoomed nodes sample their part of an ancestor's height map
+            vec3 encoded = texture2D(heightMap, uv * heightRegion.xy + heightRegion.zw).rgb * 255.0;
+            float height = decodeHeight(encoded);
+            vHidden = 0.0;
+            for (int m = 0; m < ${MapHeightNodeShader.MAX_MODIFIERS}; m++) {
+                vec4 modifier = modifiers[m];
+                if (modifier.z == 0.0) break;
+                if (!insideModifier(position.xz + 0.5, modifier)) continue;
+                if (modifier.z == 1.0) vHidden = 1.0;
+                else if (modifier.z == 2.0) height = min(height, modifier.w);
+                else height = modifier.w;
+            }
+            vec3 displaced = position + vec3(0.0, height * heightScale, 0.0);
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+        }
+    `;
+    
+    static FRAGMENT_SHADER = `
+        uniform sampler2D colorMap;
+        varying vec2 vUv;
+        varying float vHidden;
+        
+        void main() {
+            // Triangles mostly inside a hidden area are cut out
+            if (vHidden > 0.5) discard;
+            gl_FragColor = texture2D(colorMap, vUv);
+        }
+    `;
+    
+    constructor(parentNode = null, mapView = null, location = MapNode.ROOT, level = null, x = null, y = null) {
+        super(parentNode, mapView, location, level, x, y);
+        this.geometry = MapHeightNodeShader.GEOMETRY;
+        this.material.dispose();
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                colorMap: { type: 't', value: null },
+                heightMap: { type: 't', value: null },
+                heightScale: { type: 'f', value: 0.0 },
+                heightRegion: { type: 'v4', value: new THREE.Vector4(1, 1, 0, 0) },
+                modifierPoints: { type: 'v2v', value: Array.from({ length: MapHeightNodeShader.MAX_MODIFIER_POINTS }, () => new THREE.Vector2()) },
+                modifiers: { type: 'v4v', value: Array.from({ length: MapHeightNodeShader.MAX_MODIFIERS }, () => new THREE.Vector4()) }
+            },
+            vertexShader: (mapView?.getHeightDecoder() ?? ElevationDecoder.forEncoding()).glsl + MapHeightNodeShader.VERTEX_SHADER,
+            fragmentShader: MapHeightNodeShader.FRAGMENT_SHADER,
+            depthTest: true,
+            depthWrite: false,
+            side: THREE.FrontSide
+        });
+        this.heightGrid = null; // Decoded heights for CPU queries, see getHeightGrid()
+    }
+    
+    async loadHeightGeometry() {
+        if (!this.mapView.heightProvider) return;
+        const image = await this.fetchTile(this.mapView.heightProvider);
+        if (this.disposed) return;
+        // Without heights the tile stays flat
+        if (image) {
+            // Encoded heights must not be interpolated between texels
+            this.material.uniforms.heightMap.value = MapNode.createTexture(image, THREE.NearestFilter);
+            this.material.uniforms.heightScale.value = this.mapView.exaggeration;
+            const overzoom = this.getOverzoom(this.mapView.heightProvider);
+            if (overzoom) {
+                // Texture rows run from the bottom, tile rows from the top
+                const { scale, col, row } = overzoom;
+                this.material.uniforms.heightRegion.value.set(1 / scale, 1 / scale, col / scale, (scale - 1 - row) / scale);
+            }
+            this.applyModifiers();
+            this.mapView.dispatchTerrainChange(this);
+        }
+        this.heightLoaded = true;
+        if (this.textureLoaded) this.nodeReady();
+    }
+    
+    applyExaggeration(exaggeration) {
+        if (this.material.uniforms.heightMap.value) this.material.uniforms.heightScale.value = exaggeration;
+    }
+    
+    /**
+     * Pass the map's terrain modifiers to the shader, in tile space
+     */
+    applyModifiers() {
+        this.heightGrid = null;
+        const uniforms = this.material.uniforms;
+        const modifiers = TerrainModifier.forTile(this.mapView.modifiers, this.level, this.x, this.y);
+        const scale = Math.pow(2, this.level);
+        let first = 0;
+        uniforms.modifiers.value.forEach((value, m) => {
+            const modifier = modifiers[m];
+            // Past the limits modifiers are skipped, MapView.addModifier() warns about it
+            if (!modifier || first + modifier.points.length > MapHeightNodeShader.MAX_MODIFIER_POINTS) {
+                value.set(0, 0, 0, 0);
+                return;
+            }
+            modifier.points.forEach(([x, y], i) => uniforms.modifierPoints.value[first + i].set(x * scale - this.x, y * scale - this.y));
+            value.set(first, modifier.points.length, MapHeightNodeShader.MODIFIER_MODES[modifier.mode], modifier.elevation);
+            first += modifier.points.length;
+        });
+    }
+    
+    /**
+     * Heights are only decoded on the GPU, the CPU copy is decoded on first use
+     */
+    getHeightGrid() {
+        const heightMap = this.material.uniforms.heightMap.value;
+        if (!heightMap) return null;
+        if (!this.heightGrid) {
+            const decoder = this.mapView.getHeightDecoder() ?? ElevationDecoder.forEncoding();
+            const crop = this.getOverzoom(this.mapView.heightProvider);
+            const mesh = HeightMesh.fromTile(decoder, heightMap.image, { gridSize: this.geometrySize, crop });
+            const modifiers = TerrainModifier.forTile(this.mapView.modifiers, this.level, this.x, this.y);
+            const tile = { level: this.level, x: this.x, y: this.y };
+            const heights = modifiers.length > 0 ? TerrainModifier.modifyHeights(modifiers, tile, mesh.heights, this.geometrySize) : mesh.heights;
+            this.heightGrid = { heights, size: this.geometrySize };
+        }
+        return this.heightGrid;
+    }
+    
+    setTexture(texture) {
+        const uniforms = this.material.uniforms;
+        if (uniforms.colorMap.value) uniforms.colorMap.value.dispose();
+        uniforms.colorMap.value = texture;
+    }
+    
+    getTextures() {
+        const uniforms = this.material.uniforms;
+        return [uniforms.colorMap.value, uniforms.heightMap.value].filter(Boolean);
+    }
+}
+
+export class MapSphereNodeGeometry extends THREE.BufferGeometry {
+    /**
+     * Patch of the globe covered by a Web Mercator tile, expressed in the site frame
+     * @param {Object} frame - Site frame from MapSphereNode.createFrame()
+     * @param {number} level - Tile zoom level
+     * @param {number} x - Tile X coordinate
+     * @param {number} y - Tile Y coordinate
+     * @param {number} segments - Grid segments per side
+     */
+    constructor(frame, level, x, y, segments) {
+        super();
+        const { radius, center, east, up, north } = frame;
+        const gridSize = segments + 1;
+        const indices = [];
+        const vertices = [];
+        const normals = [];
+        const uvs = [];
+        
+        for (let iy = 0; iy < gridSize; iy++) {
+            for (let ix = 0; ix < gridSize; ix++) {
+                // Step in tile space so rows follow the Mercator texture
+                const { latitude, longitude } = UnitsUtils.quadtreeToDatums(level, x + ix / segments, y + iy / segments);
+                const normal = MapSphereNode.surfaceNormal(latitude, longitude);
+                const px = normal[0] * radius - center[0];
+                const py = normal[1] * radius - center[1];
+                const pz = normal[2] * radius - center[2];
+                
+                vertices.push(
+                    px * east[0] + py * east[1] + pz * east[2],
+                    px * up[0] + py * up[1] + pz * up[2],
+                    -(px * north[0] + py * north[1] + pz * north[2])
+                );
+                normals.push(
+                    normal[0] * east[0] + normal[1] * east[1] + normal[2] * east[2],
+                    normal[0] * up[0] + normal[1] * up[1] + normal[2] * up[2],
+                    -(normal[0] * north[0] + normal[1] * north[1] + normal[2] * north[2])
+                );
+                uvs.push(ix / segments, 1 - iy / segments);
+            }
+        }
+        
+        for (let iy = 0; iy < segments; iy++) {
+            for (let ix = 0; ix < segments; ix++) {
+                const a = ix + gridSize * iy;
+                const b = ix + gridSize * (iy + 1);
+                const c = ix + 1 + gridSize * (iy + 1);
+                const d = ix + 1 + gridSize * iy;
+                indices.push(a, b, d, b, c, d);
+            }
+        }
+        
+        // Arc length of the tile's top edge, used for screen-space error
+        const n = Math.pow(2, level);
+        const latitude = UnitsUtils.quadtreeToDatums(level, x, y + 0.5).latitude;
+        this.tileWidth = 2 * Math.PI * radius * Math.cos(latitude * Math.PI / 180) / n;
+        
+        this.setIndex(new THREE.BufferAttribute(new Uint32Array(indices), 1));
+        this.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices), 3));
+        this.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(normals), 3));
+        this.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
+    }
+}
+
+/**
+ * Globe node. The whole earth is the root tile, and the sphere is placed so the
+ * center of the MapView root location sits at the origin with the same scale as
+ * the planar map there, so models stay aligned while the globe curves away.
+ */
+export class MapSphereNode extends MapNode {
+    static SEGMENTS = 32;
+    static BASE_SCALE = new THREE.Vector3(1, 1, 1);
+    
+    constructor(parentNode = null, mapView = null, location = MapNode.ROOT, level = 0, x = 0, y = 0) {
+        const frame = mapView.sphereFrame ??= MapSphereNode.createFrame(mapView.rootLocation);
+        const segments = Math.max(MapSphereNode.SEGMENTS >> level, 8);
+        super(parentNode, mapView, location, level, x, y, new MapSphereNodeGeometry(frame, level, x, y, segments),
+            new THREE.MeshBasicMaterial({
+                disableEnvMap: false,
+                depthTest: true,
+                depthWrite: false,
+                side: THREE.FrontSide
+            })
+        );
+        this.matrixAutoUpdate = false;
+        this.isMesh = true;
+        this.visible = false;
+    }
+    
+    static surfaceNormal(latitude, longitude) {
+        const phi = latitude * Math.PI / 180;
+        const lambda = longitude * Math.PI / 180;
+        return [Math.cos(phi) * Math.sin(lambda), Math.sin(phi), Math.cos(phi) * Math.cos(lambda)];
+    }
+    
+    /**
+     * East/up/north basis at the center of the root tile. The radius makes one root
+     * tile as wide as the planar map's root tile at that latitude.
+     */
+    static createFrame({ level, x, y }) {
+        const { latitude, longitude } = UnitsUtils.quadtreeToDatums(level, x + 0.5, y + 0.5);
+        const phi = latitude * Math.PI / 180;
+        const lambda = longitude * Math.PI / 180;
+        const radius = UnitsUtils.EARTH_RADIUS * Math.pow(2, level) / Math.cos(phi);
+        const up = MapSphereNode.surfaceNormal(latitude, longitude);
+        return {
+            radius,
+            center: up.map(v => v * radius),
+            up,
+            east: [Math.cos(lambda), 0, -Math.sin(lambda)],
+            north: [-Math.sin(phi) * Math.sin(lambda), Math.cos(phi), -Math.sin(phi) * Math.cos(lambda)]
+        };
+    }
+    
+    initialize() {
+        this.loadTexture();
+    }
+    
+    getWorldWidth() {
+        const matrix = this.matrixWorld.elements;
+        return this.geometry.tileWidth * new THREE.Vector3(matrix[0], matrix[1], matrix[2]).length();
+    }
     
     createChildNodes() {
         const level = this.level + 1;
         const x = this.x * 2;
         const y = this.y * 2;
-        this.position.y = -0.1;
-        this.updateMatrix();
-        this.updateMatrixWorld(true);
         
         [
-            { loc: MapNode.TOP_LEFT, pos: [-0.25, 0, -0.25], tile: [x, y] },
-            { loc: MapNode.TOP_RIGHT, pos: [0.25, 0, -0.25], tile: [x + 1, y] },
-            { loc: MapNode.BOTTOM_LEFT, pos: [-0.25, 0, 0.25], tile: [x, y + 1] },
-            { loc: MapNode.BOTTOM_RIGHT, pos: [0.25, 0, 0.25], tile: [x + 1, y + 1] }
-        ].forEach(({ loc, pos, tile }) => {
-            const node = new MapHeightNode(this, this.mapView, loc, level, tile[0], tile[1]);
-            node.scale.set(0.5, 1, 0.5);
-            node.position.set(...pos);
+            { loc: MapNode.TOP_LEFT, tile: [x, y] },
+            { loc: MapNode.TOP_RIGHT, tile: [x + 1, y] },
+            { loc: MapNode.BOTTOM_LEFT, tile: [x, y + 1] },
+            { loc: MapNode.BOTTOM_RIGHT, tile: [x + 1, y + 1] }
+        ].forEach(({ loc, tile }) => {
+            const node = new MapSphereNode(this, this.mapView, loc, level, tile[0], tile[1]);
             this.add(node);
             node.updateMatrix();
             node.updateMatrixWorld(true);
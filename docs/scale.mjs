@@ -0,0 +1,83 @@
+const THREE = globalThis.THREE;
+
+import { UnitsUtils } from './utils.mjs';
+
+/**
+ * Ground distances of world space points on a planar or height map. A map-local unit spans
+ * the root tile, 2 * MERCATOR_EXTENT / 2^level Web Mercator metres, shrunk by cos(latitude)
+ * on the ground; the map transform sets the world units per local unit. Heights are local Y
+ * over the exaggeration.
+ */
+export class MapScale {
+    /**
+     * @param {MapView} mapView
+     */
+    constructor(mapView) {
+        this.mapView = mapView;
+    }
+    
+    /**
+     * Ground metres per map-local unit at a latitude
+     * @param {number} latitude - Degrees
+     * @param {number} level - Root tile level
+     * @returns {number}
+     */
+    static getMetresPerLocal(latitude, level) {
+        return 2 * UnitsUtils.MERCATOR_EXTENT * Math.cos(latitude * Math.PI / 180) / Math.pow(2, level);
+    }
+    
+    /**
+     * World units per map-local unit horizontally, from the map transform
+     * @returns {number}
+     */
+    getWorldPerLocal() {
+        const matrix = this.mapView.matrixWorld.elements;
+        return Math.hypot(matrix[0], matrix[1], matrix[2]);
+    }
+    
+    /**
+     * Ground metres per horizontal world unit at a world space point
+     * @param {THREE.Vector3} point
+     * @param {Object} location - Root tile the point was picked on, the map's by default
+     * @returns {number}
+     */
+    getMetresPerUnit(point, location = this.mapView.rootLocation) {
+        const local = this.mapView.worldToLocal(point.clone());
+        return MapScale.getMetresPerLocal(this.getLatitude(local, location), location.level) / this.getWorldPerLocal();
+    }
+    
+    getLatitude(local, { level, x, y }) {
+        return UnitsUtils.quadtreeToDatums(level, x + 0.5 + local.x, y + 0.5 + local.z).latitude;
+    }
+    
+    /**
+     * Metres between two world space points, e.g. terrain hits, ground distance scaled at their
+     * middle and height difference combined
+     * @param {THREE.Vector3} a
+     * @param {THREE.Vector3} b
+     * @param {Object} location - Root tile the points were picked on, the map's by default
+     * @returns {number}
+     */
+    getDistance(a, b, location = this.mapView.rootLocation) {
+        const localA = this.mapView.worldToLocal(a.clone());
+        const localB = this.mapView.worldToLocal(b.clone());
+        const middle = localA.clone().add(localB).multiplyScalar(0.5);
+        const ground = Math.hypot(localB.x - localA.x, localB.z - localA.z) * MapScale.getMetresPerLocal(this.getLatitude(middle, location), location.level);
+        const height = (localB.y - localA.y) / this.mapView.exaggeration;
+        return Math.hypot(ground, height);
+    }
+    
+    /**
+     * Metres along a polyline of world space points
+     * @param {Array} points - THREE.Vector3 or {x, y, z}
+     * @param {Object} location - Root tile the points were picked on, the map's by default
+     * @returns {number}
+     */
+    getLength(points, location = this.mapView.rootLocation) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += this.getDistance(new THREE.Vector3().copy(points[i - 1]), new THREE.Vector3().copy(points[i]), location);
+        }
+        return length;
+    }
+}
@@ -272,3 +272,163 @@ export function getModelURN(model) {
     return modelData?.urn || 'default-model';
 }
 
+
+/**
+ * Persistent tile blobs in IndexedDB, shared by every CachedProvider of the page.
+ * Entries expire after maxAge and the least recently used ones are dropped once
+ * the store grows past maxBytes.
+ */
+export class TileStore {
+    static STORE = 'tiles';
+    
+    /**
+     * @param {Object} options
+     * @param {string} options.name - IndexedDB database name
+     * @param {number} options.maxBytes - Size quota
+     * @param {number} options.maxAge - Milliseconds before a tile is fetched again
+     */
+    constructor({ name = 'geo-three-tiles', maxBytes = 200 * 1024 * 1024, maxAge = 7 * 24 * 60 * 60 * 1000 } = {}) {
+        this.name = name;
+        this.maxBytes = maxBytes;
+        this.maxAge = maxAge;
+        this.db = null;
+        this.bytes = 0;
+        this.entries = 0;
+    }
+    
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Open the database once and total the stored bytes for the quota, a failed open is tried again next time
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        this.db ??= (async () => {
+            this.bytes = 0;
+            this.entries = 0;
+            const request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(TileStore.STORE, { keyPath: 'key' });
+                store.createIndex('accessed', 'accessed');
+            };
+            const db = await TileStore.promisify(request);
+            await this.iterate(db, 'readonly', null, cursor => {
+                this.bytes += cursor.value.bytes;
+                this.entries++;
+            });
+            return db;
+        })().catch(error => {
+            this.db = null;
+            throw error;
+        });
+        return this.db;
+    }
+    
+    /**
+     * Walk entries with a cursor, oldest access first when using the 'accessed' index
+     * @param {Function} callback - Called with each cursor, return false to stop
+     */
+    iterate(db, mode, index, callback) {
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(TileStore.STORE, mode).objectStore(TileStore.STORE);
+            const request = (index ? store.index(index) : store).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || callback(cursor) === false) resolve();
+                else cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async request(mode, action) {
+        const db = await this.open();
+        return TileStore.promisify(action(db.transaction(TileStore.STORE, mode).objectStore(TileStore.STORE)));
+    }
+    
+    /**
+     * @param {string} key
+     * @returns {Promise<{blob: Blob, time: number, expired: boolean}|null>}
+     */
+    async get(key) {
+        try {
+            const entry = await this.request('readonly', store => store.get(key));
+            if (!entry) return null;
+            // Access time drives eviction, updating it doesn't need to hold up the tile
+            entry.accessed = Date.now();
+            this.request('readwrite', store => store.put(entry)).catch(() => {});
+            return { blob: entry.blob, time: entry.time, expired: Date.now() - entry.time > this.maxAge };
+        } catch (error) {
+            console.warn(`TileStore: Failed to get '${key}':`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * @param {string} key
+     * @param {Blob} blob
+     * @returns {Promise<boolean>} Success status
+     */
+    async put(key, blob) {
+        try {
+            const previous = await this.request('readonly', store => store.get(key));
+            const now = Date.now();
+            await this.request('readwrite', store => store.put({ key, blob, bytes: blob.size, time: now, accessed: now }));
+            this.bytes += blob.size - (previous?.bytes ?? 0);
+            if (!previous) this.entries++;
+            if (this.bytes > this.maxBytes) await this.trim();
+            return true;
+        } catch (error) {
+            // Storage quota of the browser itself may be exhausted, tiles still display
+            console.warn(`TileStore: Failed to store '${key}':`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Drop least recently used tiles until the store is under 90% of its quota
+     */
+    async trim() {
+        const db = await this.open();
+        const target = this.maxBytes * 0.9;
+        await this.iterate(db, 'readwrite', 'accessed', cursor => {
+            if (this.bytes <= target) return false;
+            this.bytes -= cursor.value.bytes;
+            this.entries--;
+            cursor.delete();
+        });
+    }
+    
+    /**
+     * Delete expired tiles
+     */
+    async prune() {
+        const db = await this.open();
+        const oldest = Date.now() - this.maxAge;
+        await this.iterate(db, 'readwrite', null, cursor => {
+            if (cursor.value.time >= oldest) return;
+            this.bytes -= cursor.value.bytes;
+            this.entries--;
+            cursor.delete();
+        });
+    }
+    
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+        this.bytes = 0;
+        this.entries = 0;
+    }
+    
+    /**
+     * @returns {Promise<{entries: number, bytes: number, maxBytes: number}>}
+     */
+    async getStats() {
+        await this.open();
+        return { entries: this.entries, bytes: this.bytes, maxBytes: this.maxBytes };
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * LRU cache of simplified MapNode subtrees, shared by all nodes of a MapView.
+ * When a node simplifies, its loaded children are kept here so zooming back in
+ * reuses them. Once the cached tiles exceed the memory budget, the least
+ * recently simplified subtrees are evicted and their GPU resources disposed.
+ * It also keeps the provider tiles several nodes crop from, see shareTile().
+ */
+export class TileCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxBytes - Memory budget for cached tiles (textures + geometries)
+     * @param {number} options.maxSharedTiles - Provider tiles kept by shareTile()
+     */
+    constructor({ maxBytes = 256 * 1024 * 1024, maxSharedTiles = 32 } = {}) {
+        this.maxBytes = maxBytes;
+        this.maxSharedTiles = maxSharedTiles;
+        this.sharedTiles = new Map(); // 'provider|z/x/y' -> tile promise, oldest first
+        this.providerIds = new WeakMap(); // provider -> number, for shared tile keys
+        this.nextProviderId = 0;
+        this.bytes = 0;
+        this.entries = new Map(); // node -> bytes, oldest first
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+    
+    /**
+     * Estimate the GPU memory held by a node and its live children
+     * @param {MapNode} node
+     * @returns {number} Bytes
+     */
+    static estimateBytes(node) {
+        let bytes = 0;
+        node.getTextures().forEach(texture => {
+            const image = texture.image;
+            if (image) bytes += (image.width || 0) * (image.height || 0) * 4;
+        });
+        
+        if (!node.hasSharedGeometry()) {
+            const geometry = node.geometry;
+            Object.values(geometry.attributes || {}).forEach(attribute => {
+                bytes += attribute.array.byteLength;
+            });
+            if (geometry.index) bytes += geometry.index.array.byteLength;
+        }
+        
+        node.children.forEach(child => {
+            if (child.getTextures) bytes += TileCache.estimateBytes(child);
+        });
+        return bytes;
+    }
+    
+    /**
+     * Register the childrenCache of a node that was just simplified
+     * @param {MapNode} node
+     */
+    add(node) {
+        this.delete(node);
+        const bytes = node.childrenCache.reduce((sum, child) => sum + TileCache.estimateBytes(child), 0);
+        this.entries.set(node, bytes);
+        this.bytes += bytes;
+        this.trim();
+    }
+    
+    /**
+     * Take back the cached children of a node that subdivides again
+     * @param {MapNode} node
+     * @returns {Array|null} Cached children, or null on a miss
+     */
+    take(node) {
+        if (!this.entries.has(node)) {
+            this.misses++;
+            return null;
+        }
+        
+        const children = node.childrenCache;
+        this.delete(node);
+        node.childrenCache = null;
+        this.hits++;
+        return children;
+    }
+    
+    /**
+     * Forget a node without disposing its children
+     * @param {MapNode} node
+     */
+    delete(node) {
+        if (!this.entries.has(node)) return;
+        this.bytes -= this.entries.get(node);
+        this.entries.delete(node);
+    }
+    
+    /**
+     * Dispose the cached children of a node
+     * @param {MapNode} node
+     */
+    evict(node) {
+        const children = node.childrenCache || [];
+        this.delete(node);
+        node.childrenCache = null;
+        children.forEach(child => child.dispose());
+        this.evictions++;
+    }
+    
+    /**
+     * One request per provider tile for all nodes cropping it, e.g. the ancestor tile of
+     * overzoomed nodes: siblings and deeper descendants reuse it instead of fetching and
+     * decoding it again. Failed requests are forgotten, so the tile is retried.
+     * @param {MapProvider} provider
+     * @param {number} zoom - Tile coordinates
+     * @param {Function} load - Starts the request on a miss, returns a promise of the tile
+     * @returns {Promise} The tile
+     */
+    shareTile(provider, zoom, x, y, load) {
+        const key = `${this.getProviderId(provider)}|${zoom}/${x}/${y}`;
+        let tile = this.sharedTiles.get(key);
+        if (tile) {
+            this.sharedTiles.delete(key);
+        } else {
+            tile = load();
+            tile.catch(() => {
+                if (this.sharedTiles.get(key) === tile) this.sharedTiles.delete(key);
+            });
+        }
+        this.sharedTiles.set(key, tile);
+        while (this.sharedTiles.size > this.maxSharedTiles) {
+            this.sharedTiles.delete(this.sharedTiles.keys().next().value);
+        }
+        return tile;
+    }
+    
+    getProviderId(provider) {
+        if (!this.providerIds.has(provider)) this.providerIds.set(provider, this.nextProviderId++);
+        return this.providerIds.get(provider);
+    }
+    
+    /**
+     * Evict least recently used subtrees until the budget is met
+     */
+    trim() {
+        while (this.bytes > this.maxBytes && this.entries.size > 0) {
+            this.evict(this.entries.keys().next().value);
+        }
+    }
+    
+    /**
+     * Change the memory budget, evicting immediately if it shrank
+     * @param {number} maxBytes
+     */
+    setMaxBytes(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.trim();
+    }
+    
+    /**
+     * Evict and dispose everything
+     */
+    clear() {
+        this.sharedTiles.clear();
+        while (this.entries.size > 0) {
+            this.evict(this.entries.keys().next().value);
+        }
+    }
+    
+    /**
+     * @returns {{hits: number, misses: number, evictions: number, entries: number, sharedTiles: number, bytes: number, maxBytes: number}}
+     */
+    getStats() {
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            entries: this.entries.size,
+            sharedTiles: this.sharedTiles.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes
+        };
+    }
+}
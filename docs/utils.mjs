@@ -1,4 +1,6 @@
-const THREE = window.THREE;
+const THREE = globalThis.THREE;
+
+import { CRS } from './crs.mjs';
 
 export class FetchUtils {
     static async get(url) {
@@ -13,16 +15,51 @@ export class FetchUtils {
     }
 }
 
+export class CompressionUtils {
+    /**
+     * Decompress bytes with the browser's DecompressionStream
+     * @param {ArrayBuffer|Uint8Array} data - Compressed bytes
+     * @param {string} format - 'gzip', 'deflate' or 'deflate-raw'
+     * @returns {Promise<ArrayBuffer>}
+     */
+    static async decompress(data, format = 'gzip') {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+        return new Response(stream).arrayBuffer();
+    }
+    
+    /**
+     * Whether bytes start with the gzip magic number
+     * @param {Uint8Array} bytes
+     */
+    static isGzip(bytes) {
+        return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+    }
+}
+
 export class ImageLoader {
     static loadImage(url, crossOrigin = 'Anonymous') {
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.crossOrigin = crossOrigin;
             img.onload = () => resolve(img);
-            img.onerror = reject;
+            img.onerror = () => reject(new Error(`Failed to load image: ${url}`));
             img.src = url;
         });
     }
+    
+    /**
+     * Load an image from fetched bytes, e.g. tiles requested with custom headers
+     * @param {Blob} blob - Image data
+     * @returns {Promise<HTMLImageElement>}
+     */
+    static async loadBlob(blob) {
+        const url = URL.createObjectURL(blob);
+        try {
+            return await ImageLoader.loadImage(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
 }
 
 export class CanvasUtils {
@@ -41,6 +78,7 @@ export class UnitsUtils {
     static EARTH_RADIUS = 2 * 63781.37;
     static EARTH_PERIMETER = 2 * Math.PI * UnitsUtils.EARTH_RADIUS;
     static EARTH_ORIGIN = UnitsUtils.EARTH_PERIMETER / 2.0;
+    static MERCATOR_EXTENT = 20037508.342789244; // Half the EPSG:3857 world width in metres
     
     static getCurrentPosition() {
         return new Promise((resolve, reject) => {
@@ -73,6 +111,20 @@ export class UnitsUtils {
         return { latitude, longitude };
     }
     
+    /**
+     * EPSG:3857 bounds of a quadtree tile
+     * @param {number} zoom - Zoom level
+     * @param {number} x - Tile X
+     * @param {number} y - Tile Y, counted from the north
+     * @returns {Array} [minX, minY, maxX, maxY] in metres
+     */
+    static tileToMercatorBounds(zoom, x, y) {
+        const size = 2 * UnitsUtils.MERCATOR_EXTENT / Math.pow(2, zoom);
+        const minX = -UnitsUtils.MERCATOR_EXTENT + x * size;
+        const maxY = UnitsUtils.MERCATOR_EXTENT - y * size;
+        return [minX, maxY - size, minX + size, maxY];
+    }
+    
     /**
      * REF: https://github.com/mapbox/tilebelt/blob/main/src/index.ts#L59
      * Get the tile for a point at a zoom level
@@ -143,8 +195,14 @@ export class UnitsUtils {
  * Handles exporting polyline data to GeoJSON format
  */
 export class PolylineExporter {
-    constructor(viewer) {
+    /**
+     * @param {Object} viewer
+     * @param {Object} options
+     * @param {string|CRS} options.crs - Coordinate system of the exported positions, WGS84 by default
+     */
+    constructor(viewer, { crs = null } = {}) {
         this.viewer = viewer;
+        this.crs = crs ? CRS.get(crs) : null;
     }
     
     /**
@@ -160,7 +218,7 @@ export class PolylineExporter {
     
     /**
      * Get geo extension context information
-     * @returns {Object} Context with map, tileLocation, tileSizeMeters, tileCenterLatLng
+     * @returns {Object} Context with map, scale, tileLocation, tileSizeMeters, tileCenterLatLng
      * @throws {Error} If GeoThree extension not available
      */
     getGeoContext() {
@@ -168,15 +226,16 @@ export class PolylineExporter {
         if (!geoExt) throw new Error('Geo.Terrain extension not available');
         
         const map = geoExt.map;
+        const scale = geoExt.getMapScale();
         const tileLocation = geoExt.getTileLocation();
-        const tileSizeMeters = UnitsUtils.EARTH_PERIMETER / Math.pow(2, tileLocation.level);
+        const tileSizeMeters = 2 * UnitsUtils.MERCATOR_EXTENT / Math.pow(2, tileLocation.level);
         const tileCenterLatLng = UnitsUtils.quadtreeToDatums(
             tileLocation.level, 
             tileLocation.x + 0.5, 
             tileLocation.y + 0.5
         );
         
-        return { map, tileLocation, tileSizeMeters, tileCenterLatLng };
+        return { map, scale, tileLocation, tileSizeMeters, tileCenterLatLng };
     }
     
     /**
@@ -192,7 +251,7 @@ export class PolylineExporter {
         
         // Use stored tile location if available, otherwise use current context
         const tileLocation = polyline.tileLocation || currentContext.tileLocation;
-        const tileSizeMeters = UnitsUtils.EARTH_PERIMETER / Math.pow(2, tileLocation.level);
+        const tileSizeMeters = 2 * UnitsUtils.MERCATOR_EXTENT / Math.pow(2, tileLocation.level);
         const map = currentContext.map;
         
         const coordinates = polyline.points.map(point => 
@@ -206,7 +265,7 @@ export class PolylineExporter {
         
         const properties = {
             id,
-            totalDistance: polyline.totalDistance,
+            totalDistance: currentContext.scale.getLength(polyline.points, tileLocation), // Metres
             pointCount: polyline.points.length
         };
         
@@ -299,6 +358,24 @@ export class PolylineExporter {
         };
     }
     
+    /**
+     * Convert WGS84 positions to the export coordinate system, naming it in the legacy GeoJSON crs member
+     * @param {Object} geojson - FeatureCollection in WGS84
+     * @returns {Object} The same FeatureCollection
+     */
+    projectGeoJSON(geojson) {
+        if (!this.crs || this.crs.code === 'EPSG:4326') return geojson;
+        const project = coordinates => typeof coordinates[0] === 'number'
+            ? [...this.crs.forward(coordinates), ...coordinates.slice(2)]
+            : coordinates.map(project);
+        geojson.features.forEach(feature => {
+            if (feature.geometry) feature.geometry.coordinates = project(feature.geometry.coordinates);
+        });
+        const epsg = this.crs.code.match(/^EPSG:(\d+)$/);
+        geojson.crs = { type: "name", properties: { name: epsg ? `urn:ogc:def:crs:EPSG::${epsg[1]}` : this.crs.code } };
+        return geojson;
+    }
+    
     /**
      * Download GeoJSON to file
      * @param {Object} geojson - GeoJSON object
@@ -321,7 +398,7 @@ export class PolylineExporter {
      */
     export() {
         try {
-            const geojson = this.buildGeoJSON();
+            const geojson = this.projectGeoJSON(this.buildGeoJSON());
             this.downloadGeoJSON(geojson);
             return { success: true, featureCount: geojson.features.length };
         } catch (error) {
@@ -0,0 +1,572 @@
+import { MapProvider, TemplateTileProvider } from './providers.mjs';
+import { CanvasUtils, CompressionUtils } from './utils.mjs';
+
+/**
+ * Minimal protocol buffers reader, enough for Mapbox Vector Tiles.
+ * REF: https://protobuf.dev/programming-guides/encoding/
+ */
+export class PbfReader {
+    static VARINT = 0;
+    static FIXED64 = 1;
+    static BYTES = 2;
+    static FIXED32 = 5;
+    
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer
+     */
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.pos = 0;
+        this.decoder = new TextDecoder();
+    }
+    
+    /**
+     * Read fields up to an end offset
+     * @param {Function} readField - Called with (tag, wireType, result) for each field, must consume the value
+     * @param {*} result - Passed through to readField
+     * @param {number} end - Offset after the message
+     * @returns {*} result
+     */
+    readFields(readField, result, end = this.bytes.length) {
+        while (this.pos < end) {
+            const key = this.readVarint();
+            const tag = key >> 3;
+            const wireType = key & 7;
+            const start = this.pos;
+            readField(tag, wireType, result);
+            if (this.pos === start) this.skip(wireType);
+        }
+        return result;
+    }
+    
+    /**
+     * Read a length-delimited embedded message
+     */
+    readMessage(readField, result) {
+        const end = this.readVarint() + this.pos;
+        return this.readFields(readField, result, end);
+    }
+    
+    readVarint() {
+        let value = 0;
+        let factor = 1;
+        let byte;
+        // Multiplying instead of shifting keeps values past 32 bits exact up to 2^53
+        do {
+            if (this.pos >= this.bytes.length) throw new Error('Truncated varint');
+            byte = this.bytes[this.pos++];
+            value += (byte & 0x7f) * factor;
+            factor *= 128;
+        } while (byte & 0x80);
+        return value;
+    }
+    
+    readSVarint() {
+        return PbfReader.zigZagDecode(this.readVarint());
+    }
+    
+    static zigZagDecode(value) {
+        return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+    }
+    
+    readFloat() {
+        const value = this.view.getFloat32(this.pos, true);
+        this.pos += 4;
+        return value;
+    }
+    
+    readDouble() {
+        const value = this.view.getFloat64(this.pos, true);
+        this.pos += 8;
+        return value;
+    }
+    
+    readBytes() {
+        const end = this.readVarint() + this.pos;
+        const bytes = this.bytes.subarray(this.pos, end);
+        this.pos = end;
+        return bytes;
+    }
+    
+    readString() {
+        return this.decoder.decode(this.readBytes());
+    }
+    
+    /**
+     * Packed repeated varints, or a single unpacked one
+     * @param {number} wireType
+     * @returns {number[]}
+     */
+    readPackedVarint(wireType) {
+        if (wireType !== PbfReader.BYTES) return [this.readVarint()];
+        const end = this.readVarint() + this.pos;
+        const values = [];
+        while (this.pos < end) values.push(this.readVarint());
+        return values;
+    }
+    
+    skip(wireType) {
+        if (wireType === PbfReader.VARINT) this.readVarint();
+        else if (wireType === PbfReader.FIXED64) this.pos += 8;
+        else if (wireType === PbfReader.BYTES) this.pos = this.readVarint() + this.pos;
+        else if (wireType === PbfReader.FIXED32) this.pos += 4;
+        else throw new Error(`Unsupported protobuf wire type: ${wireType}`);
+    }
+}
+
+/**
+ * Decoded Mapbox Vector Tile: layers of features with properties and geometries
+ * in tile coordinates (0 to extent, y down).
+ * REF: https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+ */
+export class VectorTile {
+    static UNKNOWN = 0;
+    static POINT = 1;
+    static LINESTRING = 2;
+    static POLYGON = 3;
+    
+    // Geometry commands
+    static MOVE_TO = 1;
+    static LINE_TO = 2;
+    static CLOSE_PATH = 7;
+    
+    constructor(layers = {}) {
+        this.layers = layers; // name -> { name, version, extent, features }
+    }
+    
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer - Uncompressed tile bytes
+     * @returns {VectorTile}
+     */
+    static decode(buffer) {
+        const pbf = new PbfReader(buffer);
+        const tile = new VectorTile();
+        pbf.readFields((tag, wireType) => {
+            if (tag !== 3) return;
+            const layer = VectorTile.readLayer(pbf);
+            tile.layers[layer.name] = layer;
+        }, tile);
+        return tile;
+    }
+    
+    /**
+     * Decode bytes that may be gzipped, as tile servers and MBTiles often store them
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {Promise<VectorTile>}
+     */
+    static async decodeCompressed(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        return VectorTile.decode(CompressionUtils.isGzip(bytes) ? await CompressionUtils.decompress(bytes) : bytes);
+    }
+    
+    static readLayer(pbf) {
+        const layer = { name: '', version: 1, extent: 4096, features: [] };
+        const keys = [];
+        const values = [];
+        const features = [];
+        pbf.readMessage((tag, wireType) => {
+            if (tag === 15) layer.version = pbf.readVarint();
+            else if (tag === 1) layer.name = pbf.readString();
+            else if (tag === 2) features.push(VectorTile.readFeature(pbf));
+            else if (tag === 3) keys.push(pbf.readString());
+            else if (tag === 4) values.push(VectorTile.readValue(pbf));
+            else if (tag === 5) layer.extent = pbf.readVarint();
+        });
+        // Tags reference keys and values, which may come after the features
+        layer.features = features.map(({ id, type, tags, commands }) => {
+            const properties = {};
+            for (let i = 0; i + 1 < tags.length; i += 2) properties[keys[tags[i]]] = values[tags[i + 1]];
+            return { id, type, properties, geometry: VectorTile.decodeGeometry(commands) };
+        });
+        return layer;
+    }
+    
+    static readFeature(pbf) {
+        const feature = { id: undefined, type: VectorTile.UNKNOWN, tags: [], commands: [] };
+        pbf.readMessage((tag, wireType) => {
+            if (tag === 1) feature.id = pbf.readVarint();
+            else if (tag === 2) feature.tags.push(...pbf.readPackedVarint(wireType));
+            else if (tag === 3) feature.type = pbf.readVarint();
+            else if (tag === 4) feature.commands.push(...pbf.readPackedVarint(wireType));
+        });
+        return feature;
+    }
+    
+    static readValue(pbf) {
+        let value = null;
+        pbf.readMessage(tag => {
+            if (tag === 1) value = pbf.readString();
+            else if (tag === 2) value = pbf.readFloat();
+            else if (tag === 3) value = pbf.readDouble();
+            else if (tag === 4 || tag === 5) value = pbf.readVarint();
+            else if (tag === 6) value = pbf.readSVarint();
+            else if (tag === 7) value = pbf.readVarint() !== 0;
+        });
+        return value;
+    }
+    
+    /**
+     * Turn geometry commands into parts: points, lines or polygon rings
+     * @param {number[]} commands - Command integers and zigzag encoded parameters
+     * @returns {Array} Parts, each an array of [x, y]
+     */
+    static decodeGeometry(commands) {
+        const parts = [];
+        let part = null;
+        let x = 0;
+        let y = 0;
+        let i = 0;
+        while (i < commands.length) {
+            const command = commands[i] & 0x7;
+            const count = commands[i] >> 3;
+            i++;
+            if (command === VectorTile.CLOSE_PATH) {
+                if (part && part.length > 0) part.push(part[0]);
+                continue;
+            }
+            if (command !== VectorTile.MOVE_TO && command !== VectorTile.LINE_TO) {
+                throw new Error(`Unknown vector tile geometry command: ${command}`);
+            }
+            for (let n = 0; n < count; n++) {
+                x += PbfReader.zigZagDecode(commands[i++]);
+                y += PbfReader.zigZagDecode(commands[i++]);
+                if (command === VectorTile.MOVE_TO || !part) {
+                    part = [];
+                    parts.push(part);
+                }
+                part.push([x, y]);
+            }
+        }
+        return parts;
+    }
+}
+
+/**
+ * Simple style spec for rasterising vector tiles:
+ *
+ *     {
+ *         background: '#f2efe9',
+ *         layers: [
+ *             { type: 'fill', source: 'water', color: '#aad3df' },
+ *             { type: 'line', source: 'transportation', filter: { class: ['primary', 'secondary'] },
+ *               color: '#fff', width: (zoom) => zoom > 14 ? 4 : 2, minZoom: 10 },
+ *             { type: 'text', source: 'place', field: '{name}', font: '12px sans-serif',
+ *               color: '#333', haloColor: '#fff', haloWidth: 2 }
+ *         ]
+ *     }
+ *
+ * `source` is the vector tile layer name. `filter` is a function of the properties or an object
+ * of property values (arrays match any). Paint values may be functions of (zoom, properties).
+ * Sizes are CSS pixels of a 256 px tile.
+ */
+export class VectorTileStyle {
+    static FILL = 'fill';
+    static LINE = 'line';
+    static TEXT = 'text';
+    
+    static DEFAULTS = {
+        fill: { color: '#000', opacity: 1, outlineColor: null, outlineWidth: 1 },
+        line: { color: '#000', opacity: 1, width: 1, dash: null, cap: 'round', join: 'round' },
+        text: { color: '#000', opacity: 1, field: '{name}', font: '12px sans-serif', haloColor: null, haloWidth: 2 }
+    };
+    
+    /**
+     * @param {Object} spec - See class comment
+     */
+    constructor({ background = null, layers = [] } = {}) {
+        this.background = background;
+        this.layers = layers.map((layer, index) => {
+            if (!VectorTileStyle.DEFAULTS[layer.type]) throw new Error(`Unknown style layer type: ${layer.type}`);
+            if (!layer.source) throw new Error(`Style layer ${layer.id ?? index} has no source`);
+            return { minZoom: 0, maxZoom: Infinity, ...VectorTileStyle.DEFAULTS[layer.type], ...layer };
+        });
+    }
+    
+    /**
+     * Style layers drawn at a zoom level, in draw order
+     */
+    getLayers(zoom) {
+        return this.layers.filter(layer => zoom >= layer.minZoom && zoom <= layer.maxZoom);
+    }
+    
+    static matches(layer, properties) {
+        const filter = layer.filter;
+        if (!filter) return true;
+        if (typeof filter === 'function') return filter(properties);
+        return Object.entries(filter).every(([key, value]) => {
+            return Array.isArray(value) ? value.includes(properties[key]) : properties[key] === value;
+        });
+    }
+    
+    static evaluate(value, zoom, properties) {
+        return typeof value === 'function' ? value(zoom, properties) : value;
+    }
+    
+    /**
+     * Label text from a field template like '{name} ({ele} m)', empty if a field is missing
+     */
+    static formatText(template, properties) {
+        let missing = false;
+        const text = template.replace(/\{([^}]+)\}/g, (match, key) => {
+            if (properties[key] === undefined || properties[key] === null) missing = true;
+            return properties[key] ?? '';
+        });
+        return missing ? '' : text.trim();
+    }
+}
+
+/**
+ * Rasterises decoded vector tiles onto a canvas with a VectorTileStyle
+ */
+export class VectorTileRenderer {
+    /**
+     * @param {VectorTileStyle} style
+     * @param {Object} options
+     * @param {number} options.tileSize - Canvas width and height, larger stays sharper on tilted views
+     */
+    constructor(style, { tileSize = 512 } = {}) {
+        this.style = style instanceof VectorTileStyle ? style : new VectorTileStyle(style);
+        this.tileSize = tileSize;
+    }
+    
+    /**
+     * @param {VectorTile} tile
+     * @param {number} zoom - Tile zoom level, for zoom dependent styles
+     * @param {Object} region - Part of an ancestor tile to draw, for tiles deeper than the source's
+     * @param {number} region.scale - Drawn tiles per ancestor tile side
+     * @param {number} region.col - Column of the drawn tile within the ancestor
+     * @param {number} region.row - Row of the drawn tile within the ancestor
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    render(tile, zoom, { scale: regionScale = 1, col = 0, row = 0 } = {}) {
+        const size = this.tileSize;
+        const canvas = CanvasUtils.createOffscreenCanvas(size, size);
+        const ctx = canvas.getContext('2d');
+        if (this.style.background) {
+            ctx.fillStyle = this.style.background;
+            ctx.fillRect(0, 0, size, size);
+        }
+        // Vectors are scaled before stroking, so widths and fonts stay at this tile's
+        // resolution; the canvas clips what lies outside the region
+        ctx.translate(-col * size, -row * size);
+        
+        const labels = []; // Boxes of placed labels, later labels overlapping them are dropped
+        this.style.getLayers(zoom).forEach(styleLayer => {
+            const layer = tile.layers[styleLayer.source];
+            if (!layer) return;
+            const scale = size * regionScale / layer.extent;
+            layer.features.forEach(feature => {
+                if (!VectorTileStyle.matches(styleLayer, feature.properties)) return;
+                ctx.save();
+                if (styleLayer.type === VectorTileStyle.FILL) this.drawFill(ctx, styleLayer, feature, scale, zoom);
+                else if (styleLayer.type === VectorTileStyle.LINE) this.drawLine(ctx, styleLayer, feature, scale, zoom);
+                else this.drawText(ctx, styleLayer, feature, scale, zoom, labels);
+                ctx.restore();
+            });
+        });
+        return canvas;
+    }
+    
+    /**
+     * Paint value scaled from 256 px tile pixels to this renderer's tile size
+     */
+    getSize(value, zoom, properties) {
+        return VectorTileStyle.evaluate(value, zoom, properties) * this.tileSize / 256;
+    }
+    
+    tracePath(ctx, feature, scale) {
+        ctx.beginPath();
+        feature.geometry.forEach(part => {
+            part.forEach(([x, y], i) => {
+                if (i === 0) ctx.moveTo(x * scale, y * scale);
+                else ctx.lineTo(x * scale, y * scale);
+            });
+        });
+    }
+    
+    drawFill(ctx, styleLayer, feature, scale, zoom) {
+        if (feature.type !== VectorTile.POLYGON) return;
+        const properties = feature.properties;
+        // Holes wind opposite to their exterior ring, so the nonzero rule cuts them out
+        this.tracePath(ctx, feature, scale);
+        ctx.globalAlpha = VectorTileStyle.evaluate(styleLayer.opacity, zoom, properties);
+        ctx.fillStyle = VectorTileStyle.evaluate(styleLayer.color, zoom, properties);
+        ctx.fill();
+        const outline = VectorTileStyle.evaluate(styleLayer.outlineColor, zoom, properties);
+        if (outline) {
+            ctx.strokeStyle = outline;
+            ctx.lineWidth = this.getSize(styleLayer.outlineWidth, zoom, properties);
+            ctx.stroke();
+        }
+    }
+    
+    drawLine(ctx, styleLayer, feature, scale, zoom) {
+        if (feature.type !== VectorTile.LINESTRING && feature.type !== VectorTile.POLYGON) return;
+        const properties = feature.properties;
+        this.tracePath(ctx, feature, scale);
+        ctx.globalAlpha = VectorTileStyle.evaluate(styleLayer.opacity, zoom, properties);
+        ctx.strokeStyle = VectorTileStyle.evaluate(styleLayer.color, zoom, properties);
+        ctx.lineWidth = this.getSize(styleLayer.width, zoom, properties);
+        ctx.lineCap = styleLayer.cap;
+        ctx.lineJoin = styleLayer.join;
+        const dash = VectorTileStyle.evaluate(styleLayer.dash, zoom, properties);
+        if (dash) ctx.setLineDash(dash.map(length => length * ctx.lineWidth));
+        ctx.stroke();
+    }
+    
+    drawText(ctx, styleLayer, feature, scale, zoom, labels) {
+        const properties = feature.properties;
+        const text = VectorTileStyle.formatText(VectorTileStyle.evaluate(styleLayer.field, zoom, properties), properties);
+        const anchor = VectorTileRenderer.getLabelAnchor(feature);
+        if (!text || !anchor) return;
+        
+        // Font sizes are given for 256 px tiles
+        const font = VectorTileStyle.evaluate(styleLayer.font, zoom, properties)
+            .replace(/(\d+(?:\.\d+)?)px/, (match, px) => `${px * this.tileSize / 256}px`);
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const x = anchor[0] * scale;
+        const y = anchor[1] * scale;
+        const width = ctx.measureText(text).width;
+        const height = parseFloat(font.match(/(\d+(?:\.\d+)?)px/)?.[1] ?? 12);
+        const box = [x - width / 2, y - height / 2, x + width / 2, y + height / 2];
+        if (labels.some(other => box[0] < other[2] && box[2] > other[0] && box[1] < other[3] && box[3] > other[1])) return;
+        labels.push(box);
+        
+        ctx.globalAlpha = VectorTileStyle.evaluate(styleLayer.opacity, zoom, properties);
+        const halo = VectorTileStyle.evaluate(styleLayer.haloColor, zoom, properties);
+        if (halo) {
+            ctx.strokeStyle = halo;
+            ctx.lineWidth = this.getSize(styleLayer.haloWidth, zoom, properties);
+            ctx.lineJoin = 'round';
+            ctx.strokeText(text, x, y);
+        }
+        ctx.fillStyle = VectorTileStyle.evaluate(styleLayer.color, zoom, properties);
+        ctx.fillText(text, x, y);
+    }
+    
+    /**
+     * Where to place a feature's label: the point, the middle vertex of the longest line,
+     * or the bounding box center of the largest ring
+     * @returns {number[]|null} [x, y] in tile coordinates
+     */
+    static getLabelAnchor(feature) {
+        const parts = feature.geometry.filter(part => part.length > 0);
+        if (parts.length === 0) return null;
+        if (feature.type === VectorTile.POINT) return parts[0][0];
+        const part = parts.reduce((longest, part) => part.length > longest.length ? part : longest);
+        if (feature.type === VectorTile.LINESTRING) return part[Math.floor(part.length / 2)];
+        const xs = part.map(point => point[0]);
+        const ys = part.map(point => point[1]);
+        return [(Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2];
+    }
+}
+
+/**
+ * Basemap rendered in the browser from Mapbox Vector Tiles, so lines and labels stay
+ * sharp. Tiles come from a URL template or from any provider resolving with MVT bytes,
+ * e.g. a PMTilesProvider or MBTilesProvider of vector tiles. Past the source's max zoom,
+ * tiles are drawn from their ancestor's vectors instead of upscaling its raster.
+ */
+export class VectorTileProvider extends MapProvider {
+    static SOURCE_TILES = 16; // Decoded source tiles kept for their overzoomed descendants
+    
+    /**
+     * @param {string|MapProvider} source - Tile URL template (see TemplateTileProvider) or a provider of MVT ArrayBuffers
+     * @param {VectorTileStyle|Object} style - Style or style spec
+     * @param {Object} options - TemplateTileProvider options for URL sources, plus:
+     * @param {number} options.tileSize - Rendered tile size in pixels
+     * @param {number} options.maxZoom - Deepest tiles of a URL source
+     * @param {number} options.renderMaxZoom - Deepest tiles drawn, from their ancestor's vectors past the source's max zoom
+     */
+    constructor(source, style, { tileSize = 512, maxZoom = 14, renderMaxZoom = 22, ...options } = {}) {
+        super();
+        this.source = typeof source === 'string' ? new TemplateTileProvider(source, { maxZoom, ...options }) : source;
+        this.renderer = new VectorTileRenderer(style, { tileSize });
+        this.minZoom = this.source.minZoom ?? 0;
+        this.maxZoom = Math.max(renderMaxZoom, this.source.maxZoom);
+        this.headers = this.source.headers;
+        this.sourceTiles = new Map(); // 'z/x/y' -> Promise<VectorTile>, oldest first
+    }
+    
+    get style() {
+        return this.renderer.style;
+    }
+    
+    /**
+     * Source tile URL, null past the source's max zoom where tiles are drawn from an ancestor
+     */
+    getTileUrl(zoom, x, y) {
+        return zoom > this.source.maxZoom ? null : this.source.getTileUrl(zoom, x, y);
+    }
+    
+    getCacheId() {
+        return this.source.getCacheId();
+    }
+    
+    async getAttributionText() {
+        return this.source.getAttributionText ? this.source.getAttributionText() : '';
+    }
+    
+    async getMetaData() {
+        return this.source.getMetaData();
+    }
+    
+    async fetchTile(zoom, x, y) {
+        const depth = zoom - this.source.maxZoom;
+        if (depth > 0) {
+            const scale = Math.pow(2, depth);
+            const ancestorX = Math.floor(x / scale);
+            const ancestorY = Math.floor(y / scale);
+            const tile = await this.getSourceTile(this.source.maxZoom, ancestorX, ancestorY);
+            return this.renderer.render(tile, zoom, { scale, col: x - ancestorX * scale, row: y - ancestorY * scale });
+        }
+        if (this.getTileUrl(zoom, x, y)) return this.decodeTileBlob(await this.fetchTileBlob(zoom, x, y), zoom, x, y);
+        return this.renderTile(await this.source.fetchTile(zoom, x, y), zoom);
+    }
+    
+    /**
+     * Decoded source tile, shared by the overzoomed tiles drawn from it. Failed loads are
+     * forgotten, so they're retried.
+     * @returns {Promise<VectorTile>}
+     */
+    getSourceTile(zoom, x, y) {
+        const key = `${zoom}/${x}/${y}`;
+        let tile = this.sourceTiles.get(key);
+        if (tile) {
+            this.sourceTiles.delete(key);
+        } else {
+            tile = this.loadSourceTile(zoom, x, y);
+            tile.catch(() => {
+                if (this.sourceTiles.get(key) === tile) this.sourceTiles.delete(key);
+            });
+        }
+        this.sourceTiles.set(key, tile);
+        if (this.sourceTiles.size > VectorTileProvider.SOURCE_TILES) this.sourceTiles.delete(this.sourceTiles.keys().next().value);
+        return tile;
+    }
+    
+    async loadSourceTile(zoom, x, y) {
+        const data = this.getTileUrl(zoom, x, y) ? await this.fetchTileBlob(zoom, x, y) : await this.source.fetchTile(zoom, x, y);
+        return VectorTile.decodeCompressed(data instanceof Blob ? await data.arrayBuffer() : data);
+    }
+    
+    /**
+     * Cached tiles keep the MVT bytes, they are styled again when read back
+     */
+    async decodeTileBlob(blob, zoom, x, y) {
+        return this.renderTile(blob, zoom);
+    }
+    
+    /**
+     * @param {Blob|ArrayBuffer|Uint8Array} data - MVT bytes, gzipped or not
+     * @param {number} zoom - Tile zoom level
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>}
+     */
+    async renderTile(data, zoom) {
+        const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+        return this.renderer.render(await VectorTile.decodeCompressed(buffer), zoom);
+    }
+}
@@ -0,0 +1,211 @@
+const THREE = window.THREE;
+
+import { GeoJSONOverlay } from './overlays.mjs';
+import { UnitsUtils } from './utils.mjs';
+
+/**
+ * Water level on the displayed height tiles: a translucent water surface where the terrain
+ * lies below the level, and the inundated ground tinted by water depth. Each grid cell is
+ * split like the terrain mesh and its triangles clipped at the level, so the water meets the
+ * terrain along the shoreline. Heights are the node height grids, decoded like the terrain.
+ */
+export class WaterLevelOverlay extends GeoJSONOverlay {
+    static SUBMERGED = 'submerged';
+    static PARTIAL = 'partial';
+    
+    static DEFAULT_STYLE = {
+        color: '#2a7fd4',
+        opacity: 0.45,
+        shallowColor: '#9fd8f5', // Inundated ground at the shoreline
+        deepColor: '#08306b', // Inundated ground fullDepth metres under water, and deeper
+        fullDepth: 5,
+        cellOpacity: 0.6,
+        heightOffset: 0.2 // Metres above the terrain
+    };
+    
+    /**
+     * @param {MapView} mapView - Map whose height tiles are flooded
+     * @param {number} level - Water elevation in metres
+     * @param {Object} style - WaterLevelOverlay.DEFAULT_STYLE overrides
+     */
+    constructor(mapView, level = 0, style = {}) {
+        super(null, null, style);
+        this.level = level;
+        this.floodedAreas = []; // { node, area, cells } per displayed node, cells are local x, z and m² of each wet part
+        this.setMapView(mapView);
+    }
+    
+    /**
+     * Move the water surface
+     * @param {number} level - Elevation in metres
+     */
+    setLevel(level) {
+        this.level = level;
+        this.clamp();
+    }
+    
+    /**
+     * Part of a triangle below the level
+     * @param {Array} corners - [col, row, height] grid positions
+     * @returns {Array} Polygon of [col, row, height] positions, empty when dry
+     */
+    static clipTriangle(corners, level) {
+        const polygon = [];
+        corners.forEach((current, i) => {
+            const next = corners[(i + 1) % corners.length];
+            const currentWet = current[2] < level;
+            if (currentWet) polygon.push(current);
+            if (currentWet !== (next[2] < level)) {
+                const t = (level - current[2]) / (next[2] - current[2]);
+                polygon.push([current[0] + (next[0] - current[0]) * t, current[1] + (next[1] - current[1]) * t, level]);
+            }
+        });
+        return polygon;
+    }
+    
+    /**
+     * Shoelace area of a polygon in grid cells
+     */
+    static polygonArea(polygon) {
+        let area = 0;
+        polygon.forEach((point, i) => {
+            const next = polygon[(i + 1) % polygon.length];
+            area += point[0] * next[1] - next[0] * point[1];
+        });
+        return Math.abs(area) / 2;
+    }
+    
+    /**
+     * Flood the displayed tiles at the current level and rebuild the meshes
+     */
+    clamp() {
+        if (!this.mapView) return;
+        const style = this.getStyle(null);
+        const mapView = this.mapView;
+        const { level: rootLevel, x: rootX, y: rootY } = mapView.rootLocation;
+        const waterY = mapView.elevationToLocal(this.level);
+        const shallow = new THREE.Color(style.shallowColor);
+        const deep = new THREE.Color(style.deepColor);
+        const surface = [];
+        const ground = [];
+        const colors = [];
+        
+        this.floodedAreas = mapView.getDisplayedNodes().map(node => {
+            const grid = node.getHeightGrid();
+            if (!grid) return { node, area: 0, cells: [] };
+            const { heights, size } = grid;
+            const stride = size + 1;
+            const scale = Math.pow(2, node.level - rootLevel);
+            const tileMetres = 2 * UnitsUtils.MERCATOR_EXTENT / Math.pow(2, node.level);
+            const toLocal = (col, row) => [(node.x + col / size) / scale - rootX - 0.5, (node.y + row / size) / scale - rootY - 0.5];
+            const corner = (col, row) => [col, row, heights[row * stride + col]];
+            let area = 0;
+            const cells = [];
+            
+            for (let row = 0; row < size; row++) {
+                // Ground size of a cell at this row's latitude
+                const { latitude } = UnitsUtils.quadtreeToDatums(node.level, node.x, node.y + (row + 0.5) / size);
+                const cellMetres = tileMetres / size * Math.cos(latitude * Math.PI / 180);
+                for (let col = 0; col < size; col++) {
+                    const tl = corner(col, row), tr = corner(col + 1, row);
+                    const bl = corner(col, row + 1), br = corner(col + 1, row + 1);
+                    if (Math.min(tl[2], tr[2], bl[2], br[2]) >= this.level) continue;
+                    
+                    // Same diagonal as the terrain mesh
+                    [[tl, bl, tr], [bl, br, tr]].forEach(triangle => {
+                        const polygon = WaterLevelOverlay.clipTriangle(triangle, this.level);
+                        if (polygon.length < 3) return;
+                        const locals = polygon.map(([c, r]) => toLocal(c, r));
+                        const partArea = WaterLevelOverlay.polygonArea(polygon) * cellMetres * cellMetres;
+                        area += partArea;
+                        cells.push(
+                            locals.reduce((sum, [x]) => sum + x, 0) / locals.length,
+                            locals.reduce((sum, [, z]) => sum + z, 0) / locals.length,
+                            partArea
+                        );
+                        for (let i = 1; i < polygon.length - 1; i++) {
+                            [0, i, i + 1].forEach(k => {
+                                const [x, z] = locals[k];
+                                const height = polygon[k][2];
+                                surface.push(x, waterY, z);
+                                ground.push(x, mapView.elevationToLocal(height + style.heightOffset), z);
+                                const t = Math.min((this.level - height) / style.fullDepth, 1);
+                                colors.push(shallow.r + (deep.r - shallow.r) * t, shallow.g + (deep.g - shallow.g) * t, shallow.b + (deep.b - shallow.b) * t);
+                            });
+                        }
+                    });
+                }
+            }
+            return { node, area, cells: new Float32Array(cells) };
+        });
+        
+        this.items.forEach(({ object }) => {
+            this.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.items = [];
+        if (surface.length > 0) {
+            const groundGeometry = new THREE.BufferGeometry();
+            groundGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(ground), 3));
+            groundGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(colors), 3));
+            groundGeometry.computeBoundingSphere();
+            this.addItem(new THREE.Mesh(groundGeometry, new THREE.MeshBasicMaterial({
+                vertexColors: THREE.VertexColors ?? true,
+                transparent: true,
+                opacity: style.cellOpacity,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            })), null, [], style);
+            
+            const surfaceGeometry = new THREE.BufferGeometry();
+            surfaceGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(surface), 3));
+            surfaceGeometry.computeBoundingSphere();
+            this.addItem(new THREE.Mesh(surfaceGeometry, new THREE.MeshBasicMaterial({
+                color: style.color,
+                transparent: true,
+                opacity: style.opacity,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            })), null, [], style);
+        }
+        this.updateMatrixWorld(true);
+        this.dispatchEvent({ type: 'update' });
+    }
+    
+    /**
+     * Flooded ground area
+     * @param {THREE.Frustum} frustum - Only count water in this world space frustum, e.g. the camera's.
+     * Tiles partly in view count the wet parts of their grid cells whose centre is in it.
+     * @returns {number} m²
+     */
+    getFloodedArea(frustum = null) {
+        if (!frustum) return this.floodedAreas.reduce((total, { area }) => total + area, 0);
+        const box = new THREE.Box3();
+        const point = new THREE.Vector3();
+        const waterY = this.mapView ? this.mapView.elevationToLocal(this.level) : 0;
+        return this.floodedAreas.reduce((total, { node, area, cells }) => {
+            if (area === 0) return total;
+            if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+            box.copy(node.geometry.boundingBox).applyMatrix4(node.matrixWorld);
+            if (!frustum.intersectsBox(box)) return total;
+            for (let i = 0; i < cells.length; i += 3) {
+                point.set(cells[i], waterY, cells[i + 1]).applyMatrix4(this.matrixWorld);
+                if (frustum.containsPoint(point)) total += cells[i + 2];
+            }
+            return total;
+        }, 0);
+    }
+    
+    /**
+     * Whether an elevation range is under water
+     * @param {number} min - Lowest elevation in metres
+     * @param {number} max - Highest elevation in metres
+     * @returns {string|null} 'submerged', 'partial' or null when dry
+     */
+    getInundation(min, max) {
+        if (max < this.level) return WaterLevelOverlay.SUBMERGED;
+        if (min < this.level) return WaterLevelOverlay.PARTIAL;
+        return null;
+    }
+}
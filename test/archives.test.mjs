@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { gunzipSync } from 'node:zlib';
+import initSqlJs from 'sql.js';
+import { PMTilesArchive, PMTilesProvider, MBTilesProvider, UrlRangeSource, BlobRangeSource } from '../docs/archives.mjs';
+import { serveFixtures } from './static-server.mjs';
+import { tileText, ARCHIVE_METADATA, ARCHIVE_BOUNDS } from './fixtures/make-fixtures.mjs';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+// Node's small buffers share a pool, copy out the file's own bytes
+const arrayBuffer = name => new Uint8Array(fixture(name)).buffer;
+const text = buffer => new TextDecoder().decode(buffer);
+let server;
+
+before(async () => {
+    server = await serveFixtures({ '/tiles.pmtiles': 'tiles.pmtiles' });
+});
+
+after(() => server.close());
+
+test('PMTiles tile IDs follow the Hilbert curve, zoom by zoom', () => {
+    assert.equal(PMTilesArchive.zxyToTileId(0, 0, 0), 0);
+    assert.deepEqual([[0, 0], [0, 1], [1, 1], [1, 0]].map(([x, y]) => PMTilesArchive.zxyToTileId(1, x, y)), [1, 2, 3, 4]);
+    assert.equal(PMTilesArchive.zxyToTileId(2, 0, 0), 5);
+    assert.equal(PMTilesArchive.zxyToTileId(2, 3, 0), 20);
+});
+
+test('PMTiles varints go past 32 bits', () => {
+    assert.deepEqual(PMTilesArchive.readVarint([0xac, 0x02], 0), [300, 2]);
+    assert.deepEqual(PMTilesArchive.readVarint([0x80, 0x80, 0x80, 0x80, 0x20], 0), [Math.pow(2, 33), 5]);
+});
+
+test('PMTiles header is parsed', () => {
+    const header = PMTilesArchive.parseHeader(arrayBuffer('tiles.pmtiles').slice(0, PMTilesArchive.HEADER_BYTES));
+    
+    assert.equal(header.version, 3);
+    assert.equal(header.rootDirectoryOffset, PMTilesArchive.HEADER_BYTES);
+    assert.equal(header.addressedTiles, 7);
+    assert.equal(header.tileEntries, 4);
+    assert.equal(header.clustered, true);
+    assert.equal(header.internalCompression, PMTilesArchive.COMPRESSION.GZIP);
+    assert.equal(header.tileCompression, PMTilesArchive.COMPRESSION.GZIP);
+    assert.equal(PMTilesArchive.TILE_TYPES[header.tileType], 'mvt');
+    assert.equal(header.minZoom, 0);
+    assert.equal(header.maxZoom, 2);
+    assert.deepEqual(header.bounds, ARCHIVE_BOUNDS);
+    assert.equal(header.centerZoom, 1);
+    assert.deepEqual(header.center, [9.75, 9.9375]);
+});
+
+test('PMTiles header rejects other files', () => {
+    assert.throws(() => PMTilesArchive.parseHeader(arrayBuffer('tiles.mbtiles').slice(0, PMTilesArchive.HEADER_BYTES)), /Not a PMTiles archive/);
+});
+
+test('PMTiles root directory lists tiles, runs and the leaf directory', () => {
+    const bytes = fixture('tiles.pmtiles');
+    const header = PMTilesArchive.parseHeader(arrayBuffer('tiles.pmtiles').slice(0, PMTilesArchive.HEADER_BYTES));
+    const root = gunzipSync(bytes.subarray(header.rootDirectoryOffset, header.rootDirectoryOffset + header.rootDirectoryLength));
+    const entries = PMTilesArchive.parseDirectory(new Uint8Array(root));
+    
+    assert.deepEqual(entries.map(({ tileId, runLength }) => [tileId, runLength]), [[0, 1], [1, 4], [PMTilesArchive.zxyToTileId(2, 1, 2), 0]]);
+    // The second tile follows the first one
+    assert.equal(entries[1].offset, entries[0].offset + entries[0].length);
+    assert.equal(PMTilesArchive.findEntry(entries, 3), entries[1]);
+    assert.equal(PMTilesArchive.findEntry(entries, 40), entries[2]);
+});
+
+for (const [name, source] of [
+    ['a local file', () => new BlobRangeSource(new Blob([fixture('tiles.pmtiles')]))],
+    ['HTTP range requests', () => new UrlRangeSource(`${server.url}/tiles.pmtiles`)]
+]) {
+    test(`PMTiles tiles are read from ${name}`, async () => {
+        const archive = new PMTilesArchive(source());
+        
+        assert.deepEqual(await archive.getMetadata(), ARCHIVE_METADATA);
+        assert.equal(text(await archive.getTile(0, 0, 0)), tileText(0, 0, 0));
+        assert.equal(text(await archive.getTile(1, 1, 0)), 'tile 1');
+        // Through the leaf directory
+        assert.equal(text(await archive.getTile(2, 1, 2)), tileText(2, 1, 2));
+        assert.equal(text(await archive.getTile(2, 3, 3)), tileText(2, 3, 3));
+        assert.equal(await archive.getTile(2, 0, 0), null);
+        assert.equal(await archive.getTile(3, 0, 0), null);
+    });
+}
+
+test('PMTiles requests only the ranges it needs', async () => {
+    const archive = new PMTilesArchive(new UrlRangeSource(`${server.url}/tiles.pmtiles`));
+    const count = server.requests.length;
+    await archive.getTile(2, 1, 2);
+    await archive.getTile(2, 3, 3);
+    // Header, root, leaf and two tiles, directories are cached
+    assert.equal(server.requests.length - count, 5);
+});
+
+test('PMTilesProvider takes zooms and bounds from the header', async () => {
+    const provider = await PMTilesProvider.open(new Blob([fixture('tiles.pmtiles')]));
+    
+    assert.equal(provider.name, ARCHIVE_METADATA.name);
+    assert.equal(await provider.getAttributionText(), ARCHIVE_METADATA.attribution);
+    assert.equal(provider.minZoom, 0);
+    assert.equal(provider.maxZoom, 2);
+    assert.deepEqual(provider.bounds, ARCHIVE_BOUNDS);
+    assert.equal(text(await provider.fetchTile(2, 3, 3)), tileText(2, 3, 3));
+    await assert.rejects(provider.fetchTile(2, 0, 0), /not in PMTiles archive/);
+});
+
+test('PMTilesProvider reads its zoom range before the first tile', async () => {
+    const provider = new PMTilesProvider(new UrlRangeSource(`${server.url}/tiles.pmtiles`));
+    // Until the header is read, the range is the MapProvider default
+    assert.equal(provider.maxZoom, 20);
+    
+    assert.equal(text(await provider.fetchTile(2, 1, 2)), tileText(2, 1, 2));
+    assert.equal(provider.minZoom, 0);
+    assert.equal(provider.maxZoom, 2);
+    // Deeper map levels overzoom from zoom 2 (MapNode.getOverzoom), asking anyway is an error
+    await assert.rejects(provider.fetchTile(3, 2, 4), /past PMTiles max zoom 2/);
+});
+
+test('MBTiles metadata and tiles, rows flipped from TMS', async () => {
+    const SQL = await initSqlJs();
+    const provider = await MBTilesProvider.fromFile(arrayBuffer('tiles.mbtiles'), SQL);
+    
+    assert.equal(provider.name, ARCHIVE_METADATA.name);
+    assert.equal(await provider.getAttributionText(), ARCHIVE_METADATA.attribution);
+    assert.equal(provider.format, 'mvt');
+    assert.equal(provider.minZoom, 0);
+    assert.equal(provider.maxZoom, 1);
+    assert.deepEqual(provider.bounds, ARCHIVE_BOUNDS);
+    assert.deepEqual(provider.center, [9.75, 9.9375, 1]);
+    
+    assert.equal(text(await provider.fetchTile(0, 0, 0)), tileText(0, 0, 0));
+    // Gzipped tiles are inflated
+    assert.equal(text(await provider.fetchTile(1, 1, 0)), tileText(1, 1, 0));
+    assert.equal(text(await provider.fetchTile(1, 0, 1)), tileText(1, 0, 1));
+    await assert.rejects(provider.fetchTile(1, 2, 0), /not in MBTiles/);
+    provider.dispose();
+});
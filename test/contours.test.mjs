@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+globalThis.window ??= globalThis;
+globalThis.THREE = THREE;
+const { ContourTracer, ContourOverlay } = await import('../docs/contours.mjs');
+
+// Height grid of (size + 1)² samples from a function of (col, row)
+function grid(size, height) {
+    const heights = new Float32Array((size + 1) * (size + 1));
+    for (let row = 0; row <= size; row++) {
+        for (let col = 0; col <= size; col++) heights[row * (size + 1) + col] = height(col, row);
+    }
+    return heights;
+}
+
+// Every point lies on a grid edge, where the edge's heights interpolate to the level
+function assertOnLevel(heights, size, level, line) {
+    const at = (col, row) => heights[row * (size + 1) + col];
+    line.forEach(([col, row]) => {
+        let h;
+        if (Number.isInteger(row)) {
+            const c0 = Math.floor(col);
+            const c1 = Math.min(c0 + 1, size);
+            h = at(c0, row) + (at(c1, row) - at(c0, row)) * (col - c0);
+        } else {
+            assert.ok(Number.isInteger(col), `${col},${row} is off the grid edges`);
+            const r0 = Math.floor(row);
+            h = at(col, r0) + (at(col, r0 + 1) - at(col, r0)) * (row - r0);
+        }
+        assert.ok(Math.abs(h - level) < 1e-5, `${col},${row} at ${h}, not ${level}`);
+    });
+}
+
+const near = (actual, expected) => actual.every((value, i) => Math.abs(value - expected[i]) < 1e-6);
+
+// Segments of single-segment lines, endpoints in a fixed order
+const segments = lines => lines.map(line => {
+    assert.equal(line.length, 2);
+    return line.map(([col, row]) => [+col.toFixed(6), +row.toFixed(6)]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}).sort((a, b) => a[0][0] - b[0][0] || a[0][1] - b[0][1]);
+
+test('a cone traces one closed ring per level', () => {
+    const size = 6;
+    const heights = grid(size, (col, row) => Math.max(21 - 5 * Math.hypot(col - 3, row - 3), 8));
+    const contours = ContourTracer.trace(heights, size, 5);
+    assert.deepEqual(contours.map(({ elevation }) => elevation), [10, 15, 20]);
+    
+    contours.forEach(({ elevation, lines }) => {
+        assert.equal(lines.length, 1, `level ${elevation}`);
+        const [ring] = lines;
+        assert.ok(ring.length > 4);
+        assert.deepEqual(ring.at(-1), ring[0], `level ${elevation} is closed`);
+        assertOnLevel(heights, size, elevation, ring);
+    });
+    
+    // The top ring crosses the four edges from the peak, a fifth of the way out
+    const top = contours[2].lines[0];
+    assert.equal(top.length, 5);
+    for (const point of [[3, 2.8], [3.2, 3], [3, 3.2], [2.8, 3]]) {
+        assert.ok(top.some(p => near(p, point)), `${point} on the top ring`);
+    }
+});
+
+test('a slope traces open lines from edge to edge', () => {
+    const size = 3;
+    const heights = grid(size, col => col * 10 + 5);
+    const contours = ContourTracer.trace(heights, size, 10);
+    assert.deepEqual(contours.map(({ elevation }) => elevation), [10, 20, 30]);
+    
+    contours.forEach(({ elevation, lines }, i) => {
+        assert.equal(lines.length, 1);
+        const line = lines[0];
+        assert.equal(line.length, size + 1);
+        assert.notDeepEqual(line.at(-1), line[0]);
+        const rows = line.map(([, row]) => row).sort();
+        assert.deepEqual(rows, [0, 1, 2, 3]);
+        line.forEach(([col]) => assert.ok(Math.abs(col - (i + 0.5)) < 1e-6));
+        assertOnLevel(heights, size, elevation, line);
+    });
+});
+
+test('saddles join the high corners when the cell mean is above the level', () => {
+    // Case 10: top-left and bottom-right high
+    const joined = grid(1, (col, row) => [[1, 0], [0.2, 1]][row][col]);
+    assert.deepEqual(segments(ContourTracer.traceLevel(joined, 1, 0.5)), [
+        [[0, 0.625], [0.375, 1]],
+        [[0.5, 0], [1, 0.5]]
+    ]);
+    
+    const separated = grid(1, (col, row) => [[0.8, 0], [0, 0.8]][row][col]);
+    assert.deepEqual(segments(ContourTracer.traceLevel(separated, 1, 0.5)), [
+        [[0, 0.375], [0.375, 0]],
+        [[0.625, 1], [1, 0.625]]
+    ]);
+    
+    // Case 5: top-right and bottom-left high
+    const joined5 = grid(1, (col, row) => [[0, 1], [1, 0.2]][row][col]);
+    assert.deepEqual(segments(ContourTracer.traceLevel(joined5, 1, 0.5)), [
+        [[0, 0.5], [0.5, 0]],
+        [[0.625, 1], [1, 0.625]]
+    ]);
+    
+    const separated5 = grid(1, (col, row) => [[0, 0.8], [0.8, 0]][row][col]);
+    assert.deepEqual(segments(ContourTracer.traceLevel(separated5, 1, 0.5)), [
+        [[0, 0.625], [0.375, 1]],
+        [[0.625, 0], [1, 0.375]]
+    ]);
+});
+
+test('levels are multiples of the interval below the maximum', () => {
+    assert.deepEqual(ContourTracer.getLevels(-23, 20, 10), [-20, -10, 0, 10]);
+    assert.deepEqual(ContourTracer.getLevels(3, 7, 10), []);
+    assert.equal(ContourTracer.getLevels(0, 1e9, 1).length, ContourTracer.MAX_LEVELS);
+});
+
+test('index contours below sea level', () => {
+    const style = { interval: 10, indexEvery: 5 };
+    const isIndex = elevation => ContourOverlay.prototype.isIndex(elevation, style);
+    assert.deepEqual([-100, -50, -40, -20, -10, 0, 10, 50].map(isIndex), [true, true, false, false, false, true, false, true]);
+    
+    // Accumulated levels of a fractional interval still land on the index contours
+    const fine = { interval: 0.1, indexEvery: 5 };
+    const indexLevels = ContourTracer.getLevels(-1.05, 0.6, 0.1).filter(level => ContourOverlay.prototype.isIndex(level, fine));
+    assert.equal(indexLevels.length, 4);
+    [-1, -0.5, 0, 0.5].forEach((expected, i) => assert.ok(Math.abs(indexLevels[i] - expected) < 1e-9, `${indexLevels[i]}`));
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CRS } from '../docs/crs.mjs';
+
+const near = (actual, expected, tolerance, message) => {
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) <= tolerance, `${message}: ${actual} vs ${expected}`));
+};
+
+// Examples of the EPSG Guidance Note 7-2
+CRS.register('EPSG:27700', '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +units=m');
+CRS.register('EPSG:32040', '+proj=lcc +lat_1=28.38333333333333 +lat_2=30.28333333333333 +lat_0=27.83333333333333 +lon_0=-99 +x_0=609601.2192024384 +y_0=0 +ellps=clrk66 +units=us-ft');
+
+test('Web Mercator spans the sphere of the WGS84 semi-major axis', () => {
+    const crs = CRS.get('EPSG:900913');
+    assert.equal(crs.code, 'EPSG:3857');
+    near(crs.forward([180, 0]), [20037508.342789244, 0], 1e-6, 'antimeridian');
+    near(crs.forward([-180, 45]), [-20037508.342789244, 5621521.486192066], 1e-6, '45° north');
+});
+
+test('UTM zones put the central meridian at 500 km east', () => {
+    // Northing at 45° is the WGS84 meridian arc 4 984 944.378 m scaled by 0.9996
+    near(CRS.get('EPSG:32631').forward([3, 45]), [500000, 4982950.400], 1e-3, 'zone 31N');
+    near(CRS.get('EPSG:32731').forward([3, 0]), [500000, 10000000], 1e-6, 'zone 31S equator');
+    near(CRS.get('EPSG:32731').forward([3, -45]), [500000, 10000000 - 4982950.400], 1e-3, 'zone 31S');
+    
+    // East and west of the central meridian are mirrored
+    const [east, north] = CRS.get('EPSG:32610').forward([-121, 49]);
+    const [west, northWest] = CRS.get('EPSG:32610').forward([-125, 49]);
+    assert.ok(Math.abs(east - 500000 - (500000 - west)) < 1e-6);
+    assert.ok(Math.abs(north - northWest) < 1e-6);
+    
+    assert.equal(CRS.utmFor(-123.1, 49.3).code, 'EPSG:32610');
+    assert.equal(CRS.utmFor(151.2, -33.9).code, 'EPSG:32756');
+    assert.equal(CRS.utmFor(180, 0).code, 'EPSG:32660');
+});
+
+test('NAD83 UTM zones use the GRS80 ellipsoid', () => {
+    const crs = CRS.get('epsg:26910');
+    assert.equal(crs.name, 'NAD83 / UTM zone 10N');
+    assert.equal(crs.projection.a, CRS.ELLIPSOIDS.GRS80.a);
+    // GRS80 and WGS84 differ by a tenth of a millimetre in the semi-minor axis
+    const nad83 = crs.forward([-123, 49]);
+    const wgs84 = CRS.get('EPSG:32610').forward([-123, 49]);
+    near(nad83, wgs84, 1e-3, 'NAD83 vs WGS84');
+    assert.notEqual(nad83[1], wgs84[1]);
+    assert.throws(() => CRS.get('EPSG:26930'), /Unknown coordinate system/);
+});
+
+test('registered transverse Mercator and Lambert conformal conic systems', () => {
+    // British National Grid, 50°30'N 0°30'E
+    near(CRS.get('EPSG:27700').forward([0.5, 50.5]), [577274.99, 69740.50], 0.01, 'tmerc');
+    // NAD27 / Texas South Central in US survey feet, 28°30'N 96°W
+    near(CRS.get('EPSG:32040').forward([-96, 28.5]), [2963503.91, 254759.80], 0.01, 'lcc');
+    
+    assert.throws(() => CRS.fromProj4('+proj=stere +lat_0=90'), /Unsupported projection stere/);
+    assert.throws(() => CRS.fromProj4('+proj=tmerc +units=chain'), /Unknown units/);
+});
+
+test('positions round trip between systems', () => {
+    // Each position with the systems covering it
+    const positions = [
+        [[-123.1207, 49.2827], ['EPSG:3857', 'EPSG:32610', 'EPSG:26910']],
+        [[0.5, 50.5], ['EPSG:3857', 'EPSG:32631', 'EPSG:27700']],
+        [[151.2093, -33.8688], ['EPSG:3857', 'EPSG:32756']],
+        [[-96, 28.5], ['EPSG:3857', 'EPSG:32614', 'EPSG:26914', 'EPSG:32040']],
+        [[3, 0], ['EPSG:3857', 'EPSG:32631', 'EPSG:32731']]
+    ];
+    for (const [position, systems] of positions) {
+        for (const code of systems) {
+            const projected = CRS.transform(position, 'EPSG:4326', code);
+            near(CRS.transform(projected, code, 'WGS84'), position, 1e-8, `${code} ${position}`);
+        }
+    }
+    
+    // Projected to projected, through WGS84
+    const utm = CRS.get('EPSG:32631').forward([0.5, 50.5]);
+    near(CRS.transform(utm, 'EPSG:32631', 'EPSG:27700'), [577274.99, 69740.50], 0.01, 'UTM to British National Grid');
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { PNG } from 'pngjs';
+import { ElevationDecoder, TerrainRGBDecoder, TerrariumDecoder, QuantizedMeshDecoder, ElevationSampler } from '../docs/elevation.mjs';
+import { MapProvider, HeightDebugProvider, TileRequestScheduler } from '../docs/providers.mjs';
+import { TileCache } from '../docs/tile-cache.mjs';
+import { rasterHeight, RASTER_SIZE, meshHeight, MESH_MIN, MESH_MAX } from './fixtures/make-fixtures.mjs';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+const readPNG = name => PNG.sync.read(fixture(name));
+const arrayBuffer = buffer => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+function assertHeights(heights, gridSize, expected, tolerance = 1e-3) {
+    assert.equal(heights.length, (gridSize + 1) ** 2);
+    for (let row = 0; row <= gridSize; row++) {
+        for (let col = 0; col <= gridSize; col++) {
+            const actual = heights[row * (gridSize + 1) + col];
+            assert.ok(Math.abs(actual - expected(col, row)) <= tolerance, `(${col}, ${row}): ${actual} != ${expected(col, row)}`);
+        }
+    }
+}
+
+test('decoders are registered by encoding', () => {
+    assert.ok(ElevationDecoder.forEncoding() instanceof TerrainRGBDecoder);
+    assert.ok(ElevationDecoder.forEncoding(ElevationDecoder.TERRARIUM) instanceof TerrariumDecoder);
+    assert.ok(ElevationDecoder.forEncoding(ElevationDecoder.QUANTIZED_MESH) instanceof QuantizedMeshDecoder);
+    assert.throws(() => ElevationDecoder.forEncoding('lerc'), /Unknown elevation encoding/);
+});
+
+test('terrain-RGB tile decodes pixel by pixel', () => {
+    const heights = ElevationDecoder.forEncoding(ElevationDecoder.TERRAIN_RGB).decodeImageData(readPNG('terrain-rgb.png'), RASTER_SIZE - 1);
+    assertHeights(heights, RASTER_SIZE - 1, rasterHeight, 0.05);
+});
+
+test('Terrarium tile decodes pixel by pixel', () => {
+    const heights = ElevationDecoder.forEncoding(ElevationDecoder.TERRARIUM).decodeImageData(readPNG('terrarium.png'), RASTER_SIZE - 1);
+    assertHeights(heights, RASTER_SIZE - 1, rasterHeight, 1 / 256);
+});
+
+test('raster decoding samples the nearest pixel on coarser grids', () => {
+    const heights = new TerrariumDecoder().decodeImageData(readPNG('terrarium.png'), 2);
+    const pixel = index => Math.round(index / 2 * (RASTER_SIZE - 1));
+    assertHeights(heights, 2, (col, row) => rasterHeight(pixel(col), pixel(row)), 1 / 256);
+});
+
+test('quantized-mesh tile parses its header, vertices and triangles', () => {
+    const { minHeight, maxHeight, u, v, height, indices } = new QuantizedMeshDecoder().parse(arrayBuffer(fixture('plane.terrain')));
+    assert.equal(minHeight, MESH_MIN);
+    assert.equal(maxHeight, MESH_MAX);
+    assert.deepEqual([...u], [0, 32767, 0, 32767]);
+    assert.deepEqual([...v], [0, 0, 32767, 32767]);
+    assert.equal(height[0], 0);
+    assert.equal(height[3], 32767);
+    assert.deepEqual([...indices], [0, 1, 2, 2, 1, 3]);
+});
+
+test('quantized-mesh tile is rasterized onto the grid, rows from the north', () => {
+    const gridSize = 4;
+    const heights = ElevationDecoder.forEncoding(ElevationDecoder.QUANTIZED_MESH).decode(arrayBuffer(fixture('plane.terrain')), gridSize);
+    assertHeights(heights, gridSize, (col, row) => meshHeight(col / gridSize, 1 - row / gridSize), 0.01);
+});
+
+test('HeightDebugProvider colors any encoding', async () => {
+    globalThis.OffscreenCanvas ??= class {
+        constructor(width, height) {
+            Object.assign(this, { width, height });
+        }
+        
+        getContext() {
+            return {
+                createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+                putImageData: imageData => this.imageData = imageData
+            };
+        }
+    };
+    const provider = new MapProvider();
+    provider.encoding = ElevationDecoder.QUANTIZED_MESH;
+    provider.fetchTile = async () => arrayBuffer(fixture('plane.terrain'));
+    
+    const canvas = await new HeightDebugProvider(provider).fetchTile(0, 0, 0);
+    const { data } = canvas.imageData;
+    const pixel = (x, y) => [...data.slice((y * 256 + x) * 4, (y * 256 + x) * 4 + 4)];
+    assert.equal(pixel(0, 0)[3], 255);
+    // The low south west corner is redder than the high north east corner
+    assert.ok(pixel(0, 255)[0] > pixel(255, 0)[0]);
+});
+
+// Every tile is the quantized-mesh plane, heights rise to the north east of each tile
+class PlaneProvider extends MapProvider {
+    constructor(failing = false) {
+        super();
+        this.encoding = ElevationDecoder.QUANTIZED_MESH;
+        this.maxZoom = 2;
+        this.failing = failing;
+        this.requests = [];
+    }
+    
+    async fetchTile(zoom, x, y) {
+        this.requests.push(`${zoom}/${x}/${y}`);
+        if (this.failing) throw new Error('offline');
+        return arrayBuffer(fixture('plane.terrain'));
+    }
+}
+
+test('elevations at the poles come from the edge rows', async () => {
+    const provider = new PlaneProvider();
+    const sampler = new ElevationSampler(provider, { gridSize: 4 });
+    const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} != ${expected}`);
+    
+    near(await sampler.getElevation(0, 90), meshHeight(0, 1));
+    near(await sampler.getElevation(0, -90), meshHeight(0, 0));
+    // The antimeridian wraps to the first column
+    near(await sampler.getElevation(180, -90), meshHeight(0, 0));
+    near(await sampler.getElevation(179.999, 90), meshHeight(1, 1));
+    assert.deepEqual(provider.requests, ['2/2/0', '2/2/3', '2/0/3', '2/3/0']);
+    await assert.rejects(sampler.getElevation(NaN, 10), RangeError);
+});
+
+test('elevations of many points fetch each tile once and warn once', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const provider = new PlaneProvider(true);
+    const elevations = await new ElevationSampler(provider).getElevations([[-100, 40], [-100, 41], [100, 40], [100, -40], [undefined, 3]]);
+    
+    assert.deepEqual(elevations, [null, null, null, null, null]);
+    assert.equal(provider.requests.length, 3);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /3 of 3 elevation tiles failed to load/);
+});
+
+test('elevation tiles are queued and shared with the map', async () => {
+    const provider = new PlaneProvider();
+    const cache = new TileCache();
+    const scheduler = new TileRequestScheduler();
+    // A map node already fetched the tile, e.g. as the ancestor of overzoomed nodes
+    await cache.shareTile(provider, 2, 2, 1, () => provider.fetchTile(2, 2, 1));
+    const sampler = new ElevationSampler(provider, { gridSize: 4, cache, scheduler });
+    
+    await sampler.getElevation(10, 10);
+    await sampler.getElevation(10, -10);
+    assert.deepEqual(provider.requests, ['2/2/1', '2/2/2']);
+    assert.equal(scheduler.pending, 0);
+});
@@ -0,0 +1,261 @@
+/**
+ * Writes the binary fixtures of the tests, run it again after changing them:
+ *     node test/fixtures/make-fixtures.mjs
+ */
+import { writeFileSync } from 'node:fs';
+import { gzipSync } from 'node:zlib';
+import { PNG } from 'pngjs';
+import initSqlJs from 'sql.js';
+import { PMTilesArchive } from '../../docs/archives.mjs';
+
+const path = name => new URL(name, import.meta.url);
+
+// Heights of the raster elevation fixtures, metres at pixel (x, y) from the top left
+export const rasterHeight = (x, y) => 100 + 10 * x - 5.5 * y;
+export const RASTER_SIZE = 8;
+
+function writeRaster(name, encode) {
+    const png = new PNG({ width: RASTER_SIZE, height: RASTER_SIZE });
+    for (let y = 0; y < RASTER_SIZE; y++) {
+        for (let x = 0; x < RASTER_SIZE; x++) {
+            const i = (y * RASTER_SIZE + x) * 4;
+            png.data.set([...encode(rasterHeight(x, y)), 255], i);
+        }
+    }
+    writeFileSync(path(name), PNG.sync.write(png));
+}
+
+function terrainRGB(height) {
+    const value = Math.round((height + 10000) * 10);
+    return [value >> 16 & 255, value >> 8 & 255, value & 255];
+}
+
+function terrarium(height) {
+    const value = height + 32768;
+    return [Math.floor(value / 256), Math.floor(value) % 256, Math.round(value % 1 * 256)];
+}
+
+// Quantized-mesh tile of two triangles over a plane, metres at (u, v) from the south west
+export const meshHeight = (u, v) => 100 + 100 * u + 50 * v;
+export const MESH_MIN = 100;
+export const MESH_MAX = 250;
+
+function writeQuantizedMesh(name) {
+    const max = 32767;
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]]; // SW, SE, NW, NE
+    const u = corners.map(([cu]) => cu * max);
+    const v = corners.map(([, cv]) => cv * max);
+    const height = corners.map(([cu, cv]) => Math.round((meshHeight(cu, cv) - MESH_MIN) / (MESH_MAX - MESH_MIN) * max));
+    const indices = [0, 1, 2, 2, 1, 3];
+    
+    const buffer = new ArrayBuffer(88 + 4 + 3 * 4 * 2 + 4 + indices.length * 2);
+    const view = new DataView(buffer);
+    view.setFloat32(24, MESH_MIN, true);
+    view.setFloat32(28, MESH_MAX, true);
+    let offset = 88;
+    view.setUint32(offset, corners.length, true);
+    offset += 4;
+    [u, v, height].forEach(values => {
+        let previous = 0;
+        values.forEach(value => {
+            const delta = value - previous;
+            view.setUint16(offset, (delta << 1) ^ (delta >> 31), true);
+            previous = value;
+            offset += 2;
+        });
+    });
+    view.setUint32(offset, indices.length / 3, true);
+    offset += 4;
+    let highest = 0;
+    indices.forEach(index => {
+        view.setUint16(offset, highest - index, true);
+        if (index === highest) highest++;
+        offset += 2;
+    });
+    writeFileSync(path(name), new Uint8Array(buffer));
+}
+
+// Tile contents of the archive fixtures, every tile says where it is
+export const tileText = (z, x, y) => `tile ${z}/${x}/${y}`;
+export const ARCHIVE_METADATA = { name: 'Fixture tiles', attribution: '© Fixture' };
+export const ARCHIVE_BOUNDS = [-10.5, -20.25, 30, 40.125];
+
+function varints(values) {
+    const bytes = [];
+    values.forEach(value => {
+        while (value >= 128) {
+            bytes.push(value % 128 | 128);
+            value = Math.floor(value / 128);
+        }
+        bytes.push(value);
+    });
+    return bytes;
+}
+
+function pmtilesDirectory(entries) {
+    // Offsets are stored + 1, 0 when the entry follows the previous one
+    let previousId = 0;
+    return gzipSync(Uint8Array.from([
+        ...varints([entries.length]),
+        ...varints(entries.map(({ tileId }) => {
+            const delta = tileId - previousId;
+            previousId = tileId;
+            return delta;
+        })),
+        ...varints(entries.map(({ runLength }) => runLength)),
+        ...varints(entries.map(({ length }) => length)),
+        ...varints(entries.map(({ offset }, i) => i > 0 && offset === entries[i - 1].offset + entries[i - 1].length ? 0 : offset + 1))
+    ]));
+}
+
+/**
+ * PMTiles v3 archive, gzipped directories and tiles: z0, z1 as a run of one shared tile, and
+ * two z2 tiles in a leaf directory
+ */
+function writePMTiles(name) {
+    const tiles = [];
+    const data = [];
+    let dataLength = 0;
+    const addTile = (text, z, x, y, runLength = 1) => {
+        const bytes = gzipSync(Buffer.from(text));
+        tiles.push({ tileId: PMTilesArchive.zxyToTileId(z, x, y), offset: dataLength, length: bytes.length, runLength });
+        data.push(bytes);
+        dataLength += bytes.length;
+    };
+    addTile(tileText(0, 0, 0), 0, 0, 0);
+    addTile('tile 1', 1, 0, 0, 4);
+    addTile(tileText(2, 1, 2), 2, 1, 2);
+    addTile(tileText(2, 3, 3), 2, 3, 3);
+    tiles.sort((a, b) => a.tileId - b.tileId);
+    
+    const leaf = pmtilesDirectory(tiles.slice(2));
+    const root = pmtilesDirectory([...tiles.slice(0, 2), { tileId: tiles[2].tileId, offset: 0, length: leaf.length, runLength: 0 }]);
+    const metadata = gzipSync(Buffer.from(JSON.stringify(ARCHIVE_METADATA)));
+    
+    const header = Buffer.alloc(PMTilesArchive.HEADER_BYTES);
+    header.write('PMTiles', 0);
+    header.writeUInt8(3, 7);
+    const rootOffset = PMTilesArchive.HEADER_BYTES;
+    const metadataOffset = rootOffset + root.length;
+    const leafOffset = metadataOffset + metadata.length;
+    const dataOffset = leafOffset + leaf.length;
+    [
+        rootOffset, root.length, metadataOffset, metadata.length, leafOffset, leaf.length,
+        dataOffset, dataLength, 7, tiles.length, tiles.length
+    ].forEach((value, i) => header.writeBigUInt64LE(BigInt(value), 8 + i * 8));
+    header.writeUInt8(1, 96); // Clustered
+    header.writeUInt8(PMTilesArchive.COMPRESSION.GZIP, 97);
+    header.writeUInt8(PMTilesArchive.COMPRESSION.GZIP, 98);
+    header.writeUInt8(1, 99); // MVT
+    header.writeUInt8(0, 100);
+    header.writeUInt8(2, 101);
+    ARCHIVE_BOUNDS.forEach((degrees, i) => header.writeInt32LE(Math.round(degrees * 1e7), 102 + i * 4));
+    header.writeUInt8(1, 118);
+    header.writeInt32LE(Math.round(9.75 * 1e7), 119);
+    header.writeInt32LE(Math.round(9.9375 * 1e7), 123);
+    writeFileSync(path(name), Buffer.concat([header, root, metadata, leaf, ...data]));
+}
+
+/**
+ * MBTiles with vector tiles of z0 and z1, the z1 ones gzipped as usual
+ */
+async function writeMBTiles(name) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    db.run('CREATE TABLE metadata (name TEXT, value TEXT)');
+    db.run('CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB)');
+    Object.entries({ ...ARCHIVE_METADATA, format: 'pbf', minzoom: '0', maxzoom: '1', bounds: ARCHIVE_BOUNDS.join(','), center: '9.75,9.9375,1' })
+        .forEach(entry => db.run('INSERT INTO metadata VALUES (?, ?)', entry));
+    [[0, 0, 0], [1, 0, 0], [1, 1, 0], [1, 0, 1], [1, 1, 1]].forEach(([z, x, y]) => {
+        const bytes = Buffer.from(tileText(z, x, y));
+        // Rows are TMS, counted from the south
+        db.run('INSERT INTO tiles VALUES (?, ?, ?, ?)', [z, x, Math.pow(2, z) - 1 - y, z > 0 ? gzipSync(bytes) : bytes]);
+    });
+    writeFileSync(path(name), db.export());
+    db.close();
+}
+
+// Mapbox Vector Tile fixture, as VectorTile.decode() returns it: polygon rings end on their first point
+export const VECTOR_EXTENT = 4096;
+export const VECTOR_LAYERS = {
+    water: [
+        { id: 1, type: 3, properties: { class: 'lake', name: 'Fixture Lake', area: 12.5 }, geometry: [[[1024, 1024], [3072, 1024], [3072, 3072], [1024, 3072], [1024, 1024]]] }
+    ],
+    roads: [
+        { id: 2, type: 2, properties: { class: 'primary', lanes: 2, oneway: true }, geometry: [[[0, 2048], [4096, 2048]]] },
+        { id: 3, type: 2, properties: { class: 'service', lanes: 1, oneway: false }, geometry: [[[2048, 0], [2048, 1024]], [[2048, 3072], [2048, 4096]]] }
+    ],
+    place: [
+        { id: 4, type: 1, properties: { name: 'Fixture Town', ele: -12 }, geometry: [[[1024, 1024]]] }
+    ]
+};
+
+const zigZag = value => value < 0 ? -2 * value - 1 : 2 * value;
+const pbfKey = (tag, wireType) => varints([tag * 8 + wireType]);
+const pbfVarint = (tag, value) => [...pbfKey(tag, 0), ...varints([value])];
+const pbfBytes = (tag, bytes) => [...pbfKey(tag, 2), ...varints([bytes.length]), ...bytes];
+
+function mvtValue(value) {
+    if (typeof value === 'string') return pbfBytes(1, Buffer.from(value));
+    if (typeof value === 'boolean') return pbfVarint(7, value ? 1 : 0);
+    if (!Number.isInteger(value)) {
+        const bytes = Buffer.alloc(8);
+        bytes.writeDoubleLE(value);
+        return [...pbfKey(3, 1), ...bytes];
+    }
+    return value < 0 ? pbfVarint(6, zigZag(value)) : pbfVarint(5, value);
+}
+
+function mvtGeometry(type, parts) {
+    const commands = [];
+    let x = 0;
+    let y = 0;
+    const move = ([px, py]) => {
+        commands.push(zigZag(px - x), zigZag(py - y));
+        [x, y] = [px, py];
+    };
+    parts.forEach(part => {
+        // Rings are closed by a command, not by repeating the first point
+        const points = type === 3 ? part.slice(0, -1) : part;
+        commands.push(1 | 1 << 3);
+        move(points[0]);
+        if (points.length > 1) {
+            commands.push(2 | (points.length - 1) << 3);
+            points.slice(1).forEach(move);
+        }
+        if (type === 3) commands.push(7 | 1 << 3);
+    });
+    return commands;
+}
+
+function writeVectorTile(name) {
+    const layers = Object.entries(VECTOR_LAYERS).map(([layerName, features]) => {
+        const keys = [];
+        const values = [];
+        const index = (list, item) => list.includes(item) ? list.indexOf(item) : list.push(item) - 1;
+        const encoded = features.map(({ id, type, properties, geometry }) => pbfBytes(2, [
+            ...pbfVarint(1, id),
+            ...pbfBytes(2, varints(Object.entries(properties).flatMap(([key, value]) => [index(keys, key), index(values, value)]))),
+            ...pbfVarint(3, type),
+            ...pbfBytes(4, varints(mvtGeometry(type, geometry)))
+        ]));
+        return pbfBytes(3, [
+            ...pbfVarint(15, 2),
+            ...pbfBytes(1, Buffer.from(layerName)),
+            ...encoded.flat(),
+            ...keys.flatMap(key => pbfBytes(3, Buffer.from(key))),
+            ...values.flatMap(value => pbfBytes(4, mvtValue(value))),
+            ...pbfVarint(5, VECTOR_EXTENT)
+        ]);
+    });
+    writeFileSync(path(name), Uint8Array.from(layers.flat()));
+}
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    writeRaster('terrain-rgb.png', terrainRGB);
+    writeRaster('terrarium.png', terrarium);
+    writeQuantizedMesh('plane.terrain');
+    writePMTiles('tiles.pmtiles');
+    await writeMBTiles('tiles.mbtiles');
+    writeVectorTile('streets.pbf');
+}
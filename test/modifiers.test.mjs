@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TerrainModifier } from '../docs/modifiers.mjs';
+import { UnitsUtils } from '../docs/utils.mjs';
+
+// Square over the middle of the tile 10/512/512, south east of (0, 0)
+const tile = { level: 10, x: 512, y: 512 };
+const corner = (u, v) => {
+    const { longitude, latitude } = UnitsUtils.quadtreeToDatums(tile.level, tile.x + u, tile.y + v);
+    return [longitude, latitude];
+};
+const square = [corner(0.25, 0.25), corner(0.75, 0.25), corner(0.75, 0.75), corner(0.25, 0.75)];
+
+// Two triangles per quadrant of the tile, positions from -0.5 to 0.5
+const positions = new Float32Array([-0.5, 0, -0.5, 0, 0, -0.5, 0.5, 0, -0.5, -0.5, 0, 0, 0, 0, 0, 0.5, 0, 0, -0.5, 0, 0.5, 0, 0, 0.5, 0.5, 0, 0.5]);
+const grid = [0, 3, 1, 3, 4, 1, 1, 4, 2, 4, 5, 2, 3, 6, 4, 6, 7, 4, 4, 7, 5, 7, 8, 5];
+
+test('HIDE modifiers cut triangles whose centroid is inside, keeping the index type', () => {
+    const hole = new TerrainModifier(square, { mode: TerrainModifier.HIDE });
+    // Only the two triangles along the north west to south east diagonal have their centroid in the square
+    const expected = [0, 3, 1, 1, 4, 2, 4, 5, 2, 3, 6, 4, 6, 7, 4, 7, 8, 5];
+    
+    const cut16 = TerrainModifier.cutIndices([hole], tile, Uint16Array.from(grid), positions);
+    assert.ok(cut16 instanceof Uint16Array);
+    assert.deepEqual([...cut16], expected);
+    const cut32 = TerrainModifier.cutIndices([hole], tile, Uint32Array.from(grid), positions);
+    assert.ok(cut32 instanceof Uint32Array);
+    assert.deepEqual([...cut32], expected);
+});
+
+test('modifiers without holes leave the indices alone', () => {
+    const indices = Uint16Array.from(grid);
+    const pad = new TerrainModifier(square, { mode: TerrainModifier.FLATTEN, elevation: 12 });
+    assert.equal(TerrainModifier.cutIndices([pad], tile, indices, positions), indices);
+});
+
+test('modifiers overlap by their bounds', () => {
+    const a = new TerrainModifier(square);
+    const b = new TerrainModifier([corner(0.5, 0.5), corner(1, 0.5), corner(1, 1)]);
+    const c = new TerrainModifier([corner(0.8, 0), corner(1, 0), corner(1, 0.2)]);
+    assert.ok(a.intersects(b));
+    assert.ok(b.intersects(a));
+    assert.ok(!a.intersects(c));
+});
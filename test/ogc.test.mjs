@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { WMSProvider, WMTSProvider, CachedProvider } from '../docs/providers.mjs';
+import { UnitsUtils } from '../docs/utils.mjs';
+import { serveFixtures } from './static-server.mjs';
+
+globalThis.DOMParser ??= DOMParser;
+
+const EXTENT = UnitsUtils.MERCATOR_EXTENT;
+let server;
+
+function assertBounds(actual, expected) {
+    assert.equal(actual.length, 4);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-6, `${actual} != ${expected}`));
+}
+
+before(async () => {
+    server = await serveFixtures({
+        '/wmts': 'wmts-capabilities.xml',
+        '/wms': 'terrarium.png'
+    });
+});
+
+after(() => server.close());
+
+test('tile bounds are EPSG:3857 metres, rows from the north', () => {
+    assertBounds(UnitsUtils.tileToMercatorBounds(0, 0, 0), [-EXTENT, -EXTENT, EXTENT, EXTENT]);
+    assertBounds(UnitsUtils.tileToMercatorBounds(1, 1, 0), [0, 0, EXTENT, EXTENT]);
+    assertBounds(UnitsUtils.tileToMercatorBounds(2, 0, 3), [-EXTENT, -EXTENT, -EXTENT / 2, -EXTENT / 2]);
+});
+
+test('WMS GetMap requests carry the tile BBOX', async () => {
+    const provider = new WMSProvider(`${server.url}/wms?map=site`, { layers: 'ortho,parcels', transparent: true, params: { DPI: 96 } });
+    await fetch(provider.getTileUrl(3, 5, 2));
+    const query = server.requests.at(-1).searchParams;
+    
+    assert.equal(query.get('map'), 'site');
+    assert.equal(query.get('REQUEST'), 'GetMap');
+    assert.equal(query.get('LAYERS'), 'ortho,parcels');
+    assert.equal(query.get('TRANSPARENT'), 'TRUE');
+    assert.equal(query.get('CRS'), 'EPSG:3857');
+    assert.equal(query.get('DPI'), '96');
+    assert.deepEqual(query.get('BBOX').split(',').map(Number), UnitsUtils.tileToMercatorBounds(3, 5, 2));
+    assertBounds(query.get('BBOX').split(',').map(Number), [EXTENT / 4, EXTENT / 4, EXTENT / 2, EXTENT / 2]);
+});
+
+test('WMS 1.1.1 names the projection SRS', () => {
+    const query = new URL(new WMSProvider(`${server.url}/wms`, { version: '1.1.1' }).getTileUrl(0, 0, 0)).searchParams;
+    assert.equal(query.get('SRS'), 'EPSG:3857');
+    assert.equal(query.get('CRS'), null);
+});
+
+test('WMTS capabilities pick the layer, default style and EPSG:3857 matrix set', async () => {
+    const provider = await WMTSProvider.fromCapabilities(`${server.url}/wmts?REQUEST=GetCapabilities`);
+    
+    assert.equal(provider.layer, 'ortho');
+    assert.equal(provider.style, 'natural');
+    assert.equal(provider.tileMatrixSet, 'EastMercator');
+    assert.equal(provider.format, 'image/jpeg');
+    assert.equal(provider.kvp, false);
+    assert.equal(provider.minZoom, 1);
+    assert.equal(provider.maxZoom, 3);
+    // The matrix set starts at the prime meridian
+    assert.deepEqual(provider.matrices[3], { identifier: '3', colOffset: 4, rowOffset: 0, matrixWidth: 4, matrixHeight: 8 });
+});
+
+test('WMTS tiles fill the ResourceURL template, outside the matrix there are none', async () => {
+    const provider = await WMTSProvider.fromCapabilities(`${server.url}/wmts`, { format: 'image/png' });
+    
+    assert.equal(provider.getTileUrl(3, 5, 2), `${server.url}/rest/ortho/natural/EastMercator/3/2/1.png`);
+    assert.equal(provider.getTileUrl(3, 3, 2), null);
+    assert.equal(provider.getTileUrl(4, 10, 2), null);
+});
+
+test('WMTS layers without a ResourceURL use KVP GetTile', async () => {
+    const provider = await WMTSProvider.fromCapabilities(`${server.url}/wmts`, { layer: 'parcels' });
+    const query = new URL(provider.getTileUrl(2, 3, 1)).searchParams;
+    
+    assert.equal(provider.kvp, true);
+    assert.equal(query.get('REQUEST'), 'GetTile');
+    assert.equal(query.get('LAYER'), 'parcels');
+    assert.equal(query.get('STYLE'), 'default');
+    assert.equal(query.get('TILEMATRIXSET'), 'EastMercator');
+    assert.equal(query.get('TILEMATRIX'), '2');
+    assert.equal(query.get('TILECOL'), '1');
+    assert.equal(query.get('TILEROW'), '1');
+});
+
+test('WMTS capabilities reject unknown layers', async () => {
+    await assert.rejects(WMTSProvider.fromCapabilities(`${server.url}/wmts`, { layer: 'roads' }), /WMTS layer not found: roads/);
+});
+
+test('WMS and WMTS layers of one endpoint are cached apart', async () => {
+    const store = {};
+    const wms = ['ortho', 'parcels'].map(layers => new CachedProvider(new WMSProvider(`${server.url}/wms?map=site`, { layers }), store));
+    const wmts = await Promise.all(['ortho', 'parcels'].map(async layer => new CachedProvider(await WMTSProvider.fromCapabilities(`${server.url}/wmts`, { layer }), store)));
+    
+    assert.notEqual(wms[0].id, wms[1].id);
+    assert.notEqual(wmts[0].id, wmts[1].id);
+    assert.match(wmts[0].id, /ortho\|natural\|EastMercator/);
+    assert.notEqual(wms[0].id, new CachedProvider(new WMSProvider(`${server.url}/wms?map=site`, { layers: 'ortho', styles: 'infrared' }), store).id);
+    assert.equal(wms[0].id, new CachedProvider(new WMSProvider(`${server.url}/wms?map=site`, { layers: 'ortho' }), store).id);
+});
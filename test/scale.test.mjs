@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+globalThis.THREE = THREE;
+const { MapScale } = await import('../docs/scale.mjs');
+const { UnitsUtils } = await import('../docs/utils.mjs');
+
+const RADIUS = 6378137; // Sphere of Web Mercator
+
+// Great circle metres between [longitude, latitude] positions
+const haversine = ([lon1, lat1], [lon2, lat2]) => {
+    const d2r = Math.PI / 180;
+    const h = Math.sin((lat2 - lat1) * d2r / 2) ** 2 + Math.cos(lat1 * d2r) * Math.cos(lat2 * d2r) * Math.sin((lon2 - lon1) * d2r / 2) ** 2;
+    return 2 * RADIUS * Math.asin(Math.sqrt(h));
+};
+
+// Map whose root tile at a level contains a position, scaled and moved like a viewer's map
+const createMap = ([longitude, latitude], level, { scale = 1000, exaggeration = 1 } = {}) => {
+    const [fx, fy] = UnitsUtils.pointToTileFraction(longitude, latitude, level);
+    const map = new THREE.Object3D();
+    map.rootLocation = { level, x: Math.floor(fx), y: Math.floor(fy) };
+    map.exaggeration = exaggeration;
+    map.scale.set(scale, scale, scale);
+    map.position.set(-120, 35, 480);
+    map.updateMatrixWorld(true);
+    return map;
+};
+
+// World point of a position and terrain height in metres
+const toWorld = (map, [longitude, latitude], height = 0) => {
+    const { level, x, y } = map.rootLocation;
+    const [fx, fy] = UnitsUtils.pointToTileFraction(longitude, latitude, level);
+    return map.localToWorld(new THREE.Vector3(fx - x - 0.5, height * map.exaggeration, fy - y - 0.5));
+};
+
+const assertClose = (actual, expected, relative, message) => {
+    assert.ok(Math.abs(actual - expected) <= expected * relative, `${message}: ${actual} vs ${expected}`);
+};
+
+test('a degree of longitude along the equator and the 60th parallel', () => {
+    for (const level of [0, 4, 8]) {
+        const equator = createMap([0.5, 0], level);
+        assertClose(new MapScale(equator).getDistance(toWorld(equator, [0, 0]), toWorld(equator, [1, 0])), 111319.49, 1e-7, `equator, level ${level}`);
+        const parallel = createMap([0.5, 60], level);
+        assertClose(new MapScale(parallel).getDistance(toWorld(parallel, [0, 60]), toWorld(parallel, [1, 60])), 55659.75, 1e-7, `60°N, level ${level}`);
+    }
+});
+
+test('short segments match great circle lengths at several latitudes and root levels', () => {
+    const offsets = [[0.01, 0], [0, 0.01], [0.007, -0.004], [-0.003, 0.009]];
+    for (const latitude of [0, 23.4, 45, -52.1, 70]) {
+        for (const level of [0, 6, 12]) {
+            const start = [-122.9574, latitude];
+            const map = createMap(start, level);
+            const scale = new MapScale(map);
+            for (const [dLon, dLat] of offsets) {
+                const end = [start[0] + dLon, latitude + dLat];
+                assertClose(scale.getDistance(toWorld(map, start), toWorld(map, end)), haversine(start, end), 1e-6, `${start} to ${end}, level ${level}`);
+            }
+        }
+    }
+});
+
+test('heights count in metres over the exaggeration', () => {
+    const position = [8.5, 47.4];
+    const map = createMap(position, 10, { exaggeration: 3 });
+    const scale = new MapScale(map);
+    assertClose(scale.getDistance(toWorld(map, position, 100), toWorld(map, position, 350)), 250, 1e-9, 'vertical');
+    
+    const end = [8.51, 47.4];
+    const ground = haversine(position, end);
+    assertClose(scale.getDistance(toWorld(map, position, 100), toWorld(map, end, 400)), Math.hypot(ground, 300), 1e-6, 'slope');
+});
+
+test('polyline length sums its segments and takes plain points', () => {
+    const positions = [[-0.1276, 51.5072], [-0.1, 51.52], [-0.08, 51.5], [-0.05, 51.51]];
+    for (const level of [2, 9]) {
+        const map = createMap(positions[0], level, { scale: 250 });
+        const points = positions.map(position => {
+            const { x, y, z } = toWorld(map, position);
+            return { x, y, z };
+        });
+        let expected = 0;
+        for (let i = 1; i < positions.length; i++) expected += haversine(positions[i - 1], positions[i]);
+        assertClose(new MapScale(map).getLength(points), expected, 1e-5, `level ${level}`);
+        assert.equal(new MapScale(map).getLength(points.slice(0, 1)), 0);
+    }
+});
+
+test('metres per unit follow the latitude of the point and the map scale', () => {
+    const map = createMap([0, 60], 3, { scale: 500 });
+    const scale = new MapScale(map);
+    assert.equal(scale.getWorldPerLocal(), 500);
+    assertClose(scale.getMetresPerUnit(toWorld(map, [0, 60])), 2 * UnitsUtils.MERCATOR_EXTENT * 0.5 / 8 / 500, 1e-9, '60°N');
+    assertClose(MapScale.getMetresPerLocal(0, 0), 2 * UnitsUtils.MERCATOR_EXTENT, 1e-12, 'equator');
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MapProvider, TileRequestScheduler } from '../docs/providers.mjs';
+
+/**
+ * Provider whose fetches stay pending until the test settles them
+ */
+class DeferredProvider extends MapProvider {
+    constructor() {
+        super();
+        this.calls = [];
+    }
+    
+    fetchTile(zoom, x, y) {
+        return new Promise((resolve, reject) => this.calls.push({ zoom, x, y, resolve, reject, time: Date.now() }));
+    }
+    
+    get inFlight() {
+        return this.calls.filter(call => !call.settled);
+    }
+    
+    settle(index, error = null) {
+        const call = this.calls[index];
+        call.settled = true;
+        if (error) call.reject(error);
+        else call.resolve(`tile ${call.zoom}/${call.x}/${call.y}`);
+    }
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('caps requests in flight', async () => {
+    const provider = new DeferredProvider();
+    const scheduler = new TileRequestScheduler({ maxConcurrent: 2 });
+    const tiles = [0, 1, 2, 3, 4].map(x => scheduler.request(provider, 1, x, 0));
+    
+    assert.equal(provider.calls.length, 2);
+    assert.equal(scheduler.pending, 5);
+    for (let i = 0; i < 5; i++) {
+        assert.ok(provider.inFlight.length <= 2);
+        provider.settle(i);
+        await tick();
+        assert.equal(provider.calls.length, Math.min(i + 3, 5));
+    }
+    assert.deepEqual(await Promise.all(tiles), [0, 1, 2, 3, 4].map(x => `tile 1/${x}/0`));
+    assert.equal(scheduler.pending, 0);
+});
+
+test('dispatches the lowest priority first, evaluated at dispatch time', async () => {
+    const provider = new DeferredProvider();
+    const scheduler = new TileRequestScheduler({ maxConcurrent: 1 });
+    let distance = 10;
+    scheduler.request(provider, 1, 0, 0);
+    scheduler.request(provider, 1, 1, 0, { priority: 3 });
+    scheduler.request(provider, 1, 2, 0, { priority: 1 });
+    scheduler.request(provider, 1, 3, 0, { priority: () => distance });
+    distance = 2;
+    
+    for (let i = 0; i < 4; i++) {
+        provider.settle(i);
+        await tick();
+    }
+    assert.deepEqual(provider.calls.map(({ x }) => x), [0, 2, 3, 1]);
+});
+
+test('cancels queued and in-flight requests of an owner', async () => {
+    const provider = new DeferredProvider();
+    const scheduler = new TileRequestScheduler({ maxConcurrent: 1 });
+    const owner = {};
+    const inFlight = scheduler.request(provider, 1, 0, 0, { owner });
+    const queued = scheduler.request(provider, 1, 1, 0, { owner });
+    const other = scheduler.request(provider, 1, 2, 0);
+    
+    scheduler.cancel(owner);
+    await assert.rejects(inFlight, { name: 'AbortError' });
+    await assert.rejects(queued, { name: 'AbortError' });
+    assert.equal(scheduler.pending, 1);
+    
+    // The in-flight result is dropped and its slot goes to the next request
+    provider.settle(0);
+    await tick();
+    assert.deepEqual(provider.calls.map(({ x }) => x), [0, 2]);
+    provider.settle(1);
+    assert.equal(await other, 'tile 1/2/0');
+});
+
+test('retries failed fetches with exponential backoff', async () => {
+    const provider = new DeferredProvider();
+    const scheduler = new TileRequestScheduler({ maxRetries: 2, retryDelay: 20 });
+    const tile = scheduler.request(provider, 1, 0, 0);
+    
+    provider.settle(0, new Error('503'));
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(provider.calls.length, 2);
+    provider.settle(1, new Error('503'));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(provider.calls.length, 3);
+    provider.settle(2);
+    assert.equal(await tile, 'tile 1/0/0');
+    
+    const [first, second, third] = provider.calls.map(({ time }) => time);
+    assert.ok(second - first >= 20 - 1);
+    assert.ok(third - second >= 40 - 1);
+});
+
+test('rejects once retries are exhausted', async () => {
+    const provider = new DeferredProvider();
+    const scheduler = new TileRequestScheduler({ maxRetries: 1, retryDelay: 5 });
+    const tile = scheduler.request(provider, 1, 0, 0);
+    
+    provider.settle(0, new Error('503'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    provider.settle(1, new Error('404'));
+    await assert.rejects(tile, { message: '404' });
+    assert.equal(scheduler.pending, 0);
+});
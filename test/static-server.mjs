@@ -0,0 +1,42 @@
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+/**
+ * Local stand-in for tile servers: serves test/fixtures by path, with {PORT} in text
+ * fixtures replaced by the server's port, and honours single byte Range requests.
+ * Every request is recorded.
+ * @param {Object} routes - Path -> fixture name, or a function (url) -> { body, type }
+ * @returns {Promise<{url: string, requests: URL[], close: Function}>}
+ */
+export async function serveFixtures(routes) {
+    const requests = [];
+    const server = createServer((request, response) => {
+        const url = new URL(request.url, `http://${request.headers.host}`);
+        requests.push(url);
+        const route = routes[url.pathname];
+        if (!route) {
+            response.writeHead(404).end();
+            return;
+        }
+        let { body, type = 'application/octet-stream' } = typeof route === 'function'
+            ? route(url)
+            : { body: readFileSync(new URL(`./fixtures/${route}`, import.meta.url)), type: route.endsWith('.xml') ? 'application/xml' : undefined };
+        if (type.includes('xml')) body = Buffer.from(body.toString().replaceAll('{PORT}', server.address().port));
+        
+        const range = /bytes=(\d+)-(\d+)/.exec(request.headers.range ?? '');
+        if (range) {
+            const end = Math.min(parseInt(range[2]), body.length - 1);
+            response.writeHead(206, { 'Content-Type': type, 'Content-Range': `bytes ${range[1]}-${end}/${body.length}` });
+            response.end(body.subarray(parseInt(range[1]), end + 1));
+        } else {
+            response.writeHead(200, { 'Content-Type': type });
+            response.end(body);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TileCache } from '../docs/tile-cache.mjs';
+
+// Stub MapNode with a size x size texture, 4 bytes per pixel, and no geometry of its own
+function stubTile(name, size, disposed, children = []) {
+    return {
+        name,
+        children,
+        getTextures: () => [{ image: { width: size, height: size } }],
+        hasSharedGeometry: () => true,
+        dispose: () => disposed.push(name)
+    };
+}
+
+// Stub simplified node whose children wait in the cache
+function stubParent(name, children) {
+    return { name, childrenCache: children };
+}
+
+test('byte estimates count textures, own geometry and live children', () => {
+    const child = stubTile('child', 8, []);
+    const geometry = {
+        attributes: { position: { array: new Float32Array(30) }, uv: { array: new Float32Array(20) } },
+        index: { array: new Uint16Array(12) }
+    };
+    const node = { ...stubTile('node', 16, [], [child]), hasSharedGeometry: () => false, geometry };
+    assert.equal(TileCache.estimateBytes(child), 8 * 8 * 4);
+    assert.equal(TileCache.estimateBytes(node), 16 * 16 * 4 + 120 + 80 + 24 + 8 * 8 * 4);
+});
+
+test('the least recently simplified subtrees are evicted past maxBytes', () => {
+    const disposed = [];
+    // 1 KiB per 16 x 16 tile
+    const cache = new TileCache({ maxBytes: 3 * 1024 });
+    const a = stubParent('a', [stubTile('a0', 16, disposed), stubTile('a1', 16, disposed)]);
+    const b = stubParent('b', [stubTile('b0', 16, disposed)]);
+    const c = stubParent('c', [stubTile('c0', 16, disposed)]);
+    
+    cache.add(a);
+    cache.add(b);
+    assert.equal(cache.bytes, 3 * 1024);
+    assert.deepEqual(disposed, []);
+    
+    // Simplifying 'a' again makes 'b' the oldest
+    cache.add(a);
+    cache.add(c);
+    assert.deepEqual(disposed, ['b0']);
+    assert.equal(b.childrenCache, null);
+    assert.deepEqual([...cache.entries.keys()], [a, c]);
+    assert.equal(cache.bytes, 3 * 1024);
+    
+    cache.add(stubParent('d', [stubTile('d0', 16, disposed)]));
+    assert.deepEqual(disposed, ['b0', 'a0', 'a1']);
+    const { hits, misses, evictions, entries, bytes, maxBytes } = cache.getStats();
+    assert.deepEqual({ hits, misses, evictions, entries, bytes, maxBytes }, {
+        hits: 0, misses: 0, evictions: 2, entries: 2, bytes: 2 * 1024, maxBytes: 3 * 1024
+    });
+});
+
+test('taken children are handed back without disposal and counted as hits', () => {
+    const disposed = [];
+    const cache = new TileCache();
+    const children = [stubTile('a0', 16, disposed)];
+    const a = stubParent('a', children);
+    
+    cache.add(a);
+    assert.equal(cache.take(a), children);
+    assert.equal(a.childrenCache, null);
+    assert.equal(cache.take(a), null);
+    assert.equal(cache.take(stubParent('b', [])), null);
+    assert.deepEqual(disposed, []);
+    
+    const stats = cache.getStats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 2);
+    assert.equal(stats.entries, 0);
+    assert.equal(stats.bytes, 0);
+});
+
+test('shrinking the budget evicts at once, clear disposes everything', () => {
+    const disposed = [];
+    const cache = new TileCache({ maxBytes: 8 * 1024 });
+    ['a', 'b', 'c', 'd'].forEach(name => cache.add(stubParent(name, [stubTile(`${name}0`, 16, disposed)])));
+    assert.deepEqual(disposed, []);
+    
+    cache.setMaxBytes(2 * 1024);
+    assert.deepEqual(disposed, ['a0', 'b0']);
+    assert.equal(cache.getStats().maxBytes, 2 * 1024);
+    assert.equal(cache.getStats().bytes, 2 * 1024);
+    
+    cache.clear();
+    assert.deepEqual(disposed, ['a0', 'b0', 'c0', 'd0']);
+    assert.equal(cache.getStats().evictions, 4);
+    assert.equal(cache.getStats().entries, 0);
+    assert.equal(cache.getStats().bytes, 0);
+});
+
+test('shared tiles are requested once per provider', async () => {
+    const cache = new TileCache();
+    const providers = [{}, {}];
+    let loads = 0;
+    const load = () => Promise.resolve(++loads);
+    
+    const tiles = await Promise.all([
+        cache.shareTile(providers[0], 14, 1, 2, load),
+        cache.shareTile(providers[0], 14, 1, 2, load),
+        cache.shareTile(providers[1], 14, 1, 2, load)
+    ]);
+    assert.deepEqual(tiles, [1, 1, 2]);
+    assert.equal(await cache.shareTile(providers[0], 14, 1, 2, load), 1);
+    assert.equal(cache.getStats().sharedTiles, 2);
+});
+
+test('shared tiles are dropped least recently used first', async () => {
+    const cache = new TileCache({ maxSharedTiles: 2 });
+    const provider = {};
+    let loads = 0;
+    const load = () => Promise.resolve(++loads);
+    
+    await cache.shareTile(provider, 1, 0, 0, load);
+    await cache.shareTile(provider, 1, 1, 0, load);
+    await cache.shareTile(provider, 1, 0, 0, load);
+    await cache.shareTile(provider, 1, 0, 1, load);
+    assert.equal(loads, 3);
+    // 1/1/0 was the oldest
+    assert.equal(await cache.shareTile(provider, 1, 0, 0, load), 1);
+    assert.equal(await cache.shareTile(provider, 1, 1, 0, load), 4);
+    
+    cache.clear();
+    assert.equal(cache.getStats().sharedTiles, 0);
+});
+
+test('failed shared tiles are retried', async () => {
+    const cache = new TileCache();
+    const provider = {};
+    await assert.rejects(cache.shareTile(provider, 3, 1, 1, () => Promise.reject(new Error('offline'))), /offline/);
+    assert.equal(await cache.shareTile(provider, 3, 1, 1, () => Promise.resolve('tile')), 'tile');
+});
@@ -0,0 +1,131 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { TileStore } from '../docs/storage-utils.mjs';
+import { MapProvider, CachedProvider } from '../docs/providers.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fresh database for every test
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+});
+
+// Provider downloading a blob per tile, or failing while offline
+class NetworkProvider extends MapProvider {
+    constructor() {
+        super();
+        this.offline = false;
+        this.requests = 0;
+    }
+    
+    async fetchTileBlob(zoom, x, y) {
+        this.requests++;
+        if (this.offline) throw new Error('Network down');
+        return new Blob([`${zoom}/${x}/${y}`]);
+    }
+}
+
+const blobOf = bytes => new Blob([new Uint8Array(bytes)]);
+
+test('stored tiles expire after maxAge and prune deletes them', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const store = new TileStore({ maxAge: DAY });
+    
+    await store.put('a|1/0/0', blobOf(10));
+    now += DAY;
+    await store.put('a|1/1/0', blobOf(20));
+    assert.equal((await store.get('a|1/0/0')).expired, false);
+    
+    now += 1;
+    const stale = await store.get('a|1/0/0');
+    assert.equal(stale.expired, true);
+    assert.equal(stale.blob.size, 10);
+    assert.equal((await store.get('a|1/1/0')).expired, false);
+    
+    await store.prune();
+    assert.equal(await store.get('a|1/0/0'), null);
+    assert.equal(store.entries, 1);
+    assert.equal(store.bytes, 20);
+});
+
+test('growing past the quota drops least recently used tiles down to 90%', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now++);
+    const store = new TileStore({ maxBytes: 1000 });
+    
+    for (const key of ['a', 'b', 'c']) await store.put(key, blobOf(300));
+    // Reading 'a' makes 'b' the least recently used
+    await store.get('a');
+    await store.put('d', blobOf(300));
+    
+    assert.equal(store.bytes, 900);
+    assert.equal(store.entries, 3);
+    assert.equal(await store.get('b'), null);
+    for (const key of ['a', 'c', 'd']) assert.ok(await store.get(key), key);
+    
+    // Replacing a tile counts only the difference
+    await store.put('c', blobOf(50));
+    assert.equal(store.bytes, 650);
+    assert.equal(store.entries, 3);
+    
+    // Totals are read back when the database is opened again
+    const reopened = new TileStore({ maxBytes: 1000 });
+    await reopened.open();
+    assert.equal(reopened.bytes, 650);
+    assert.equal(reopened.entries, 3);
+});
+
+test('a failed open is retried instead of breaking the store for the session', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const database = globalThis.indexedDB;
+    globalThis.indexedDB = { open: () => { throw new DOMException('Storage blocked', 'SecurityError'); } };
+    const store = new TileStore();
+    
+    assert.equal(await store.get('a'), null);
+    assert.equal(await store.put('a', blobOf(10)), false);
+    assert.equal(warn.mock.callCount(), 2);
+    assert.equal(store.db, null);
+    
+    globalThis.indexedDB = database;
+    assert.equal(await store.put('a', blobOf(10)), true);
+    assert.equal((await store.get('a')).blob.size, 10);
+    assert.equal(store.bytes, 10);
+});
+
+test('tiles still load from the network while the store is out', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const provider = new NetworkProvider();
+    const broken = {
+        get: async () => { throw new DOMException('Storage blocked', 'SecurityError'); },
+        put: async () => { throw new DOMException('Quota exceeded', 'QuotaExceededError'); }
+    };
+    const cached = new CachedProvider(provider, broken, { id: 'net' });
+    assert.equal(await (await cached.fetchTileBlob(3, 1, 2)).text(), '3/1/2');
+    
+    globalThis.indexedDB = { open: () => { throw new DOMException('Storage blocked', 'SecurityError'); } };
+    const unavailable = new CachedProvider(provider, new TileStore(), { id: 'net' });
+    assert.equal(await (await unavailable.fetchTileBlob(3, 1, 2)).text(), '3/1/2');
+    assert.equal(provider.requests, 2);
+    
+    // Network errors still surface when nothing is stored
+    provider.offline = true;
+    await assert.rejects(cached.fetchTileBlob(3, 1, 2), /Network down/);
+});
+
+test('stored tiles are served first, stale ones only while offline', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const provider = new NetworkProvider();
+    const cached = new CachedProvider(provider, new TileStore({ maxAge: DAY }), { id: 'net' });
+    
+    await cached.fetchTileBlob(3, 1, 2);
+    await cached.fetchTileBlob(3, 1, 2);
+    assert.equal(provider.requests, 1);
+    
+    now += 2 * DAY;
+    provider.offline = true;
+    assert.equal(await (await cached.fetchTileBlob(3, 1, 2)).text(), '3/1/2');
+    assert.equal(provider.requests, 2);
+});
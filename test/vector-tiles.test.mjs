@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { gzipSync } from 'node:zlib';
+import { PbfReader, VectorTile, VectorTileStyle, VectorTileRenderer, VectorTileProvider } from '../docs/vector-tiles.mjs';
+import { MapProvider } from '../docs/providers.mjs';
+import { VECTOR_EXTENT, VECTOR_LAYERS } from './fixtures/make-fixtures.mjs';
+
+const fixture = name => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url))).buffer;
+
+// Records the drawing calls, with the line width of each stroke
+globalThis.OffscreenCanvas = class {
+    constructor(width, height) {
+        Object.assign(this, { width, height, calls: [] });
+    }
+    
+    getContext() {
+        const calls = this.calls;
+        return new Proxy({}, {
+            get: (state, name) => name in state ? state[name] : (...args) => {
+                calls.push(name === 'stroke' ? [name, state.lineWidth] : [name, ...args]);
+                if (name === 'measureText') return { width: 6 * args[0].length };
+            }
+        });
+    }
+};
+
+const STYLE = {
+    background: '#eee',
+    layers: [
+        { type: 'fill', source: 'water', color: '#00f' },
+        { type: 'line', source: 'roads', filter: { class: ['primary', 'secondary'] }, color: '#fff', width: zoom => zoom > 14 ? 4 : 2 },
+        { type: 'line', source: 'roads', filter: properties => properties.class === 'service', color: '#ccc', minZoom: 15 },
+        { type: 'text', source: 'place', field: '{name} ({ele} m)', font: '12px sans-serif' }
+    ]
+};
+
+const paths = calls => calls.filter(([name]) => name === 'moveTo' || name === 'lineTo').map(([, x, y]) => [x, y]);
+
+test('protobuf varints and zigzag values', () => {
+    const pbf = new PbfReader(Uint8Array.from([0xac, 0x02, 0x80, 0x80, 0x80, 0x80, 0x20, 0x03]));
+    assert.equal(pbf.readVarint(), 300);
+    assert.equal(pbf.readVarint(), Math.pow(2, 33));
+    assert.equal(pbf.readSVarint(), -2);
+    assert.throws(() => pbf.readVarint(), /Truncated varint/);
+});
+
+test('fixture tile decodes to its layers, properties and geometries', () => {
+    const tile = VectorTile.decode(fixture('streets.pbf'));
+    
+    assert.deepEqual(Object.keys(tile.layers), Object.keys(VECTOR_LAYERS));
+    Object.entries(VECTOR_LAYERS).forEach(([name, features]) => {
+        const layer = tile.layers[name];
+        assert.equal(layer.name, name);
+        assert.equal(layer.version, 2);
+        assert.equal(layer.extent, VECTOR_EXTENT);
+        assert.deepEqual(layer.features, features);
+    });
+});
+
+test('gzipped tiles are inflated', async () => {
+    const tile = await VectorTile.decodeCompressed(gzipSync(Buffer.from(fixture('streets.pbf'))));
+    assert.deepEqual(tile.layers.place.features, VECTOR_LAYERS.place);
+});
+
+test('style filters, zoom ranges and label fields', () => {
+    const style = new VectorTileStyle(STYLE);
+    const [water, primary, service, place] = style.layers;
+    
+    assert.equal(primary.opacity, 1);
+    assert.equal(primary.cap, 'round');
+    assert.deepEqual(style.getLayers(14), [water, primary, place]);
+    assert.deepEqual(style.getLayers(15), [water, primary, service, place]);
+    assert.ok(VectorTileStyle.matches(primary, { class: 'secondary' }));
+    assert.ok(!VectorTileStyle.matches(primary, { class: 'service' }));
+    assert.ok(VectorTileStyle.matches(service, { class: 'service' }));
+    assert.ok(VectorTileStyle.matches(water, {}));
+    assert.equal(VectorTileStyle.evaluate(primary.width, 16), 4);
+    assert.equal(VectorTileStyle.formatText(place.field, { name: 'Fixture Town', ele: -12 }), 'Fixture Town (-12 m)');
+    assert.equal(VectorTileStyle.formatText(place.field, { name: 'Fixture Town' }), '');
+    assert.throws(() => new VectorTileStyle({ layers: [{ type: 'circle', source: 'place' }] }), /Unknown style layer type: circle/);
+    assert.throws(() => new VectorTileStyle({ layers: [{ type: 'fill' }] }), /has no source/);
+});
+
+test('tiles are drawn at the renderer tile size', () => {
+    const tile = VectorTile.decode(fixture('streets.pbf'));
+    const canvas = new VectorTileRenderer(STYLE, { tileSize: 512 }).render(tile, 14);
+    
+    assert.deepEqual(canvas.calls.find(([name]) => name === 'fillRect'), ['fillRect', 0, 0, 512, 512]);
+    assert.deepEqual(canvas.calls.find(([name]) => name === 'translate'), ['translate', -0, -0]);
+    // Water square, then the primary road; service roads start at zoom 15
+    assert.deepEqual(paths(canvas.calls), [[128, 128], [384, 128], [384, 384], [128, 384], [128, 128], [0, 256], [512, 256]]);
+    // Widths and fonts are given for 256 px tiles
+    assert.deepEqual(canvas.calls.filter(([name]) => name === 'stroke'), [['stroke', 4]]);
+    assert.deepEqual(canvas.calls.find(([name]) => name === 'fillText'), ['fillText', 'Fixture Town (-12 m)', 128, 128]);
+});
+
+class FixtureProvider extends MapProvider {
+    constructor() {
+        super();
+        this.maxZoom = 14;
+        this.requests = [];
+    }
+    
+    async fetchTile(zoom, x, y) {
+        this.requests.push(`${zoom}/${x}/${y}`);
+        return fixture('streets.pbf');
+    }
+}
+
+test('overzoomed tiles are drawn from the ancestor vectors at their own resolution', async () => {
+    const source = new FixtureProvider();
+    const provider = new VectorTileProvider(source, STYLE, { tileSize: 512 });
+    assert.equal(provider.maxZoom, 22);
+    assert.equal(provider.getTileUrl(16, 0, 0), null);
+    
+    // Column 1, row 2 of the z14 tile's 4 x 4 z16 tiles
+    const [canvas, other] = await Promise.all([provider.fetchTile(16, 4 * 10 + 1, 4 * 20 + 2), provider.fetchTile(16, 4 * 10 + 3, 4 * 20)]);
+    assert.deepEqual(source.requests, ['14/10/20']);
+    assert.ok(other.calls.length > 0);
+    
+    assert.deepEqual(canvas.calls.find(([name]) => name === 'translate'), ['translate', -512, -1024]);
+    const points = paths(canvas.calls);
+    // The ancestor spans 2048 px, the primary road runs along the top of this tile
+    assert.deepEqual(points.slice(5, 7), [[0, 1024], [2048, 1024]]);
+    // Lines keep their zoom 16 width instead of being upscaled
+    assert.deepEqual(canvas.calls.filter(([name]) => name === 'stroke'), [['stroke', 8], ['stroke', 2]]);
+});
+
+test('tiles up to the source max zoom are drawn whole', async () => {
+    const source = new FixtureProvider();
+    const canvas = await new VectorTileProvider(source, STYLE, { tileSize: 256 }).fetchTile(14, 10, 20);
+    
+    assert.deepEqual(source.requests, ['14/10/20']);
+    assert.deepEqual(paths(canvas.calls).slice(5, 7), [[0, 128], [256, 128]]);
+});